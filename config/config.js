@@ -1,3 +1,9 @@
+import { TIPOS_DESTINO } from "../src/destinos/index.js";
+import { MODOS_WEBHOOK } from "../src/destinos/webhook.js";
+import { obtenerCalendario } from "../src/calendario.js";
+import { validarFallas } from "../src/fallas.js";
+import { zonaValida, parsearFechaEnZona } from "../src/zonaHoraria.js";
+
 // ============================================
 // CONFIGURACIÓN DEL SIMULADOR NUBE VERDE
 // ============================================
@@ -11,8 +17,13 @@ export const CONFIG = {
   // Ejemplo: 10000 = 10 segundos, 60000 = 1 minuto
   INTERVALO_MS: 10000,
 
+  // Zona horaria de la simulación (nombre IANA)
+  // FECHA_INICIO/FECHA_FIN, horarios pico, fines de semana, calendario y logs
+  // usan esta zona, sin importar la zona del servidor
+  ZONA_HORARIA: "America/El_Salvador",
+
   // Fecha de inicio para simulación histórica
-  // Formato: "YYYY-MM-DD HH:mm:ss" o null para tiempo real
+  // Formato: "YYYY-MM-DD HH:mm:ss" (hora de ZONA_HORARIA) o null para tiempo real
   // Ejemplo: "2025-01-01 00:00:00" para simular desde el 1 de enero
   FECHA_INICIO: "2025-01-01 00:00:00",
 
@@ -46,10 +57,30 @@ export const CONFIG = {
   // Ejemplo: 0.3 = solo 30% del consumo normal
   FACTOR_FIN_SEMANA: 0.3,
 
+  // Calendario de feriados, vacaciones y exámenes (archivo .json o .ics)
+  // null = sin calendario (solo se distingue entre semana y fin de semana)
+  RUTA_CALENDARIO: "config/calendario.json",
+
+  // Factor de consumo por tipo de día del calendario
+  // Se aplica sobre FACTOR_FIN_SEMANA (o la curva de fin de semana) si el día cae en sábado o domingo
+  // El archivo de calendario puede sobrescribirlos en "tipos_dia"
+  TIPOS_DIA: {
+    feriado: { factor: 0.15 },
+    vacaciones: { factor: 0.25 },
+    examenes: { factor: 1.15 }
+  },
+
   // ------------------------------------------
   // CONFIGURACIÓN DE CONSUMO
   // ------------------------------------------
   
+  // Fuente del consumo base de cada punto:
+  // "consumo_base_kwh" - consumo_base_kwh del punto, en kWh por hora
+  // "potencia_base_w"  - potencia_base_w del punto (W) → kWh por hora = W / 1000
+  // Cada lectura es la energía del intervalo: tasa × duración del intervalo,
+  // así el total de un día no depende de INTERVALO_MS ni de INCREMENTO_TIEMPO_MS
+  FUENTE_CONSUMO_BASE: "consumo_base_kwh",
+
   // Variación aleatoria sobre el consumo base (porcentaje)
   // Ejemplo: 0.2 = ±20% de variación
   VARIACION_CONSUMO: 0.2,
@@ -58,23 +89,199 @@ export const CONFIG = {
   // Ejemplo: 0.02 = 2% de probabilidad
   PROBABILIDAD_ERROR: 0.02,
 
+  // Ciclo de vida de los puntos: fallas y mantenimientos que duran varios ticks
+  // Si ACTIVO = true reemplaza a PROBABILIDAD_ERROR
+  // Los tiempos son medias (distribución exponencial), en horas
+  CICLO_VIDA: {
+    ACTIVO: false,
+    MTTF_HORAS: 720,                  // Tiempo medio hasta una falla (activo → error)
+    MTTR_HORAS: 6,                    // Tiempo medio de reparación (error → activo)
+    MTBM_HORAS: 2160,                 // Tiempo medio entre mantenimientos (activo → mantenimiento)
+    DURACION_MANTENIMIENTO_HORAS: 3   // Duración media de un mantenimiento
+  },
+
+  // Telemetría eléctrica (esquema extendido de lectura)
+  // Si ACTIVO = true cada lectura agrega registro_kwh, potencia_w, voltaje_v,
+  // corriente_a y factor_potencia. Con false las lecturas no cambian
+  TELEMETRIA: {
+    ACTIVO: false,
+    VOLTAJE_NOMINAL_V: 120,           // Cada punto puede usar su voltaje_nominal_v
+    VARIACION_VOLTAJE: 0.03,          // ±3%
+    FACTOR_POTENCIA: 0.92,
+    VARIACION_FACTOR_POTENCIA: 0.04,  // ±4% (nunca mayor que 1)
+    RUTA_REGISTROS: "data/registros-medidores.json"  // Registro acumulado entre reinicios
+  },
+
+  // Fallas de sensor simuladas (todas desactivadas con probabilidad 0)
+  // Cada punto puede sobrescribirlas con el campo "fallas" en puntos_monitoreo
+  // Las fallas con duracion_ms afectan bloques completos de esa duración
+  FALLAS: {
+    // Valor repetido (sensor congelado)
+    congelado: { probabilidad: 0, duracion_ms: 2 * 3600000 },
+    // Error de calibración que crece hasta ±maximo (0.2 = 20%)
+    deriva: { probabilidad: 0, duracion_ms: 24 * 3600000, maximo: 0.2 },
+    // Lectura aislada multiplicada por factor
+    espiga: { probabilidad: 0, factor: 5 },
+    // Sin lecturas durante el bloque
+    hueco: { probabilidad: 0, duracion_ms: 3600000 },
+    // Lectura enviada dos veces
+    duplicado: { probabilidad: 0 },
+    // Reloj corrido hasta ±maximo_ms (puede desordenar las lecturas)
+    desfase: { probabilidad: 0, duracion_ms: 6 * 3600000, maximo_ms: 15 * 60000 }
+  },
+
+  // Escenario con eventos programados (ver src/escenarios.js)
+  // Archivo .json o .yaml que se carga al iniciar; null = sin escenario
+  // Ejemplo: "escenarios/edificio-sin-energia.yaml"
+  ESCENARIO: null,
+
+  // Carpeta de escenarios disponibles en el panel web
+  RUTA_ESCENARIOS: "escenarios",
+
+  // Semilla para generar lecturas reproducibles
+  // null = aleatorio en cada ejecución
+  // Ejemplo: "demo-enero" o 42 → la misma configuración produce las mismas lecturas
+  SEMILLA: null,
+
   // ------------------------------------------
   // CONFIGURACIÓN DE MODO
   // ------------------------------------------
   
-  // Modo de simulación:
+  // Modo de simulación (ver modoSimulacion()):
   // "tiempo_real" - Genera lecturas con fecha actual
   // "historico" - Genera lecturas desde FECHA_INICIO hasta FECHA_FIN
+  // "replay" - Reenvía mediciones reales de un CSV (REPLAY.ACTIVO = true)
   get MODO() {
-    return this.FECHA_INICIO ? "historico" : "tiempo_real";
+    return modoSimulacion(this);
+  },
+
+  // Reproducción de mediciones reales (ver src/replay.js)
+  // El CSV (id_punto, fecha, consumo_kwh) reemplaza al modelo sintético
+  REPLAY: {
+    ACTIVO: false,
+    RUTA_CSV: "data/mediciones.csv",
+    // true: la primera medición se envía al iniciar y las demás a medida que
+    //       "ocurren", con la fecha actual (tiempo real)
+    // false: se envían de una vez con su fecha original, en lotes (histórico)
+    DESPLAZAR_AL_PRESENTE: true,
+    // Al terminar el archivo, volver a empezar (solo desplazado al presente)
+    REPETIR: false,
+    // Multiplicador del consumo medido (1 = sin cambios)
+    ESCALA: 1,
+    // Variación aleatoria sobre cada medición (0.05 = ±5%)
+    RUIDO: 0,
+    // Id en el CSV → id en puntos_monitoreo, si no coinciden
+    // Ejemplo: { "medidor-07": "N1" }
+    MAPEO_PUNTOS: {}
   },
 
   // Cantidad de lecturas a enviar por lote en modo histórico
-  // Útil para no saturar Firestore
-  BATCH_SIZE: 10,
+  // Cada lote se guarda con un solo commit atómico (Firestore admite máximo 500)
+  BATCH_SIZE: 250,
+
+  // Máximo de lecturas permitidas en una simulación histórica desde la interfaz web
+  // Ejemplo: 10 puntos × 31 días × 24 horas ≈ 7440 lecturas
+  MAX_LECTURAS_HISTORICO: 10000,
+
+  // Máximo de lecturas que recorre una vista previa (no se guardan, solo se resumen)
+  MAX_LECTURAS_VISTA_PREVIA: 500000,
+
+  // Checkpoints de las simulaciones históricas
+  // Al terminar cada lote se guarda el avance; si la simulación se interrumpe,
+  // volver a correr el mismo rango continúa desde el último lote guardado
+  RUTA_CHECKPOINTS: "data/historico",
+  REANUDAR_HISTORICO: true,
+
+  // Reintentos de un lote ante errores transitorios (red, cuota, timeout)
+  REINTENTOS_MAX: 5,
 
-  // Delay entre lotes en modo histórico (ms)
-  DELAY_ENTRE_LOTES: 1000
+  // Backoff exponencial con jitter entre reintentos (ms)
+  // Ejemplo: base 500 → esperas aleatorias de hasta 0.5s, 1s, 2s, 4s...
+  BACKOFF_BASE_MS: 500,
+  BACKOFF_MAX_MS: 30000,
+
+  // ------------------------------------------
+  // CONFIGURACIÓN DE DESTINO
+  // ------------------------------------------
+
+  // Dónde se guardan las lecturas generadas:
+  // "firestore" - Colección "lecturas" en Firebase (por defecto)
+  // "archivo"   - Archivo local NDJSON (una lectura JSON por línea)
+  // "memoria"   - Solo en memoria, útil para pruebas
+  // "mqtt"      - Se publican en un broker MQTT (ver MQTT)
+  // "webhook"   - Se envían por HTTP POST a un endpoint de ingesta (ver WEBHOOK)
+  DESTINO: "firestore",
+
+  // Ruta del archivo cuando DESTINO = "archivo"
+  RUTA_ARCHIVO_DESTINO: "data/lecturas.ndjson",
+
+  // Máximo de lecturas que conserva el destino "memoria"
+  LIMITE_DESTINO_MEMORIA: 10000,
+
+  // Publicación MQTT (ver src/destinos/mqtt.js)
+  // Con DESTINO = "mqtt" las lecturas solo se publican; con ESPEJO = true se
+  // publican además de guardarse en el DESTINO elegido
+  // Cada punto se conecta como un dispositivo: estado "online"/"offline"
+  // retenido en TOPICO_ESTADO y last will "offline"
+  MQTT: {
+    URL: "mqtt://localhost:1883",
+    USUARIO: null,                                     // La contraseña va en la variable de entorno MQTT_CONTRASENA
+    QOS: 1,                                            // 0, 1 o 2
+    TOPICO: "nubeverde/{ubicacion}/{id_punto}/lectura",
+    TOPICO_ESTADO: "nubeverde/{ubicacion}/{id_punto}/estado",
+    PREFIJO_CLIENTE: "nubeverde-sim",                  // Client id: <prefijo>-<id_punto>-<sufijo>
+    TIEMPO_LIMITE_MS: 5000,                            // Espera máxima para conectar o publicar
+    ESPEJO: false
+  },
+
+  // Webhook HTTP (ver src/destinos/webhook.js), con DESTINO = "webhook"
+  // Con la variable de entorno WEBHOOK_SECRETO cada petición se firma con HMAC-SHA256
+  // ENCABEZADOS se envía al panel web: los tokens van mejor en el secreto HMAC
+  WEBHOOK: {
+    URL: "http://localhost:8080/ingesta",
+    MODO: "lote",                                      // "individual": un POST por lectura; "lote": un arreglo por tick o lote
+    TAMANO_LOTE: 100,                                  // Máximo de lecturas por POST en modo "lote"
+    ENCABEZADOS: {},
+    ENCABEZADO_FIRMA: "X-NubeVerde-Firma",
+    TIEMPO_LIMITE_MS: 10000,
+    REINTENTOS: 3,                                     // Backoff con BACKOFF_BASE_MS y BACKOFF_MAX_MS
+    RUTA_DEAD_LETTER: "data/webhook-fallidas.ndjson"   // Peticiones que no se pudieron entregar
+  },
+
+  // Documentos por consulta al exportar lecturas desde Firestore
+  TAMANO_PAGINA_EXPORTACION: 500,
+
+  // Archivo de la cola offline del servidor web
+  // Guarda las lecturas que no llegaron a Firestore hasta que se recupere la conexión
+  RUTA_COLA_OFFLINE: "data/cola-offline.ndjson",
+
+  // Agregados por punto y ubicación del servidor web (ver src/estadisticas.js)
+  // Periodos que se conservan de cada granularidad; los más antiguos se descartan
+  ESTADISTICAS: {
+    HORAS: 168,                  // 7 días
+    DIAS: 92,                    // ~3 meses
+    MESES: 24,
+    INTERVALO_EMISION_MS: 1000   // Espera mínima entre actualizaciones por Socket.IO
+  },
+
+  // ------------------------------------------
+  // SESIONES DEL PANEL WEB
+  // ------------------------------------------
+
+  // Cada navegador que inicia sesión recibe su propia sesión (ver src/sesiones.js)
+  // Cerrar sesión en una pestaña no afecta a las demás
+  SESIONES: {
+    COOKIE: "nubeverde_sesion",
+    DURACION_MS: 8 * 3600000   // 8 horas desde el login
+  },
+
+  // Roles del panel web (ver src/roles.js): "viewer", "operator" o "admin"
+  // El archivo asigna un rol a cada correo; los demás reciben POR_DEFECTO
+  // Se lee en cada login: un cambio se aplica al volver a iniciar sesión
+  ROLES: {
+    RUTA: "config/roles.json",
+    POR_DEFECTO: "viewer"
+  }
 };
 
 // ============================================
@@ -84,11 +291,25 @@ export const CONFIG = {
 /**
  * Parsea una fecha string a objeto Date
  * @param {string|null} fechaStr - Fecha en formato "YYYY-MM-DD HH:mm:ss"
+ * @param {string} [zona] - Zona horaria de la hora indicada (por defecto ZONA_HORARIA)
  * @returns {Date|null}
  */
-export function parsearFecha(fechaStr) {
+export function parsearFecha(fechaStr, zona = CONFIG.ZONA_HORARIA) {
   if (!fechaStr) return null;
-  return new Date(fechaStr.replace(" ", "T"));
+  return parsearFechaEnZona(fechaStr, zona);
+}
+
+/**
+ * Modo de simulación de una configuración
+ * Las copias de CONFIG ({ ...CONFIG }) pierden el getter MODO, así que
+ * el servidor usa esta función directamente
+ *
+ * @param {Object} config
+ * @returns {"tiempo_real"|"historico"|"replay"}
+ */
+export function modoSimulacion(config) {
+  if (config.REPLAY?.ACTIVO) return "replay";
+  return config.FECHA_INICIO ? "historico" : "tiempo_real";
 }
 
 /**
@@ -102,7 +323,9 @@ export function validarConfiguracion() {
     errores.push("INTERVALO_MS debe ser al menos 1000ms (1 segundo)");
   }
 
-  if (CONFIG.FECHA_INICIO && CONFIG.FECHA_FIN) {
+  if (!zonaValida(CONFIG.ZONA_HORARIA)) {
+    errores.push(`ZONA_HORARIA "${CONFIG.ZONA_HORARIA}" no es una zona horaria válida`);
+  } else if (CONFIG.FECHA_INICIO && CONFIG.FECHA_FIN) {
     const inicio = parsearFecha(CONFIG.FECHA_INICIO);
     const fin = parsearFecha(CONFIG.FECHA_FIN);
     if (inicio >= fin) {
@@ -118,6 +341,90 @@ export function validarConfiguracion() {
     errores.push("FACTOR_FIN_SEMANA debe estar entre 0 y 1");
   }
 
+  try {
+    obtenerCalendario(CONFIG.RUTA_CALENDARIO, CONFIG.TIPOS_DIA);
+  } catch (error) {
+    errores.push(`RUTA_CALENDARIO: ${error.message}`);
+  }
+
+  if (CONFIG.BATCH_SIZE < 1 || CONFIG.BATCH_SIZE > 500) {
+    errores.push("BATCH_SIZE debe estar entre 1 y 500");
+  }
+
+  if (!["consumo_base_kwh", "potencia_base_w"].includes(CONFIG.FUENTE_CONSUMO_BASE)) {
+    errores.push("FUENTE_CONSUMO_BASE debe ser \"consumo_base_kwh\" o \"potencia_base_w\"");
+  }
+
+  for (const [clave, valor] of Object.entries(CONFIG.CICLO_VIDA)) {
+    if (clave !== "ACTIVO" && (typeof valor !== "number" || valor < 0)) {
+      errores.push(`CICLO_VIDA.${clave} debe ser un número mayor o igual a 0`);
+    }
+  }
+
+  const { VOLTAJE_NOMINAL_V, FACTOR_POTENCIA, RUTA_REGISTROS } = CONFIG.TELEMETRIA;
+  if (VOLTAJE_NOMINAL_V <= 0) {
+    errores.push("TELEMETRIA.VOLTAJE_NOMINAL_V debe ser mayor que 0");
+  }
+  if (FACTOR_POTENCIA <= 0 || FACTOR_POTENCIA > 1) {
+    errores.push("TELEMETRIA.FACTOR_POTENCIA debe estar entre 0 y 1");
+  }
+  if (CONFIG.TELEMETRIA.ACTIVO && !RUTA_REGISTROS) {
+    errores.push("TELEMETRIA.RUTA_REGISTROS es requerida con la telemetría activa");
+  }
+
+  const { ACTIVO: replayActivo, RUTA_CSV, ESCALA, RUIDO } = CONFIG.REPLAY;
+  if (replayActivo && !RUTA_CSV) {
+    errores.push("REPLAY.RUTA_CSV es requerida con REPLAY.ACTIVO = true");
+  }
+  if (typeof ESCALA !== "number" || ESCALA < 0) {
+    errores.push("REPLAY.ESCALA debe ser un número mayor o igual a 0");
+  }
+  if (typeof RUIDO !== "number" || RUIDO < 0 || RUIDO > 1) {
+    errores.push("REPLAY.RUIDO debe estar entre 0 y 1");
+  }
+
+  const { errores: erroresFallas } = validarFallas(CONFIG.FALLAS);
+  errores.push(...erroresFallas.map(e => `FALLAS: ${e}`));
+
+  if (CONFIG.SEMILLA !== null && !["string", "number"].includes(typeof CONFIG.SEMILLA)) {
+    errores.push("SEMILLA debe ser un texto, un número o null");
+  }
+
+  if (!TIPOS_DESTINO.includes(CONFIG.DESTINO)) {
+    errores.push(`DESTINO debe ser uno de: ${TIPOS_DESTINO.join(", ")}`);
+  }
+
+  if (CONFIG.DESTINO === "archivo" && !CONFIG.RUTA_ARCHIVO_DESTINO) {
+    errores.push("RUTA_ARCHIVO_DESTINO es requerida cuando DESTINO = \"archivo\"");
+  }
+
+  if (CONFIG.DESTINO === "mqtt" || CONFIG.MQTT.ESPEJO) {
+    if (!CONFIG.MQTT.URL) {
+      errores.push("MQTT.URL es requerida para publicar por MQTT");
+    }
+    if (![0, 1, 2].includes(CONFIG.MQTT.QOS)) {
+      errores.push("MQTT.QOS debe ser 0, 1 o 2");
+    }
+  }
+
+  for (const clave of ["HORAS", "DIAS", "MESES"]) {
+    if (!Number.isInteger(CONFIG.ESTADISTICAS[clave]) || CONFIG.ESTADISTICAS[clave] < 1) {
+      errores.push(`ESTADISTICAS.${clave} debe ser un entero mayor que 0`);
+    }
+  }
+
+  if (CONFIG.DESTINO === "webhook") {
+    if (!/^https?:\/\//.test(CONFIG.WEBHOOK.URL ?? "")) {
+      errores.push("WEBHOOK.URL debe ser una URL http:// o https://");
+    }
+    if (!MODOS_WEBHOOK.includes(CONFIG.WEBHOOK.MODO)) {
+      errores.push(`WEBHOOK.MODO debe ser uno de: ${MODOS_WEBHOOK.join(", ")}`);
+    }
+    if (!CONFIG.WEBHOOK.RUTA_DEAD_LETTER) {
+      errores.push("WEBHOOK.RUTA_DEAD_LETTER es requerida");
+    }
+  }
+
   return {
     valido: errores.length === 0,
     errores
@@ -133,7 +440,14 @@ export function mostrarConfiguracion() {
   console.log("╠════════════════════════════════════════════╣");
   console.log(`║ Modo:              ${CONFIG.MODO.padEnd(22)} ║`);
   console.log(`║ Intervalo:         ${(CONFIG.INTERVALO_MS / 1000 + "s").padEnd(22)} ║`);
+  console.log(`║ Zona horaria:      ${CONFIG.ZONA_HORARIA.padEnd(22)} ║`);
   console.log(`║ Simular picos:     ${(CONFIG.SIMULAR_PICOS ? "Sí" : "No").padEnd(22)} ║`);
+  console.log(`║ Destino:           ${(CONFIG.DESTINO + (CONFIG.MQTT.ESPEJO && CONFIG.DESTINO !== "mqtt" ? " + mqtt" : "")).padEnd(22)} ║`);
+  console.log(`║ Calendario:        ${(CONFIG.RUTA_CALENDARIO ? CONFIG.RUTA_CALENDARIO.split("/").pop() : "No").padEnd(22)} ║`);
+  console.log(`║ Semilla:           ${String(CONFIG.SEMILLA ?? "Aleatoria").padEnd(22)} ║`);
+  console.log(`║ Ciclo de vida:     ${(CONFIG.CICLO_VIDA.ACTIVO ? "Sí" : "No").padEnd(22)} ║`);
+  console.log(`║ Telemetría:        ${(CONFIG.TELEMETRIA.ACTIVO ? "Sí" : "No").padEnd(22)} ║`);
+  console.log(`║ Escenario:         ${(CONFIG.ESCENARIO ? CONFIG.ESCENARIO.split("/").pop() : "No").padEnd(22)} ║`);
   
   if (CONFIG.MODO === "historico") {
     console.log(`║ Fecha inicio:      ${CONFIG.FECHA_INICIO?.substring(0, 16).padEnd(22) || "N/A".padEnd(22)} ║`);
@@ -141,5 +455,11 @@ export function mostrarConfiguracion() {
     console.log(`║ Incremento:        ${(CONFIG.INCREMENTO_TIEMPO_MS / 60000 + " min").padEnd(22)} ║`);
   }
   
+  if (CONFIG.MODO === "replay") {
+    console.log(`║ Mediciones:        ${CONFIG.REPLAY.RUTA_CSV.split("/").pop().padEnd(22)} ║`);
+    console.log(`║ Fechas:            ${(CONFIG.REPLAY.DESPLAZAR_AL_PRESENTE ? "Desplazadas a hoy" : "Originales").padEnd(22)} ║`);
+    console.log(`║ Escala / ruido:    ${`×${CONFIG.REPLAY.ESCALA} / ±${CONFIG.REPLAY.RUIDO * 100}%`.padEnd(22)} ║`);
+  }
+  
   console.log("╚════════════════════════════════════════════╝\n");
 }
@@ -0,0 +1,102 @@
+import { createWriteStream } from "fs";
+import { once } from "events";
+import { loginSimulador } from "./src/auth.js";
+import { exportarLecturas, FORMATOS_EXPORTACION, ORIGENES_EXPORTACION } from "./src/exportar.js";
+import { CONFIG, parsearFecha } from "./config/config.js";
+
+// ============================================
+// EXPORTAR LECTURAS A CSV / NDJSON
+// ============================================
+// Ejemplos:
+//   npm run exportar -- --origen=archivo --formato=csv --salida=data/enero.csv
+//   npm run exportar -- --origen=firestore --desde="2025-01-01 00:00:00" --hasta="2025-01-31 23:59:59" --puntos=N1,N2
+//   npm run exportar -- --origen=firestore --ejecucion=h3f9a01c2 --formato=ndjson > enero.ndjson
+//
+// Sin --salida las lecturas se escriben en la salida estándar y los mensajes en stderr.
+
+const OPCIONES = ["--origen", "--formato", "--desde", "--hasta", "--puntos", "--ejecucion", "--salida", "--archivo", "--zona"];
+
+/**
+ * Lee las opciones de línea de comandos (--nombre=valor o --nombre valor)
+ * @param {string[]} argv
+ * @returns {Object} nombre (sin "--") → valor
+ */
+function leerOpciones(argv) {
+  const opciones = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [nombre, valorEnLinea] = argv[i].split(/=(.*)/s);
+
+    if (!OPCIONES.includes(nombre)) {
+      console.error(`⚠️  Opción desconocida ignorada: ${argv[i]}`);
+      continue;
+    }
+
+    const valor = valorEnLinea ?? argv[++i];
+    if (valor === undefined) {
+      console.error(`⚠️  Falta el valor de ${nombre}`);
+      continue;
+    }
+
+    opciones[nombre.slice(2)] = valor;
+  }
+
+  return opciones;
+}
+
+async function exportar() {
+  const opciones = leerOpciones(process.argv.slice(2));
+
+  if (opciones.archivo) CONFIG.RUTA_ARCHIVO_DESTINO = opciones.archivo;
+  if (opciones.zona) CONFIG.ZONA_HORARIA = opciones.zona;
+
+  const origen = opciones.origen || CONFIG.DESTINO;
+  const formato = opciones.formato || "csv";
+
+  if (!ORIGENES_EXPORTACION.includes(origen) || origen === "memoria") {
+    console.error(`❌ Origen inválido: ${origen}. Opciones: archivo, firestore`);
+    process.exit(1);
+  }
+  if (!FORMATOS_EXPORTACION.includes(formato)) {
+    console.error(`❌ Formato inválido: ${formato}. Opciones: ${FORMATOS_EXPORTACION.join(", ")}`);
+    process.exit(1);
+  }
+
+  const filtro = {
+    desde: parsearFecha(opciones.desde),
+    hasta: parsearFecha(opciones.hasta),
+    puntos: opciones.puntos ? opciones.puntos.split(",").map(p => p.trim()).filter(Boolean) : null,
+    ejecucion: opciones.ejecucion || null
+  };
+  if ((opciones.desde && !filtro.desde) || (opciones.hasta && !filtro.hasta)) {
+    console.error('❌ Fechas inválidas. Formato: "YYYY-MM-DD HH:mm:ss"');
+    process.exit(1);
+  }
+
+  if (origen === "firestore") {
+    // Los mensajes de login van a stderr para no mezclarse con los datos
+    console.log = console.error;
+    await loginSimulador();
+  }
+
+  const salida = opciones.salida ? createWriteStream(opciones.salida, "utf8") : process.stdout;
+
+  const escribir = async (texto) => {
+    if (!salida.write(texto)) await once(salida, "drain");
+  };
+
+  const total = await exportarLecturas({ origen, formato, filtro, config: CONFIG, escribir });
+
+  if (opciones.salida) {
+    salida.end();
+    await once(salida, "finish");
+  }
+
+  console.error(`📤 ${total} lecturas exportadas (${origen} → ${formato})${opciones.salida ? ` en ${opciones.salida}` : ""}`);
+  process.exit(0);
+}
+
+exportar().catch(err => {
+  console.error("❌ Error exportando lecturas:", err.message);
+  process.exit(1);
+});
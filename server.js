@@ -2,19 +2,41 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { basename, dirname, join } from 'path';
+import { once } from 'events';
+import { timingSafeEqual } from 'crypto';
 import { doc, updateDoc, collection, getDocs, limit, query } from 'firebase/firestore';
 import { auth, db } from './src/firebase.js';
+import { loginSimulador, verificarCredenciales } from './src/auth.js';
+import { crearSesiones, tokenDeEncabezados } from './src/sesiones.js';
+import { cargarRoles, rolDeUsuario, tienePermiso, PERMISOS } from './src/roles.js';
 import { obtenerPuntos } from './src/obtenerPuntos.js';
-import { generarLectura } from './src/generador.js';
-import { enviarLectura } from './src/envio.js';
-import { CONFIG, parsearFecha as parsearFechaOriginal } from './config/config.js';
+import { validarPunto, crearPunto, actualizarPunto, eliminarPunto, importarPuntos, puntosATexto, puntosDesdeTexto, FORMATOS_PUNTOS } from './src/puntos.js';
+import { crearCicloVida, formatearTransicion } from './src/cicloVida.js';
+import { crearRegistroMedidor } from './src/telemetria.js';
+import { idEjecucion, destinoEjecucion, crearCheckpoint, listarCheckpoints } from './src/checkpoints.js';
+import { lecturasDelTick, ticksHistoricos } from './src/simulacion.js';
+import { generarVistaPrevia } from './src/vistaPrevia.js';
+import { crearReplay } from './src/replay.js';
+import { cargarEscenario, crearEscenario, listarEscenarios, parsearEscenario, validarEscenario, describirEvento } from './src/escenarios.js';
+import { crearGestorTrabajos, resumirTrabajo } from './src/trabajos.js';
+import { crearEstadisticas, GRANULARIDADES, AGRUPACIONES, SIN_UBICACION } from './src/estadisticas.js';
+import { exportarLecturas, crearFormato, FORMATOS_EXPORTACION, ORIGENES_EXPORTACION } from './src/exportar.js';
+import { parsearFechaEnZona, formatearFecha, zonaValida } from './src/zonaHoraria.js';
+import { enviarLectura, enviarLecturasBatch, formatearReporteLote } from './src/envio.js';
+import { crearDestino, TIPOS_DESTINO } from './src/destinos/index.js';
+import { estadoWebhooks, MODOS_WEBHOOK } from './src/destinos/webhook.js';
+import { crearDestinoFirestore } from './src/destinos/firestore.js';
+import { crearColaOffline } from './src/colaOffline.js';
+import { obtenerCalendario } from './src/calendario.js';
+import { metricas } from './src/metricas.js';
+import { CONFIG, modoSimulacion, parsearFecha as parsearFechaOriginal } from './config/config.js';
 
 // ============================================
 // FUNCIÓN MEJORADA PARA PARSEAR FECHAS
 // ============================================
-function parsearFecha(fechaStr) {
+// La hora se interpreta en la zona horaria de la simulación (ZONA_HORARIA)
+function parsearFecha(fechaStr, zona = simuladorState.config.ZONA_HORARIA) {
   if (!fechaStr) return null;
   
   // Si ya es un objeto Date, devolverlo
@@ -26,14 +48,11 @@ function parsearFecha(fechaStr) {
   // Si está vacío después de trim, retornar null
   if (!fechaStr) return null;
   
-  // Reemplazar espacio por T para ISO 8601
-  const fechaISO = fechaStr.replace(" ", "T");
-  
-  // Crear fecha
-  const fecha = new Date(fechaISO);
+  // Crear fecha en la zona de la simulación
+  const fecha = parsearFechaEnZona(fechaStr, zona);
   
   // Validar que la fecha es válida
-  if (isNaN(fecha.getTime())) {
+  if (!fecha || isNaN(fecha.getTime())) {
     console.error('❌ Error parseando fecha:', fechaStr);
     return null;
   }
@@ -49,9 +68,96 @@ const server = createServer(app);
 const io = new Server(server);
 
 // ============================================
-// MEJORA 1: Sistema de sesiones por socket
+// MEJORA 1: Sesiones por cliente
 // ============================================
-const sesiones = new Map(); // socketId -> { autenticado, email, puntos }
+// Cada navegador tiene su propia sesión (ver src/sesiones.js). Los sockets
+// autenticados entran a la sala "panel", que recibe los eventos del
+// simulador, y a "sesion:<id>", para avisarles cuando su sesión termina
+const sesiones = crearSesiones({ duracionMs: CONFIG.SESIONES.DURACION_MS });
+const panel = io.to('panel');
+
+function salaSesion(sesion) {
+    return `sesion:${sesion.id}`;
+}
+
+function sesionDePeticion(req) {
+    return sesiones.obtener(tokenDeEncabezados(req.headers, CONFIG.SESIONES.COOKIE));
+}
+
+// Las rutas que cambian algo requieren una sesión: la cookie del panel o "Authorization: Bearer <token>"
+function requiereSesion(req, res, next) {
+    const sesion = sesionDePeticion(req);
+    if (!sesion) {
+        return res.status(401).json({ 
+            success: false, 
+            message: 'Debes iniciar sesión primero' 
+        });
+    }
+    
+    req.sesion = sesion;
+    next();
+}
+
+// Además de la sesión, el rol del usuario debe tener el permiso (ver src/roles.js)
+function requierePermiso(permiso) {
+    return (req, res, next) => requiereSesion(req, res, () => {
+        if (!tienePermiso(req.sesion.rol, permiso)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `Tu rol (${req.sesion.rol}) no tiene permiso para esta acción` 
+            });
+        }
+        next();
+    });
+}
+
+// Campos de configuración que un rol sin "configurar" puede enviar al crear un
+// trabajo o una vista previa: el destino, las rutas y las URLs son de administración
+const CAMPOS_OPERADOR = ['fechaInicio', 'fechaFin'];
+
+// Responde 403 si la sesión no puede enviar alguno de los campos (true si respondió)
+function rechazarCamposReservados(req, res, cambios) {
+    if (tienePermiso(req.sesion.rol, 'configurar')) return false;
+    
+    const reservados = Object.keys(cambios).filter(campo => cambios[campo] !== undefined && !CAMPOS_OPERADOR.includes(campo));
+    if (reservados.length === 0) return false;
+    
+    res.status(403).json({ 
+        success: false, 
+        message: `Tu rol (${req.sesion.rol}) solo puede elegir el modo, los puntos y las fechas (no: ${reservados.join(', ')})` 
+    });
+    return true;
+}
+
+// Estado de autenticación que reciben el panel y los sockets
+function estadoAuth(sesion) {
+    return {
+        autenticado: !!sesion,
+        email: sesion?.email || null,
+        rol: sesion?.rol || null,
+        permisos: sesion ? PERMISOS[sesion.rol] : []
+    };
+}
+
+// Saca a los sockets de una sesión que terminó de todas las salas del panel
+async function desvincularSockets(sesion) {
+    const sockets = await io.in(salaSesion(sesion)).fetchSockets();
+    for (const socket of sockets) {
+        socket.emit('auth-status', estadoAuth(null));
+        for (const sala of socket.rooms) {
+            if (sala !== socket.id) socket.leave(sala);
+        }
+        socket.data.sesion = null;
+    }
+}
+
+// Las sesiones vencidas se cierran solas
+setInterval(() => {
+    for (const sesion of sesiones.purgar()) {
+        console.log(`⌛ Sesión vencida: ${sesion.email}`);
+        desvincularSockets(sesion);
+    }
+}, 60000);
 
 // ============================================
 // MEJORA 2: Estado del servidor
@@ -60,16 +166,25 @@ let connectedClients = 0;
 const serverStartTime = Date.now();
 
 // Estado global del simulador (compartido entre sesiones autenticadas)
+// La configuración es la del panel: cada trabajo nuevo parte de una copia
 let simuladorState = {
-    corriendo: false,
     puntos: [],
     lecturas: [],
     totalEnviadas: 0,
     ultimaLectura: null,
-    intervalo: null,
+    escenario: null,          // { definicion, origen } cargado para los próximos trabajos
     config: { ...CONFIG }
 };
 
+// Simulaciones en curso y terminadas (ver src/trabajos.js)
+const gestorTrabajos = crearGestorTrabajos();
+
+// Agregados por hora, día y mes de todas las lecturas generadas (ver src/estadisticas.js)
+const estadisticas = crearEstadisticas({
+    retencion: { hora: CONFIG.ESTADISTICAS.HORAS, dia: CONFIG.ESTADISTICAS.DIAS, mes: CONFIG.ESTADISTICAS.MESES },
+    ubicacionDe: id => buscarPunto(id)?.ubicacion
+});
+
 // ============================================
 // MEJORA 3: Health check de Firebase
 // ============================================
@@ -88,16 +203,21 @@ async function checkFirebaseHealth() {
         
         if (!firebaseHealthy) {
             firebaseHealthy = true;
-            io.emit('firebase-status', { healthy: true });
-            io.emit('log', { tipo: 'success', mensaje: 'âœ… ConexiÃ³n a Firebase restaurada' });
+            panel.emit('firebase-status', { healthy: true });
+            panel.emit('log', { tipo: 'success', mensaje: 'âœ… ConexiÃ³n a Firebase restaurada' });
             console.log('âœ… Firebase connection restored');
         }
         lastFirebaseCheck = Date.now();
+        
+        // Reenviar lo acumulado mientras Firebase no respondía
+        if (colaOffline.tamano > 0) {
+            reproducirColaOffline();
+        }
     } catch (error) {
         if (firebaseHealthy) {
             firebaseHealthy = false;
-            io.emit('firebase-status', { healthy: false });
-            io.emit('log', { tipo: 'error', mensaje: 'âŒ Sin conexiÃ³n a Firebase' });
+            panel.emit('firebase-status', { healthy: false });
+            panel.emit('log', { tipo: 'error', mensaje: 'âŒ Sin conexiÃ³n a Firebase' });
             console.error('âŒ Firebase connection lost:', error.message);
         }
     }
@@ -106,9 +226,178 @@ async function checkFirebaseHealth() {
 // Verificar salud de Firebase cada 30 segundos (solo si hay autenticación)
 setInterval(checkFirebaseHealth, 30000);
 
+// Cargar el calendario de feriados al iniciar: sin él cada lectura fallaría,
+// así que un archivo ausente o inválido detiene el servidor
+try {
+    const calendario = obtenerCalendario(CONFIG.RUTA_CALENDARIO, CONFIG.TIPOS_DIA);
+    if (calendario) {
+        console.log(`📆 Calendario cargado: ${calendario.reglas.length} reglas (${CONFIG.RUTA_CALENDARIO})`);
+    }
+} catch (error) {
+    console.error('❌ Error cargando el calendario:', error.message);
+    process.exit(1);
+}
+
+// ============================================
+// COLA OFFLINE DE LECTURAS (FIRESTORE)
+// ============================================
+// Las lecturas que no llegan a Firestore (sin conexión o error de envío) se
+// guardan en disco y se reenvían en orden de fecha cuando Firebase se recupera
+const colaOffline = crearColaOffline({ ruta: CONFIG.RUTA_COLA_OFFLINE });
+const destinoCola = crearDestinoFirestore();
+
+const lecturasEnCola = await colaOffline.cargar();
+if (lecturasEnCola > 0) {
+    console.log(`💾 ${lecturasEnCola} lecturas pendientes en la cola offline`);
+}
+
+// ============================================
+// REGISTRO ACUMULADO DE LOS MEDIDORES
+// ============================================
+// Con TELEMETRIA.ACTIVO cada punto lleva un registro de kWh que nunca baja
+// y continúa donde quedó al reiniciar el servidor
+const registroMedidores = crearRegistroMedidor({ ruta: CONFIG.TELEMETRIA.RUTA_REGISTROS });
+
+try {
+    const medidores = await registroMedidores.cargar();
+    if (medidores > 0) {
+        console.log(`🔢 Registros acumulados cargados para ${medidores} medidores`);
+    }
+} catch (error) {
+    console.error('❌ Error cargando los registros de los medidores:', error.message);
+}
+
+function guardarRegistros() {
+    registroMedidores.guardar().catch(error => {
+        console.error('❌ Error guardando los registros de los medidores:', error.message);
+    });
+}
+
+// ============================================
+// ESCENARIOS CON EVENTOS PROGRAMADOS
+// ============================================
+if (CONFIG.ESCENARIO) {
+    try {
+        simuladorState.escenario = { definicion: await cargarEscenario(CONFIG.ESCENARIO), origen: CONFIG.ESCENARIO };
+        console.log(`🎬 Escenario cargado: ${simuladorState.escenario.definicion.nombre || CONFIG.ESCENARIO}`);
+    } catch (error) {
+        console.error('❌ Error cargando el escenario:', error.message);
+    }
+}
+
+/**
+ * Prepara el escenario de un trabajo que empieza en `inicio`
+ * Los eventos relativos ("+30m") y por hora ("14:00") se cuentan desde ahí
+ * @param {Object} trabajo
+ * @param {Date} inicio
+ */
+function prepararEscenario(trabajo, inicio) {
+    const { escenario, config } = trabajo;
+    trabajo.escenarioEnCurso = escenario
+        ? crearEscenario(escenario.definicion, { inicio, zona: config.ZONA_HORARIA })
+        : null;
+    
+    if (trabajo.escenarioEnCurso) {
+        logTrabajo(trabajo, 'info', `🎬 Escenario "${trabajo.escenarioEnCurso.nombre}" (${escenario.definicion.eventos.length} eventos)`);
+    }
+    // Último instante simulado en que se revisó el escenario (en histórico no es "ahora")
+    trabajo.fechaEscenario = inicio;
+    emitirEscenario();
+}
+
+// Trabajo más reciente que corre con el escenario cargado en el panel
+function trabajoConEscenario() {
+    return gestorTrabajos.activos()
+        .reverse()
+        .find(trabajo => trabajo.escenarioEnCurso && trabajo.escenario === simuladorState.escenario) ?? null;
+}
+
+// Estado del escenario para el panel
+function estadoEscenario() {
+    const { escenario } = simuladorState;
+    if (!escenario) return null;
+    
+    const trabajo = trabajoConEscenario();
+    return {
+        origen: escenario.origen,
+        nombre: escenario.definicion.nombre || null,
+        trabajo: trabajo?.id ?? null,
+        ...(trabajo 
+            ? trabajo.escenarioEnCurso.estado(trabajo.fechaEscenario ?? new Date()) 
+            : { eventos: escenario.definicion.eventos.map(evento => ({ descripcion: describirEvento(evento), en: evento.en, duracion: evento.duracion ?? null, estado: 'pendiente' })) })
+    };
+}
+
+function emitirEscenario() {
+    panel.emit('escenario', estadoEscenario());
+}
+
+// Avisa los eventos del escenario de un trabajo que empezaron o terminaron hasta `fecha`
+function notificarEscenario(trabajo, fecha) {
+    const { escenarioEnCurso, config } = trabajo;
+    if (!escenarioEnCurso) return;
+    
+    trabajo.fechaEscenario = fecha;
+    const cambios = escenarioEnCurso.transiciones(fecha);
+    for (const { evento, inicia } of cambios) {
+        const mensaje = `🎬 ${inicia ? 'Inicia' : 'Termina'}: ${evento.descripcion} - ${formatearFecha(fecha, config.ZONA_HORARIA)}`;
+        logTrabajo(trabajo, inicia ? 'warning' : 'info', mensaje);
+        console.log(`[${trabajo.id}] ${mensaje}`);
+    }
+    if (cambios.length > 0) emitirEscenario();
+}
+
+function usaFirestore(trabajo) {
+    return trabajo.destino?.tipo === 'firestore';
+}
+
+function emitirEstadoCola() {
+    panel.emit('cola-offline', colaOffline.estado());
+}
+
+async function encolarLecturas(lecturas, motivo, trabajo = null) {
+    try {
+        await colaOffline.agregar(lecturas);
+        if (trabajo) trabajo.contadores.encoladas += lecturas.length;
+        panel.emit('log', { tipo: 'warning', mensaje: `💾 ${lecturas.length} lecturas guardadas en cola offline (${motivo})` });
+    } catch (error) {
+        console.error('❌ Error escribiendo la cola offline:', error.message);
+        panel.emit('log', { tipo: 'error', mensaje: `❌ No se pudo guardar en cola offline: ${error.message}` });
+    }
+    emitirEstadoCola();
+}
+
+async function reproducirColaOffline() {
+    panel.emit('log', { tipo: 'info', mensaje: `🔁 Reenviando ${colaOffline.tamano} lecturas de la cola offline...` });
+    
+    try {
+        let enviadas = [];
+        const reporte = await colaOffline.reproducir(async (lecturas) => {
+            const resultado = await enviarLecturasBatch(lecturas, destinoCola, simuladorState.config);
+            const fallidas = new Set(resultado.lecturasFallidas);
+            enviadas = lecturas.filter(lectura => !fallidas.has(lectura));
+            return resultado;
+        });
+        
+        if (reporte) {
+            registrarLecturas(enviadas);
+            panel.emit('log', { 
+                tipo: reporte.fallidas > 0 ? 'warning' : 'success', 
+                mensaje: `🔁 Cola offline → ${formatearReporteLote(reporte)}` 
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error reproduciendo la cola offline:', error.message);
+        panel.emit('log', { tipo: 'error', mensaje: `❌ Error reenviando cola offline: ${error.message}` });
+    }
+    
+    emitirEstadoCola();
+}
+
 // Servir archivos estÃ¡ticos
 app.use(express.static(join(__dirname, 'public')));
-app.use(express.json());
+// Límite mayor que el de por defecto (100kb) para importar puntos
+app.use(express.json({ limit: '5mb' }));
 
 // ============================================
 // API: LOGIN CON FIREBASE AUTH (MEJORADO)
@@ -124,32 +413,43 @@ app.post('/api/login', async (req, res) => {
     }
     
     try {
-        const userCredential = await signInWithEmailAndPassword(auth, email, password);
-        const user = userCredential.user;
+        const usuario = await verificarCredenciales(email, password);
+        usuario.rol = rolDeUsuario(await cargarRoles(CONFIG.ROLES.RUTA), usuario.email, CONFIG.ROLES.POR_DEFECTO);
+        
+        // La conexión del servidor con Firestore se abre con el primer login, siempre
+        // con la cuenta del simulador (no con la del usuario), y se comparte entre sesiones
+        if (!auth.currentUser) {
+            await loginSimulador();
+        }
+        
+        const { sesion, token } = sesiones.crear(usuario);
         
         // MEJORA: Cargar puntos automáticamente en login
         const puntos = await obtenerPuntos();
-        
-        // Guardar en sesión global (temporal - mejorar con sessions reales)
         simuladorState.puntos = puntos;
         
-        io.emit('log', { tipo: 'success', mensaje: `✅ Login exitoso: ${user.email}` });
-        io.emit('auth-status', { 
-            autenticado: true, 
-            email: user.email 
-        });
+        panel.emit('log', { tipo: 'success', mensaje: `✅ Login exitoso: ${usuario.email}` });
         
         // MEJORA: Emitir puntos inmediatamente
-        io.emit('puntos', puntos);
-        io.emit('log', { tipo: 'info', mensaje: `📍 ${puntos.length} puntos cargados` });
+        panel.emit('puntos', puntos);
+        panel.emit('log', { tipo: 'info', mensaje: `📍 ${puntos.length} puntos cargados` });
         
-        console.log(`✅ Usuario autenticado: ${user.email}`);
+        console.log(`✅ Usuario autenticado: ${usuario.email} [${usuario.rol}] (${sesiones.cantidad} sesiones)`);
         console.log(`📍 ${puntos.length} puntos cargados automáticamente`);
         
+        // El panel usa la cookie; otros clientes pueden enviar el token como "Authorization: Bearer"
+        res.cookie(CONFIG.SESIONES.COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: CONFIG.SESIONES.DURACION_MS
+        });
         res.json({ 
             success: true, 
-            email: user.email,
+            ...estadoAuth(sesion),
             message: 'Autenticación exitosa',
+            token,
+            expira: sesion.expira.toISOString(),
             puntosCount: puntos.length
         });
         
@@ -177,7 +477,7 @@ app.post('/api/login', async (req, res) => {
                 mensaje = error.message;
         }
         
-        io.emit('log', { tipo: 'error', mensaje: `❌ Login fallido: ${mensaje}` });
+        panel.emit('log', { tipo: 'error', mensaje: `❌ Login fallido: ${mensaje}` });
         
         res.status(401).json({ 
             success: false, 
@@ -186,17 +486,21 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+// Cierra solo la sesión de quien llama; las demás pestañas y usuarios siguen igual
 app.post('/api/logout', async (req, res) => {
+    const sesion = sesionDePeticion(req);
+    res.clearCookie(CONFIG.SESIONES.COOKIE);
+    
+    if (!sesion) {
+        return res.json({ success: true });
+    }
+    
     try {
-        await signOut(auth);
+        sesiones.cerrar(sesion.id);
+        await desvincularSockets(sesion);
         
-        // Detener simulador si está corriendo
-        if (simuladorState.corriendo) {
-            detenerSimulador();
-        }
-        
-        io.emit('auth-status', { autenticado: false, email: null });
-        io.emit('log', { tipo: 'info', mensaje: '👋 Sesión cerrada' });
+        panel.emit('log', { tipo: 'info', mensaje: `👋 Sesión cerrada: ${sesion.email}` });
+        console.log(`👋 Sesión cerrada: ${sesion.email} (${sesiones.cantidad} sesiones)`);
         
         res.json({ success: true });
     } catch (error) {
@@ -205,23 +509,26 @@ app.post('/api/logout', async (req, res) => {
 });
 
 app.get('/api/auth-status', (req, res) => {
-    const user = auth.currentUser;
-    res.json({
-        autenticado: !!user,
-        email: user?.email || null
-    });
+    res.json(estadoAuth(sesionDePeticion(req)));
 });
 
 // ============================================
 // API: ESTADO Y CONFIGURACIÓN
 // ============================================
 app.get('/api/status', (req, res) => {
+    const activos = gestorTrabajos.activos();
+    const sesion = sesionDePeticion(req);
+    
     res.json({
-        corriendo: simuladorState.corriendo,
-        autenticado: !!auth.currentUser,
+        corriendo: activos.length > 0,
+        autenticado: !!sesion,
         totalEnviadas: simuladorState.totalEnviadas,
         puntosCount: simuladorState.puntos.length,
-        config: simuladorState.config
+        // Estados del ciclo de vida del trabajo más reciente que lo usa
+        estadosPuntos: [...activos].reverse().find(trabajo => trabajo.cicloVida)?.cicloVida.estados() ?? null,
+        trabajos: activos.map(resumirTrabajo),
+        // La configuración lleva URLs y encabezados (tokens del webhook): solo con sesión
+        ...(sesion ? { config: simuladorState.config } : {})
     });
 });
 
@@ -241,6 +548,9 @@ app.get('/api/server-stats', (req, res) => {
         connectedClients,
         firebaseHealthy,
         lastFirebaseCheck: new Date(lastFirebaseCheck).toISOString(),
+        colaOffline: colaOffline.estado(),
+        // Contadores por endpoint del destino "webhook"
+        webhooks: estadoWebhooks(),
         memory: {
             heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024),
             heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024),
@@ -250,16 +560,92 @@ app.get('/api/server-stats', (req, res) => {
 });
 
 // ============================================
-// API: TOGGLE PUNTO (ENCENDER/APAGAR)
+// MÉTRICAS PROMETHEUS
 // ============================================
-app.post('/api/puntos/:id/toggle', async (req, res) => {
-    if (!auth.currentUser) {
-        return res.status(401).json({ 
-            success: false, 
-            message: 'Debes iniciar sesión primero' 
-        });
+const lecturasGeneradas = metricas.contador(
+    'nubeverde_lecturas_generadas_total',
+    'Lecturas generadas por los trabajos, por punto y estado',
+    ['punto', 'estado']
+);
+const lecturasEnviadas = metricas.contador(
+    'nubeverde_lecturas_enviadas_total',
+    'Lecturas guardadas en el destino (incluye las reenviadas desde la cola offline)',
+    ['punto', 'estado']
+);
+const firebaseSaludable = metricas.medidor('nubeverde_firebase_saludable', '1 si el último health check de Firebase respondió, 0 si no');
+const firebaseUltimoCheck = metricas.medidor('nubeverde_firebase_ultimo_check_segundos', 'Hora (epoch) del último health check exitoso de Firebase');
+const colaOfflinePendientes = metricas.medidor('nubeverde_cola_offline_lecturas', 'Lecturas en la cola offline esperando reenvío');
+const trabajosPorEstado = metricas.medidor('nubeverde_trabajos', 'Trabajos de simulación conservados, por modo y estado', ['modo', 'estado']);
+const progresoTrabajo = metricas.medidor('nubeverde_trabajo_progreso_ratio', 'Avance (0 a 1) de los trabajos históricos y de replay en curso', ['trabajo', 'modo']);
+const fechaSimulada = metricas.medidor('nubeverde_trabajo_fecha_simulada_segundos', 'Fecha simulada (epoch) del último lote de los trabajos en curso', ['trabajo', 'modo']);
+const clientesSocket = metricas.medidor('nubeverde_clientes_socket', 'Clientes Socket.IO conectados');
+const memoriaResidente = metricas.medidor('process_resident_memory_bytes', 'Memoria residente del proceso en bytes');
+const memoriaHeap = metricas.medidor('nodejs_heap_bytes', 'Heap de V8 en bytes', ['tipo']);
+const memoriaExterna = metricas.medidor('nodejs_external_memory_bytes', 'Memoria de objetos C++ ligados a JavaScript en bytes');
+const inicioProceso = metricas.medidor('process_start_time_seconds', 'Hora (epoch) de inicio del proceso');
+
+// Cuenta las lecturas por punto y estado (Prometheus)
+function contarLecturas(contador, lecturas) {
+    for (const lectura of lecturas) {
+        contador.inc({ punto: lectura.id_punto, estado: lectura.estado });
     }
-    
+}
+
+// Los valores que ya lleva el servidor se leen al servir /metrics
+metricas.alRecolectar(() => {
+    firebaseSaludable.set({}, firebaseHealthy ? 1 : 0);
+    firebaseUltimoCheck.set({}, Math.floor(lastFirebaseCheck / 1000));
+    colaOfflinePendientes.set({}, colaOffline.tamano);
+    clientesSocket.set({}, connectedClients);
+
+    trabajosPorEstado.reiniciar();
+    progresoTrabajo.reiniciar();
+    fechaSimulada.reiniciar();
+    const conteos = new Map();
+    for (const trabajo of gestorTrabajos.listar()) {
+        const clave = `${trabajo.modo}|${trabajo.estado}`;
+        conteos.set(clave, (conteos.get(clave) ?? 0) + 1);
+
+        if (trabajo.estado === 'corriendo' && trabajo.progreso) {
+            const etiquetas = { trabajo: trabajo.id, modo: trabajo.modo };
+            progresoTrabajo.set(etiquetas, Number(trabajo.progreso.progreso) / 100);
+            fechaSimulada.set(etiquetas, Math.floor(new Date(trabajo.progreso.fechaActual).getTime() / 1000));
+        }
+    }
+    for (const [clave, cantidad] of conteos) {
+        const [modo, estado] = clave.split('|');
+        trabajosPorEstado.set({ modo, estado }, cantidad);
+    }
+
+    const memoria = process.memoryUsage();
+    memoriaResidente.set({}, memoria.rss);
+    memoriaHeap.set({ tipo: 'usado' }, memoria.heapUsed);
+    memoriaHeap.set({ tipo: 'total' }, memoria.heapTotal);
+    memoriaExterna.set({}, memoria.external);
+    inicioProceso.set({}, Math.floor(serverStartTime / 1000));
+});
+
+// Token opcional para Prometheus ("Authorization: Bearer <METRICAS_TOKEN>")
+const tokenMetricas = process.env.METRICAS_TOKEN || null;
+
+function tokenMetricasValido(req) {
+    const autorizacion = req.headers.authorization || '';
+    const recibido = Buffer.from(autorizacion.startsWith('Bearer ') ? autorizacion.slice('Bearer '.length).trim() : '');
+    const esperado = Buffer.from(tokenMetricas);
+    return recibido.length === esperado.length && timingSafeEqual(recibido, esperado);
+}
+
+app.get('/metrics', (req, res) => {
+    if (tokenMetricas && !tokenMetricasValido(req)) {
+        return res.status(401).type('text/plain').send('Token de métricas inválido\n');
+    }
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metricas.serializar());
+});
+
+// ============================================
+// API: TOGGLE PUNTO (ENCENDER/APAGAR)
+// ============================================
+app.post('/api/puntos/:id/toggle', requierePermiso('encender_puntos'), async (req, res) => {
     const puntoId = req.params.id;
     
     try {
@@ -279,9 +665,9 @@ app.post('/api/puntos/:id/toggle', async (req, res) => {
         
         punto.activo = nuevoEstado;
         
-        io.emit('punto-actualizado', { id: puntoId, activo: nuevoEstado });
-        io.emit('puntos', simuladorState.puntos);
-        io.emit('log', { 
+        panel.emit('punto-actualizado', { id: puntoId, activo: nuevoEstado });
+        panel.emit('puntos', simuladorState.puntos);
+        panel.emit('log', { 
             tipo: nuevoEstado ? 'success' : 'warning', 
             mensaje: `${nuevoEstado ? '🟢' : '⚫'} Punto ${puntoId} ${nuevoEstado ? 'ACTIVADO' : 'DESACTIVADO'}` 
         });
@@ -296,7 +682,7 @@ app.post('/api/puntos/:id/toggle', async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error actualizando punto:', error);
-        io.emit('log', { tipo: 'error', mensaje: `❌ Error al actualizar ${puntoId}: ${error.message}` });
+        panel.emit('log', { tipo: 'error', mensaje: `❌ Error al actualizar ${puntoId}: ${error.message}` });
         res.status(500).json({ 
             success: false, 
             message: error.message 
@@ -304,11 +690,7 @@ app.post('/api/puntos/:id/toggle', async (req, res) => {
     }
 });
 
-app.post('/api/puntos/toggle-all', async (req, res) => {
-    if (!auth.currentUser) {
-        return res.status(401).json({ success: false, message: 'No autenticado' });
-    }
-    
+app.post('/api/puntos/toggle-all', requierePermiso('encender_puntos'), async (req, res) => {
     const { activo } = req.body;
     
     try {
@@ -318,8 +700,8 @@ app.post('/api/puntos/toggle-all', async (req, res) => {
             punto.activo = activo;
         }
         
-        io.emit('puntos', simuladorState.puntos);
-        io.emit('log', { 
+        panel.emit('puntos', simuladorState.puntos);
+        panel.emit('log', { 
             tipo: activo ? 'success' : 'warning', 
             mensaje: `${activo ? '🟢' : '⚫'} Todos los puntos ${activo ? 'ACTIVADOS' : 'DESACTIVADOS'}` 
         });
@@ -331,277 +713,1564 @@ app.post('/api/puntos/toggle-all', async (req, res) => {
     }
 });
 
-app.get('/api/lecturas', (req, res) => {
-    res.json(simuladorState.lecturas.slice(-50));
-});
-
 // ============================================
-// MEJORA 5: Validación de configuración
+// API: ADMINISTRACIÓN DE PUNTOS
 // ============================================
-app.post('/api/config', (req, res) => {
-    const { intervalo, fechaInicio, fechaFin, simularPicos, factorPico, factorFinSemana } = req.body;
-    
-    // Validaciones
-    const errores = [];
-    
-    if (fechaInicio && fechaFin) {
-        // Convertir formato datetime-local a formato esperado
-        const inicio = fechaInicio.replace('T', ' ') + ':00';
-        const fin = fechaFin.replace('T', ' ') + ':00';
-        
-        const fechaInicioDate = parsearFecha(inicio);
-        const fechaFinDate = parsearFecha(fin);
-        
-        if (fechaInicioDate >= fechaFinDate) {
-            errores.push('La fecha de inicio debe ser anterior a la fecha de fin');
-        }
-        
-        // Calcular total de lecturas estimadas
-        const diff = fechaFinDate.getTime() - fechaInicioDate.getTime();
-        const incremento = simuladorState.config.INCREMENTO_TIEMPO_MS || 3600000;
-        const totalLotes = Math.ceil(diff / incremento);
-        const totalLecturas = totalLotes * simuladorState.puntos.length;
-        
-        if (totalLecturas > 10000) {
-            errores.push(`Se generarían aproximadamente ${totalLecturas} lecturas. Considera reducir el rango de fechas.`);
-        }
-        
-        simuladorState.config.FECHA_INICIO = inicio;
-        simuladorState.config.FECHA_FIN = fin;
+// Los cambios se guardan en Firestore y reemplazan al punto en memoria: los
+// trabajos que están corriendo los toman en el siguiente tick (ver puntosDeTrabajo)
+
+function buscarPunto(id) {
+    return simuladorState.puntos.find(p => p.id === id) ?? null;
+}
+
+function reemplazarPunto(punto) {
+    const indice = simuladorState.puntos.findIndex(p => p.id === punto.id);
+    if (indice === -1) {
+        simuladorState.puntos.push(punto);
+    } else {
+        simuladorState.puntos[indice] = punto;
     }
-    
-    if (intervalo) {
-        if (intervalo < 5) {
-            errores.push('El intervalo mínimo es de 5 segundos');
-        }
-        simuladorState.config.INTERVALO_MS = intervalo * 1000;
+}
+
+function emitirCambioPuntos(tipo, mensaje) {
+    panel.emit('puntos', simuladorState.puntos);
+    panel.emit('log', { tipo, mensaje });
+    console.log(mensaje);
+}
+
+app.post('/api/puntos', requierePermiso('editar_puntos'), async (req, res) => {
+    try {
+        await cargarPuntosSiFaltan();
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
     }
     
-    if (fechaInicio !== undefined && !fechaFin) {
-        simuladorState.config.FECHA_INICIO = fechaInicio ? fechaInicio.replace('T', ' ') + ':00' : null;
+    const { campos, errores } = validarPunto(req.body);
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
     }
-    
-    if (fechaFin !== undefined && !fechaInicio) {
-        simuladorState.config.FECHA_FIN = fechaFin ? fechaFin.replace('T', ' ') + ':00' : null;
+    if (buscarPunto(campos.id)) {
+        return res.status(409).json({ success: false, message: `Ya existe un punto con id ${campos.id}` });
     }
     
-    if (simularPicos !== undefined) simuladorState.config.SIMULAR_PICOS = simularPicos;
-    if (factorPico) simuladorState.config.FACTOR_PICO = factorPico;
-    if (factorFinSemana) simuladorState.config.FACTOR_FIN_SEMANA = factorFinSemana;
-    
-    if (errores.length > 0) {
+    try {
+        const punto = await crearPunto(campos);
+        reemplazarPunto(punto);
+        emitirCambioPuntos('success', `➕ Punto ${punto.id} creado por ${req.sesion.email}`);
+        res.status(201).json({ success: true, punto });
+    } catch (error) {
+        console.error('❌ Error creando punto:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// GET /api/puntos/exportar?formato=csv|json
+app.get('/api/puntos/exportar', requiereSesion, (req, res) => {
+    const formato = req.query.formato || 'csv';
+    if (!FORMATOS_PUNTOS.includes(formato)) {
         return res.status(400).json({ 
             success: false, 
-            errores,
-            config: simuladorState.config 
+            errores: [`Formato inválido. Opciones: ${FORMATOS_PUNTOS.join(', ')}`] 
         });
     }
     
-    io.emit('config-updated', simuladorState.config);
-    res.json({ success: true, config: simuladorState.config });
+    res.setHeader('Content-Type', formato === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="puntos.${formato}"`);
+    res.send(puntosATexto(simuladorState.puntos, formato));
 });
 
-app.post('/api/iniciar', async (req, res) => {
-    if (!auth.currentUser) {
-        return res.status(401).json({ 
+// POST /api/puntos/importar { formato: "csv"|"json", contenido: "..." }
+// Crea los ids nuevos y actualiza los existentes. Si alguna fila es inválida no se guarda nada
+app.post('/api/puntos/importar', requierePermiso('editar_puntos'), async (req, res) => {
+    const { formato = 'csv', contenido } = req.body;
+    
+    if (!FORMATOS_PUNTOS.includes(formato)) {
+        return res.status(400).json({ 
             success: false, 
-            message: 'Debes iniciar sesión primero' 
+            errores: [`Formato inválido. Opciones: ${FORMATOS_PUNTOS.join(', ')}`] 
         });
     }
-    
-    if (simuladorState.corriendo) {
-        return res.json({ success: false, message: 'El simulador ya está corriendo' });
+    if (typeof contenido !== 'string' || !contenido.trim()) {
+        return res.status(400).json({ success: false, errores: ['El archivo está vacío'] });
     }
     
+    let filas;
     try {
-        // MEJORA: Solo re-obtener puntos si no están cargados
-        if (simuladorState.puntos.length === 0) {
-            simuladorState.puntos = await obtenerPuntos();
-            io.emit('log', { tipo: 'info', mensaje: `📍 ${simuladorState.puntos.length} puntos cargados` });
-            io.emit('puntos', simuladorState.puntos);
-        }
-        
-        const modo = simuladorState.config.FECHA_INICIO ? 'historico' : 'tiempo_real';
+        await cargarPuntosSiFaltan();
+        filas = puntosDesdeTexto(contenido, formato);
+    } catch (error) {
+        return res.status(400).json({ success: false, errores: [error.message] });
+    }
+    
+    const errores = [];
+    const cambios = [];
+    const vistos = new Set();
+    
+    for (const { fila, datos } of filas) {
+        const id = String(datos?.id ?? '').trim();
+        const existente = buscarPunto(id);
+        const validacion = validarPunto(datos, { idActual: existente?.id });
         
-        // IMPORTANTE: Establecer corriendo=true ANTES de iniciar los modos
-        // para evitar race condition en modo histórico
-        simuladorState.corriendo = true;
-        io.emit('status', { corriendo: true, modo });
+        if (vistos.has(id)) {
+            validacion.errores.push('id repetido en el archivo');
+        }
+        vistos.add(id);
         
-        if (modo === 'historico') {
-            iniciarModoHistorico();
+        if (validacion.errores.length > 0) {
+            errores.push(...validacion.errores.map(error => `Fila ${fila}${id ? ` (${id})` : ''}: ${error}`));
         } else {
-            iniciarModoTiempoReal();
+            cambios.push({ existente, campos: validacion.campos });
         }
+    }
+    
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
+    if (cambios.length === 0) {
+        return res.status(400).json({ success: false, errores: ['El archivo no tiene puntos'] });
+    }
+    
+    try {
+        const puntos = await importarPuntos(cambios);
+        puntos.forEach(reemplazarPunto);
         
-        res.json({ success: true, modo });
-        
+        const creados = cambios.filter(cambio => !cambio.existente).length;
+        const actualizados = cambios.length - creados;
+        emitirCambioPuntos('success', `📥 Puntos importados: ${creados} nuevos, ${actualizados} actualizados`);
+        res.json({ success: true, creados, actualizados });
     } catch (error) {
-        io.emit('log', { tipo: 'error', mensaje: `❌ Error: ${error.message}` });
-        res.json({ success: false, message: error.message });
+        console.error('❌ Error importando puntos:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.post('/api/detener', (req, res) => {
-    detenerSimulador();
-    res.json({ success: true });
-});
-
-// Funciones del simulador
-function iniciarModoTiempoReal() {
-    io.emit('log', { tipo: 'info', mensaje: `🕐 Modo TIEMPO REAL - Intervalo: ${simuladorState.config.INTERVALO_MS / 1000}s` });
+// El id no se puede cambiar; los campos que no vienen en el cuerpo se mantienen
+app.put('/api/puntos/:id', requierePermiso('editar_puntos'), async (req, res) => {
+    const actual = buscarPunto(req.params.id);
+    if (!actual) {
+        return res.status(404).json({ success: false, message: 'Punto no encontrado' });
+    }
     
-    ejecutarCiclo(new Date());
+    const { campos, errores } = validarPunto(req.body, { idActual: actual.id });
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
     
-    simuladorState.intervalo = setInterval(() => {
-        ejecutarCiclo(new Date());
-    }, simuladorState.config.INTERVALO_MS);
-}
+    try {
+        const punto = await actualizarPunto(actual, campos);
+        reemplazarPunto(punto);
+        panel.emit('punto-actualizado', { id: punto.id, activo: punto.activo });
+        emitirCambioPuntos('info', `✏️ Punto ${punto.id} editado por ${req.sesion.email}`);
+        res.json({ success: true, punto });
+    } catch (error) {
+        console.error('❌ Error editando punto:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-// ============================================
-// MEJORA 6: Modo histórico mejorado con progreso
-// ============================================
-async function iniciarModoHistorico() {
-    io.emit('log', { tipo: 'info', mensaje: '📅 Modo HISTÓRICO iniciado' });
-    
-    const fechaInicio = parsearFecha(simuladorState.config.FECHA_INICIO);
-    const fechaFin = parsearFecha(simuladorState.config.FECHA_FIN) || new Date();
-    const incremento = simuladorState.config.INCREMENTO_TIEMPO_MS || 3600000;
+// POST /api/puntos/:id/clonar { id: "N9", nombre?: "..." }
+app.post('/api/puntos/:id/clonar', requierePermiso('editar_puntos'), async (req, res) => {
+    const original = buscarPunto(req.params.id);
+    if (!original) {
+        return res.status(404).json({ success: false, message: 'Punto no encontrado' });
+    }
     
-    // Calcular total de lotes
-    const diff = fechaFin.getTime() - fechaInicio.getTime();
-    const totalLotes = Math.ceil(diff / incremento);
-    const totalLecturasEstimadas = totalLotes * simuladorState.puntos.length;
+    const { docId, ...datos } = original;
+    const { campos, errores } = validarPunto({ 
+        ...datos, 
+        nombre: `${original.nombre} (copia)`, 
+        ...req.body 
+    });
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
+    if (buscarPunto(campos.id)) {
+        return res.status(409).json({ success: false, message: `Ya existe un punto con id ${campos.id}` });
+    }
     
-    io.emit('log', { tipo: 'info', mensaje: `   Desde: ${fechaInicio.toLocaleString('es-SV')}` });
-    io.emit('log', { tipo: 'info', mensaje: `   Hasta: ${fechaFin.toLocaleString('es-SV')}` });
-    io.emit('log', { tipo: 'info', mensaje: `   Total de lotes estimados: ${totalLotes}` });
-    io.emit('log', { tipo: 'info', mensaje: `   Lecturas estimadas: ~${totalLecturasEstimadas}` });
+    try {
+        const punto = await crearPunto(campos);
+        reemplazarPunto(punto);
+        emitirCambioPuntos('success', `📄 Punto ${original.id} clonado como ${punto.id}`);
+        res.status(201).json({ success: true, punto });
+    } catch (error) {
+        console.error('❌ Error clonando punto:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Los trabajos que lo simulaban dejan de generar sus lecturas desde el siguiente tick
+app.delete('/api/puntos/:id', requierePermiso('editar_puntos'), async (req, res) => {
+    const punto = buscarPunto(req.params.id);
+    if (!punto) {
+        return res.status(404).json({ success: false, message: 'Punto no encontrado' });
+    }
     
-    let fechaActual = new Date(fechaInicio);
-    let lote = 0;
+    try {
+        await eliminarPunto(punto);
+        simuladorState.puntos = simuladorState.puntos.filter(p => p !== punto);
+        emitirCambioPuntos('warning', `🗑️ Punto ${punto.id} eliminado por ${req.sesion.email}`);
+        res.json({ success: true, id: punto.id });
+    } catch (error) {
+        console.error('❌ Error eliminando punto:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ?trabajo=t2 → lecturas recientes de un solo trabajo
+app.get('/api/lecturas', (req, res) => {
+    if (req.query.trabajo) {
+        const trabajo = gestorTrabajos.obtener(req.query.trabajo);
+        if (!trabajo) {
+            return res.status(404).json({ success: false, message: 'Trabajo no encontrado' });
+        }
+        return res.json(trabajo.lecturas);
+    }
+    
+    res.json(simuladorState.lecturas.slice(-50));
+});
+
+// ============================================
+// API: ESTADÍSTICAS POR PUNTO Y UBICACIÓN
+// ============================================
+// GET /api/estadisticas?granularidad=hora&por=punto&puntos=N1,N2&ubicaciones=Edificio A&desde=2025-01-15&hasta=2025-01-15
+// - granularidad: "hora", "dia" (por defecto) o "mes"
+// - por: "punto" (por defecto) o "ubicacion"
+// - puntos / ubicaciones: listas separadas por comas; con por=punto, ubicaciones
+//   filtra los puntos de esas ubicaciones
+// - desde / hasta: prefijos de periodo ("2025-01", "2025-01-15", "2025-01-15T08"), incluidos
+const PATRON_PERIODO = /^\d{4}(-\d{2}(-\d{2}([T ]\d{2})?)?)?$/;
+
+app.get('/api/estadisticas', (req, res) => {
+    const { granularidad = 'dia', por = 'punto', desde, hasta } = req.query;
+    const lista = valor => valor ? String(valor).split(',').map(item => item.trim()).filter(Boolean) : null;
+    const puntos = lista(req.query.puntos);
+    const ubicaciones = lista(req.query.ubicaciones);
+    const errores = [];
+    
+    if (!GRANULARIDADES.includes(granularidad)) {
+        errores.push(`Granularidad inválida. Opciones: ${GRANULARIDADES.join(', ')}`);
+    }
+    if (!AGRUPACIONES.includes(por)) {
+        errores.push(`Agrupación inválida. Opciones: ${AGRUPACIONES.join(', ')}`);
+    }
+    for (const [nombre, valor] of [['desde', desde], ['hasta', hasta]]) {
+        if (valor && !PATRON_PERIODO.test(valor)) {
+            errores.push(`"${nombre}" inválido. Formato: "YYYY", "YYYY-MM", "YYYY-MM-DD" o "YYYY-MM-DDTHH"`);
+        }
+    }
+    if (por === 'ubicacion' && puntos) {
+        errores.push('Con por=ubicacion se filtra con "ubicaciones", no con "puntos"');
+    }
+    
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
+    
+    let claves = por === 'punto' ? puntos : ubicaciones;
+    if (por === 'punto' && ubicaciones) {
+        const deUbicaciones = simuladorState.puntos
+            .filter(punto => ubicaciones.includes(punto.ubicacion || SIN_UBICACION))
+            .map(punto => punto.id);
+        claves = puntos ? puntos.filter(id => deUbicaciones.includes(id)) : deUbicaciones;
+    }
+    
+    res.json({
+        success: true,
+        granularidad,
+        por,
+        series: estadisticas.consultar({
+            granularidad,
+            agrupacion: por,
+            claves,
+            desde: desde?.replace(' ', 'T') || null,
+            hasta: hasta?.replace(' ', 'T') || null
+        })
+    });
+});
+
+// ============================================
+// EXPORTACIÓN DE LECTURAS
+// ============================================
+// GET /api/exportar?formato=csv&origen=archivo&desde=2025-01-01 00:00:00&hasta=...&puntos=N1,N2&ejecucion=h3f9a01c2
+// Sin origen se lee del destino configurado. La respuesta se envía por partes.
+// El origen "memoria" es el del trabajo indicado en ?trabajo= o el último que usó ese destino
+app.get('/api/exportar', async (req, res) => {
+    const { formato = 'csv', desde, hasta, puntos, ejecucion } = req.query;
+    const origen = req.query.origen || simuladorState.config.DESTINO;
+    const errores = [];
+    
+    if (!FORMATOS_EXPORTACION.includes(formato)) {
+        errores.push(`Formato inválido. Opciones: ${FORMATOS_EXPORTACION.join(', ')}`);
+    }
+    if (!ORIGENES_EXPORTACION.includes(origen)) {
+        errores.push(`Origen inválido. Opciones: ${ORIGENES_EXPORTACION.join(', ')}`);
+    }
+    
+    const filtro = {
+        desde: desde ? parsearFecha(desde) : null,
+        hasta: hasta ? parsearFecha(hasta) : null,
+        puntos: puntos ? puntos.split(',').map(p => p.trim()).filter(Boolean) : null,
+        ejecucion: ejecucion || null
+    };
+    if ((desde && !filtro.desde) || (hasta && !filtro.hasta)) {
+        errores.push('Fechas inválidas. Formato: "YYYY-MM-DD HH:mm:ss"');
+    }
+    
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
+    
+    if (origen === 'firestore' && !sesionDePeticion(req)) {
+        return res.status(401).json({ success: false, message: 'Debes iniciar sesión primero' });
+    }
+    
+    const trabajoMemoria = req.query.trabajo
+        ? gestorTrabajos.obtener(req.query.trabajo)
+        : gestorTrabajos.listar().reverse().find(trabajo => trabajo.destino?.tipo === 'memoria');
+    const memoria = trabajoMemoria?.destino?.tipo === 'memoria' ? trabajoMemoria.destino : null;
+    const nombre = `lecturas-${ejecucion || new Date().toISOString().slice(0, 10)}.${formato}`;
+    
+    res.setHeader('Content-Type', crearFormato(formato, simuladorState.config.ZONA_HORARIA).tipoContenido);
+    res.setHeader('Content-Disposition', `attachment; filename="${nombre}"`);
+    
+    // Respeta la contrapresión del cliente y corta si se desconecta
+    const escribir = async (texto) => {
+        if (res.destroyed) throw new Error('El cliente canceló la exportación');
+        if (!res.write(texto)) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+    };
+    
+    try {
+        const total = await exportarLecturas({ origen, formato, filtro, config: simuladorState.config, memoria, escribir });
+        res.end();
+        console.log(`📤 Exportadas ${total} lecturas (${origen} → ${formato})`);
+    } catch (error) {
+        if (!res.headersSent) {
+            const estado = error.code === 'ENOENT' ? 404 : 500;
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+            res.status(estado).json({ success: false, message: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// ============================================
+// MEJORA 5: Validación de configuración
+// ============================================
+// Los archivos que se indican por la API quedan dentro de este directorio:
+// solo se toma el nombre, igual que /api/escenario con RUTA_ESCENARIOS
+const DIRECTORIO_DATOS = 'data';
+
+/**
+ * Ruta dentro de DIRECTORIO_DATOS para un archivo pedido por la API
+ * @param {any} ruta - "lecturas.ndjson" o "data/lecturas.ndjson"
+ * @returns {string|null} null si no queda un nombre de archivo válido
+ */
+function rutaEnDatos(ruta) {
+    const nombre = basename(String(ruta).trim());
+    return nombre && !nombre.startsWith('.') ? join(DIRECTORIO_DATOS, nombre) : null;
+}
+
+/**
+ * Aplica los cambios recibidos del panel web sobre una configuración
+ * La usan /api/config (configuración del servidor), y /api/vista-previa y
+ * /api/trabajos (una copia)
+ *
+ * @param {Object} config - Configuración a modificar
+ * @param {Object} cambios - Cuerpo de la petición
+ * @param {Object} opciones
+ * @param {number} opciones.limiteLecturas - Máximo de lecturas estimadas del rango histórico
+ * @param {number} opciones.numPuntos - Puntos cargados, para estimar las lecturas
+ * @returns {string[]} Errores de validación
+ */
+function aplicarCambiosConfig(config, cambios, { limiteLecturas, numPuntos }) {
+    const { intervalo, fechaInicio, fechaFin, simularPicos, factorPico, factorFinSemana, destino, rutaArchivo, semilla, cicloVida, telemetria, zonaHoraria, replay, mqtt, webhook } = cambios;
+    
+    // Validaciones
+    const errores = [];
+    
+    // La zona se aplica primero: las fechas recibidas son horas de esa zona
+    if (zonaHoraria) {
+        if (zonaValida(zonaHoraria)) {
+            config.ZONA_HORARIA = zonaHoraria;
+        } else {
+            errores.push(`Zona horaria inválida: ${zonaHoraria}`);
+        }
+    }
+    
+    if (fechaInicio && fechaFin) {
+        // Convertir formato datetime-local a formato esperado
+        const inicio = fechaInicio.replace('T', ' ') + ':00';
+        const fin = fechaFin.replace('T', ' ') + ':00';
+        
+        const fechaInicioDate = parsearFecha(inicio, config.ZONA_HORARIA);
+        const fechaFinDate = parsearFecha(fin, config.ZONA_HORARIA);
+        
+        if (fechaInicioDate >= fechaFinDate) {
+            errores.push('La fecha de inicio debe ser anterior a la fecha de fin');
+        }
+        
+        // Calcular total de lecturas estimadas
+        const diff = fechaFinDate.getTime() - fechaInicioDate.getTime();
+        const incremento = config.INCREMENTO_TIEMPO_MS || 3600000;
+        const totalLotes = Math.ceil(diff / incremento);
+        const totalLecturas = totalLotes * numPuntos;
+        
+        if (totalLecturas > limiteLecturas) {
+            errores.push(`Se generarían aproximadamente ${totalLecturas} lecturas. Considera reducir el rango de fechas.`);
+        }
+        
+        config.FECHA_INICIO = inicio;
+        config.FECHA_FIN = fin;
+    }
+    
+    if (intervalo) {
+        if (intervalo < 5) {
+            errores.push('El intervalo mínimo es de 5 segundos');
+        }
+        config.INTERVALO_MS = intervalo * 1000;
+    }
+    
+    if (fechaInicio !== undefined && !fechaFin) {
+        config.FECHA_INICIO = fechaInicio ? fechaInicio.replace('T', ' ') + ':00' : null;
+    }
+    
+    if (fechaFin !== undefined && !fechaInicio) {
+        config.FECHA_FIN = fechaFin ? fechaFin.replace('T', ' ') + ':00' : null;
+    }
+    
+    if (simularPicos !== undefined) config.SIMULAR_PICOS = simularPicos;
+    if (factorPico) config.FACTOR_PICO = factorPico;
+    if (factorFinSemana) config.FACTOR_FIN_SEMANA = factorFinSemana;
+    
+    if (destino !== undefined) {
+        if (!TIPOS_DESTINO.includes(destino)) {
+            errores.push(`Destino inválido. Opciones: ${TIPOS_DESTINO.join(', ')}`);
+        } else {
+            config.DESTINO = destino;
+        }
+    }
+    if (rutaArchivo) {
+        const ruta = rutaEnDatos(rutaArchivo);
+        if (ruta) {
+            config.RUTA_ARCHIVO_DESTINO = ruta;
+        } else {
+            errores.push(`Archivo de destino inválido: debe ser un nombre de archivo dentro de ${DIRECTORIO_DATOS}/`);
+        }
+    }
+    
+    // Semilla vacía = lecturas aleatorias en cada ejecución
+    if (semilla !== undefined) {
+        config.SEMILLA = semilla === '' || semilla === null ? null : String(semilla).trim();
+    }
+    
+    if (cicloVida !== undefined) {
+        config.CICLO_VIDA = { ...config.CICLO_VIDA, ACTIVO: !!cicloVida };
+    }
+    
+    if (telemetria !== undefined) {
+        config.TELEMETRIA = { ...config.TELEMETRIA, ACTIVO: !!telemetria };
+    }
+    
+    // { activo, rutaCsv, escala, ruido, desplazar, repetir }
+    if (replay) {
+        const { activo, rutaCsv, escala, ruido, desplazar, repetir } = replay;
+        const nuevo = { ...config.REPLAY };
+        
+        if (activo !== undefined) nuevo.ACTIVO = !!activo;
+        if (rutaCsv) {
+            const ruta = rutaEnDatos(rutaCsv);
+            if (ruta) {
+                nuevo.RUTA_CSV = ruta;
+            } else {
+                errores.push(`CSV de mediciones inválido: debe ser un nombre de archivo dentro de ${DIRECTORIO_DATOS}/`);
+            }
+        }
+        if (desplazar !== undefined) nuevo.DESPLAZAR_AL_PRESENTE = !!desplazar;
+        if (repetir !== undefined) nuevo.REPETIR = !!repetir;
+        
+        if (escala !== undefined) {
+            if (typeof escala !== 'number' || escala < 0) {
+                errores.push('La escala del replay debe ser un número mayor o igual a 0');
+            } else {
+                nuevo.ESCALA = escala;
+            }
+        }
+        if (ruido !== undefined) {
+            if (typeof ruido !== 'number' || ruido < 0 || ruido > 1) {
+                errores.push('El ruido del replay debe estar entre 0 y 1');
+            } else {
+                nuevo.RUIDO = ruido;
+            }
+        }
+        
+        if (nuevo.ACTIVO && !nuevo.RUTA_CSV) {
+            errores.push('El replay requiere la ruta del CSV de mediciones');
+        }
+        
+        config.REPLAY = nuevo;
+    }
+    
+    // { url, qos, espejo }: espejo = publicar por MQTT además del destino elegido
+    if (mqtt) {
+        const { url, qos, espejo } = mqtt;
+        const nuevo = { ...config.MQTT };
+        
+        if (url !== undefined) {
+            if (/^(mqtts?|wss?):\/\/\S+$/.test(String(url).trim())) {
+                nuevo.URL = String(url).trim();
+            } else {
+                errores.push('URL de MQTT inválida (mqtt://, mqtts://, ws:// o wss://)');
+            }
+        }
+        if (qos !== undefined) {
+            if ([0, 1, 2].includes(qos)) {
+                nuevo.QOS = qos;
+            } else {
+                errores.push('El QoS de MQTT debe ser 0, 1 o 2');
+            }
+        }
+        if (espejo !== undefined) nuevo.ESPEJO = !!espejo;
+        
+        config.MQTT = nuevo;
+    }
+    
+    // { url, modo }
+    if (webhook) {
+        const { url, modo } = webhook;
+        const nuevo = { ...config.WEBHOOK };
+        
+        if (url !== undefined) {
+            if (/^https?:\/\/\S+$/.test(String(url).trim())) {
+                nuevo.URL = String(url).trim();
+            } else {
+                errores.push('URL del webhook inválida (http:// o https://)');
+            }
+        }
+        if (modo !== undefined) {
+            if (MODOS_WEBHOOK.includes(modo)) {
+                nuevo.MODO = modo;
+            } else {
+                errores.push(`Modo de webhook inválido. Opciones: ${MODOS_WEBHOOK.join(', ')}`);
+            }
+        }
+        
+        config.WEBHOOK = nuevo;
+    }
+    
+    return errores;
+}
+
+app.post('/api/config', requierePermiso('configurar'), (req, res) => {
+    const errores = aplicarCambiosConfig(simuladorState.config, req.body, {
+        limiteLecturas: simuladorState.config.MAX_LECTURAS_HISTORICO,
+        numPuntos: simuladorState.puntos.length
+    });
+    
+    if (errores.length > 0) {
+        return res.status(400).json({ 
+            success: false, 
+            errores,
+            config: simuladorState.config 
+        });
+    }
+    
+    panel.emit('config-updated', simuladorState.config);
+    res.json({ success: true, config: simuladorState.config });
+});
+
+app.post('/api/iniciar', requierePermiso('simular'), async (req, res) => {
+    try {
+        // Un trabajo nuevo con la configuración actual del panel
+        const trabajo = await iniciarTrabajo({ ...simuladorState.config }, { reiniciar: !!req.body?.reiniciar });
+        res.json({ success: true, modo: trabajo.modo, trabajo: trabajo.id });
+        
+    } catch (error) {
+        panel.emit('log', { tipo: 'error', mensaje: `❌ Error: ${error.message}` });
+        res.json({ success: false, message: error.message });
+    }
+});
+
+// ============================================
+// TRABAJOS DE SIMULACIÓN
+// ============================================
+// Cada simulación es un trabajo con su propia copia de la configuración
+// (ver src/trabajos.js); pueden correr varios a la vez
+// POST /api/trabajos              → { modo?, puntos?: ["N1", ...], reiniciar?, ...campos de /api/config }
+//                                    (sin permiso "configurar", solo fechaInicio y fechaFin)
+// GET  /api/trabajos              → trabajos en curso y últimos terminados
+// GET  /api/trabajos/:id          → un trabajo con sus lecturas recientes
+// POST /api/trabajos/:id/detener
+const MODOS_TRABAJO = ['tiempo_real', 'historico', 'replay'];
+
+async function cargarPuntosSiFaltan() {
+    // MEJORA: Solo re-obtener puntos si no están cargados
+    if (simuladorState.puntos.length === 0) {
+        simuladorState.puntos = await obtenerPuntos();
+        panel.emit('log', { tipo: 'info', mensaje: `📍 ${simuladorState.puntos.length} puntos cargados` });
+        panel.emit('puntos', simuladorState.puntos);
+    }
+}
+
+// Puntos de un trabajo: los elegidos o todos (los cambios del panel se ven al instante)
+function puntosDeTrabajo(trabajo) {
+    const { puntos } = trabajo;
+    return puntos ? simuladorState.puntos.filter(punto => puntos.includes(punto.id)) : simuladorState.puntos;
+}
+
+/**
+ * Crea un trabajo y arranca la simulación según el modo de su configuración
+ *
+ * @param {Object} config - Copia de la configuración, propia del trabajo
+ * @param {Object} [opciones]
+ * @param {string[]|null} [opciones.puntos] - Ids de los puntos a simular (null = todos)
+ * @param {boolean} [opciones.reiniciar] - Histórico: ignorar el checkpoint
+ * @returns {Promise<Object>} Trabajo creado
+ */
+async function iniciarTrabajo(config, { puntos = null, reiniciar = false } = {}) {
+    await cargarPuntosSiFaltan();
+    
+    const modo = modoSimulacion(config);
+    
+    // El escenario no se aplica a las mediciones reales del replay
+    const escenario = modo === 'replay' ? null : simuladorState.escenario;
+    
+    // Dos trabajos con la misma ejecución histórica se pisarían el checkpoint
+    const ejecucion = modo === 'historico' ? idEjecucion(config, escenario?.definicion, puntos) : null;
+    const duplicado = ejecucion && gestorTrabajos.activos().find(trabajo => trabajo.ejecucion === ejecucion);
+    if (duplicado) {
+        throw new Error(`La ejecución ${ejecucion} ya está corriendo en el trabajo ${duplicado.id}`);
+    }
+    
+    // Registro de medidores: el persistente es el de los medidores "en vivo"
+    // (tiempo real y replay desplazado al presente). El histórico crea el suyo
+    // en iniciarModoHistorico y el replay con fechas originales arranca de cero,
+    // así repetirlo sobrescribe las lecturas con el mismo registro_kwh
+    const enVivo = modo === 'tiempo_real' || (modo === 'replay' && config.REPLAY.DESPLAZAR_AL_PRESENTE);
+    let registro = null;
+    if (config.TELEMETRIA.ACTIVO && modo !== 'historico') {
+        registro = enVivo ? registroMedidores : crearRegistroMedidor();
+    }
+    
+    // Dos trabajos en vivo sumarían energía al mismo medidor
+    if (registro === registroMedidores) {
+        const propios = puntosDeTrabajo({ puntos }).map(punto => punto.id);
+        for (const otro of gestorTrabajos.activos()) {
+            const compartidos = otro.registro === registroMedidores
+                ? puntosDeTrabajo(otro).filter(punto => propios.includes(punto.id)).map(punto => punto.id)
+                : [];
+            if (compartidos.length > 0) {
+                throw new Error(`El trabajo ${otro.id} ya acumula el registro de ${compartidos.join(', ')}: desactiva la telemetría o elige otros puntos`);
+            }
+        }
+    }
+    
+    // El CSV se lee antes de crear el destino: un archivo inválido no inicia nada
+    const replay = modo === 'replay'
+        ? await crearReplay({ config, puntos: puntosDeTrabajo({ puntos }), registro })
+        : null;
+    
+    const destino = crearDestino(config, { ubicacionDe: id => buscarPunto(id)?.ubicacion });
+    
+    const trabajo = gestorTrabajos.crear({ modo, config, puntos });
+    trabajo.ejecucion = ejecucion;
+    trabajo.escenario = escenario;
+    trabajo.replay = replay;
+    trabajo.destino = destino;
+    
+    // Cada trabajo arranca con sus puntos en el estado inicial
+    trabajo.cicloVida = config.CICLO_VIDA.ACTIVO ? crearCicloVida(config) : null;
+    
+    trabajo.registro = registro;
+    
+    logTrabajo(trabajo, 'info', `▶️ Trabajo ${modo} con ${puntos ? puntos.join(', ') : 'todos los puntos'} - destino: ${destino.tipo}`);
+    
+    if (modo !== 'replay') {
+        prepararEscenario(trabajo, modo === 'historico' ? parsearFecha(config.FECHA_INICIO, config.ZONA_HORARIA) : new Date());
+    }
+    
+    emitirTrabajos();
+    panel.emit('status', { corriendo: true, modo, trabajo: trabajo.id });
+    
+    trabajo.operaciones = new Set();
+    
+    if (modo === 'historico') {
+        registrarOperacion(trabajo, iniciarModoHistorico(trabajo, { reiniciar }).catch(fallarTrabajo(trabajo)));
+    } else if (modo === 'replay') {
+        iniciarModoReplay(trabajo);
+    } else {
+        iniciarModoTiempoReal(trabajo);
+    }
+    
+    return trabajo;
+}
+
+app.post('/api/trabajos', requierePermiso('simular'), async (req, res) => {
+    const { modo, puntos, reiniciar, ...cambios } = req.body || {};
+    if (rechazarCamposReservados(req, res, cambios)) return;
+    
+    try {
+        await cargarPuntosSiFaltan();
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+    
+    const errores = [];
+    
+    if (puntos !== undefined && puntos !== null) {
+        if (!Array.isArray(puntos) || puntos.length === 0) {
+            errores.push('"puntos" debe ser una lista con al menos un id');
+        } else {
+            const desconocidos = puntos.filter(id => !simuladorState.puntos.some(punto => punto.id === String(id)));
+            if (desconocidos.length > 0) {
+                errores.push(`Puntos desconocidos: ${desconocidos.join(', ')}`);
+            }
+        }
+    }
+    
+    const idsPuntos = Array.isArray(puntos) && puntos.length > 0 ? [...new Set(puntos.map(String))] : null;
+    const config = { ...simuladorState.config };
+    errores.push(...aplicarCambiosConfig(config, cambios, {
+        limiteLecturas: config.MAX_LECTURAS_HISTORICO,
+        numPuntos: idsPuntos?.length ?? simuladorState.puntos.length
+    }));
+    
+    // El modo explícito manda sobre el que se deduce de la configuración
+    if (modo !== undefined) {
+        if (!MODOS_TRABAJO.includes(modo)) {
+            errores.push(`Modo inválido. Opciones: ${MODOS_TRABAJO.join(', ')}`);
+        } else {
+            config.REPLAY = { ...config.REPLAY, ACTIVO: modo === 'replay' };
+            if (modo === 'tiempo_real') {
+                config.FECHA_INICIO = null;
+                config.FECHA_FIN = null;
+            }
+            if (modo === 'historico' && !config.FECHA_INICIO) {
+                errores.push('El modo histórico requiere una fecha de inicio');
+            }
+        }
+    }
+    
+    if (errores.length > 0) {
+        return res.status(400).json({ success: false, errores });
+    }
+    
+    try {
+        const trabajo = await iniciarTrabajo(config, { puntos: idsPuntos, reiniciar: !!reiniciar });
+        res.json({ success: true, trabajo: resumirTrabajo(trabajo) });
+    } catch (error) {
+        res.status(400).json({ success: false, errores: [error.message] });
+    }
+});
+
+app.get('/api/trabajos', (req, res) => {
+    res.json(gestorTrabajos.listar().map(resumirTrabajo));
+});
+
+app.get('/api/trabajos/:id', (req, res) => {
+    const trabajo = gestorTrabajos.obtener(req.params.id);
+    if (!trabajo) {
+        return res.status(404).json({ success: false, message: 'Trabajo no encontrado' });
+    }
+    
+    res.json({
+        ...resumirTrabajo(trabajo),
+        estadosPuntos: trabajo.cicloVida?.estados() ?? null,
+        lecturas: trabajo.lecturas
+    });
+});
+
+app.post('/api/trabajos/:id/detener', requierePermiso('simular'), (req, res) => {
+    const trabajo = gestorTrabajos.obtener(req.params.id);
+    if (!trabajo) {
+        return res.status(404).json({ success: false, message: 'Trabajo no encontrado' });
+    }
+    if (trabajo.estado !== 'corriendo') {
+        return res.status(409).json({ success: false, message: `El trabajo ya terminó (${trabajo.estado})` });
+    }
+    
+    detenerTrabajo(trabajo);
+    res.json({ success: true, trabajo: resumirTrabajo(trabajo) });
+});
+
+// ============================================
+// VISTA PREVIA DE SIMULACIONES HISTÓRICAS
+// ============================================
+// Recibe los mismos campos que /api/config y los aplica sobre una copia:
+// genera las lecturas del rango exactamente como /api/iniciar, pero sin
+// guardarlas ni cambiar la configuración del servidor. Sin permiso
+// "configurar" solo se aceptan las fechas
+let vistaPreviaEnCurso = false;
+
+app.post('/api/vista-previa', requierePermiso('simular'), async (req, res) => {
+    if (rechazarCamposReservados(req, res, req.body || {})) return;
+    if (vistaPreviaEnCurso) {
+        return res.status(409).json({ success: false, message: 'Ya hay una vista previa en curso' });
+    }
+    
+    vistaPreviaEnCurso = true;
+    
+    try {
+        if (simuladorState.puntos.length === 0) {
+            simuladorState.puntos = await obtenerPuntos();
+            panel.emit('puntos', simuladorState.puntos);
+        }
+        
+        const config = { ...simuladorState.config };
+        const errores = aplicarCambiosConfig(config, req.body || {}, {
+            limiteLecturas: config.MAX_LECTURAS_VISTA_PREVIA,
+            numPuntos: simuladorState.puntos.length
+        });
+        
+        if (!config.FECHA_INICIO) {
+            errores.push('La vista previa requiere una fecha de inicio (modo histórico)');
+        }
+        
+        if (errores.length > 0) {
+            return res.status(400).json({ success: false, errores });
+        }
+        
+        // Estado desechable: ciclo de vida nuevo y un registro en memoria que
+        // arranca de cero, igual que el de una ejecución histórica
+        const inicio = Date.now();
+        const fechaInicio = parsearFecha(config.FECHA_INICIO, config.ZONA_HORARIA);
+        const definicionEscenario = simuladorState.escenario?.definicion ?? null;
+        const vistaPrevia = await generarVistaPrevia({
+            contexto: {
+                config,
+                cicloVida: config.CICLO_VIDA.ACTIVO ? crearCicloVida(config) : null,
+                escenario: definicionEscenario 
+                    ? crearEscenario(definicionEscenario, { inicio: fechaInicio, zona: config.ZONA_HORARIA }) 
+                    : null,
+                registro: config.TELEMETRIA.ACTIVO ? crearRegistroMedidor() : null,
+                ejecucion: idEjecucion(config, definicionEscenario)
+            },
+            puntos: simuladorState.puntos,
+            fechaInicio,
+            fechaFin: parsearFecha(config.FECHA_FIN, config.ZONA_HORARIA) || new Date()
+        });
+        
+        panel.emit('log', { 
+            tipo: 'info', 
+            mensaje: `🔍 Vista previa: ${vistaPrevia.total.lecturas} lecturas, ${vistaPrevia.total.kwh} kWh (${Date.now() - inicio} ms)` 
+        });
+        res.json({ success: true, vistaPrevia });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    } finally {
+        vistaPreviaEnCurso = false;
+    }
+});
+
+// Avance guardado de las simulaciones históricas
+app.get('/api/historico/checkpoints', async (req, res) => {
+    try {
+        res.json(await listarCheckpoints(simuladorState.config.RUTA_CHECKPOINTS));
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ============================================
+// ESCENARIOS
+// ============================================
+// GET    /api/escenarios  → escenarios de RUTA_ESCENARIOS y el cargado
+// POST   /api/escenario   → { archivo } de RUTA_ESCENARIOS, o { contenido, nombreArchivo } subido desde el panel
+// DELETE /api/escenario   → quita el escenario
+// Los trabajos en tiempo real toman el cambio al instante; los históricos
+// conservan el escenario con el que empezaron (sus lecturas siguen siendo reproducibles)
+app.get('/api/escenarios', async (req, res) => {
+    try {
+        res.json({
+            disponibles: await listarEscenarios(simuladorState.config.RUTA_ESCENARIOS),
+            cargado: estadoEscenario()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Aplica el escenario del panel a los trabajos en tiempo real que están corriendo
+function actualizarEscenarioTrabajos() {
+    for (const trabajo of gestorTrabajos.activos()) {
+        if (trabajo.modo !== 'tiempo_real') continue;
+        
+        trabajo.escenario = simuladorState.escenario;
+        prepararEscenario(trabajo, new Date());
+    }
+    emitirEscenario();
+}
+
+app.post('/api/escenario', requierePermiso('configurar'), async (req, res) => {
+    const { archivo, contenido, nombreArchivo } = req.body || {};
+    let definicion;
+    let origen;
+    
+    try {
+        if (archivo) {
+            // Solo archivos de la carpeta de escenarios
+            origen = join(simuladorState.config.RUTA_ESCENARIOS, basename(String(archivo)));
+            definicion = await cargarEscenario(origen);
+        } else if (typeof contenido === 'string' && contenido.trim()) {
+            origen = `subido: ${basename(String(nombreArchivo || 'escenario'))}`;
+            definicion = parsearEscenario(contenido, nombreArchivo || '');
+            const { errores } = validarEscenario(definicion);
+            if (errores.length > 0) {
+                return res.status(400).json({ success: false, errores });
+            }
+        } else {
+            return res.status(400).json({ success: false, errores: ['Indica "archivo" o "contenido"'] });
+        }
+    } catch (error) {
+        const estado = error.code === 'ENOENT' ? 404 : 400;
+        return res.status(estado).json({ success: false, errores: [error.message] });
+    }
+    
+    simuladorState.escenario = { definicion, origen };
+    panel.emit('log', { tipo: 'info', mensaje: `🎬 Escenario cargado: ${definicion.nombre || origen}` });
+    
+    actualizarEscenarioTrabajos();
+    
+    res.json({ success: true, escenario: estadoEscenario() });
+});
+
+app.delete('/api/escenario', requierePermiso('configurar'), (req, res) => {
+    simuladorState.escenario = null;
+    panel.emit('log', { tipo: 'info', mensaje: '🎬 Escenario quitado' });
+    actualizarEscenarioTrabajos();
+    res.json({ success: true });
+});
+
+// { trabajo: "t2" } detiene solo ese trabajo; sin cuerpo, todos los que están corriendo
+app.post('/api/detener', requierePermiso('simular'), (req, res) => {
+    const id = req.body?.trabajo;
+    const trabajos = id ? gestorTrabajos.activos().filter(trabajo => trabajo.id === id) : gestorTrabajos.activos();
+    
+    for (const trabajo of trabajos) {
+        detenerTrabajo(trabajo);
+    }
+    res.json({ success: true, detenidos: trabajos.map(trabajo => trabajo.id) });
+});
+
+// ============================================
+// EVENTOS DE LOS TRABAJOS
+// ============================================
+// Los eventos globales ('log', 'lecturas', 'historico-progreso'...) los ve
+// todo el panel; además cada trabajo tiene su sala "trabajo:<id>" con
+// 'trabajo-log', 'trabajo-lecturas', 'trabajo-progreso' y 'trabajo-estado'
+function salaTrabajo(trabajo) {
+    return `trabajo:${trabajo.id}`;
+}
+
+function logTrabajo(trabajo, tipo, mensaje) {
+    panel.emit('log', { tipo, mensaje: `[${trabajo.id}] ${mensaje}`, trabajo: trabajo.id });
+    io.to(salaTrabajo(trabajo)).emit('trabajo-log', { id: trabajo.id, tipo, mensaje });
+}
+
+function emitirProgreso(trabajo, progreso) {
+    trabajo.progreso = progreso;
+    panel.emit('historico-progreso', { ...progreso, trabajo: trabajo.id });
+    io.to(salaTrabajo(trabajo)).emit('trabajo-progreso', { id: trabajo.id, ...progreso });
+    programarEmisionTrabajos();
+}
+
+// La lista completa se envía al crear o terminar un trabajo; los cambios de
+// contadores se agrupan para no emitirla en cada tick
+const ESPERA_EMISION_TRABAJOS_MS = 1000;
+let emisionTrabajos = null;
+
+function emitirTrabajos() {
+    clearTimeout(emisionTrabajos);
+    emisionTrabajos = null;
+    panel.emit('trabajos', gestorTrabajos.listar().map(resumirTrabajo));
+}
+
+function programarEmisionTrabajos() {
+    if (!emisionTrabajos) {
+        emisionTrabajos = setTimeout(emitirTrabajos, ESPERA_EMISION_TRABAJOS_MS);
+    }
+}
+
+// Un error no previsto termina solo el trabajo en el que ocurrió
+function fallarTrabajo(trabajo) {
+    return (error) => {
+        console.error(`❌ Error en el trabajo ${trabajo.id}:`, error);
+        detenerTrabajo(trabajo, 'error', error.message);
+    };
+}
+
+/**
+ * Anota una operación del trabajo que todavía puede enviar lecturas (un ciclo
+ * en tiempo real o el bucle completo de un histórico). detenerTrabajo espera a
+ * que terminen antes de cerrar el destino
+ *
+ * @param {Object} trabajo
+ * @param {Promise} operacion - Ya con su manejo de errores
+ */
+function registrarOperacion(trabajo, operacion) {
+    trabajo.operaciones.add(operacion);
+    operacion.finally(() => trabajo.operaciones.delete(operacion));
+}
+
+// Funciones del simulador
+function iniciarModoTiempoReal(trabajo) {
+    const { config } = trabajo;
+    logTrabajo(trabajo, 'info', `🕐 Modo TIEMPO REAL - Intervalo: ${config.INTERVALO_MS / 1000}s`);
+    
+    const ciclo = () => registrarOperacion(trabajo, ejecutarCiclo(trabajo, new Date()).catch(fallarTrabajo(trabajo)));
+    
+    ciclo();
+    trabajo.intervalo = setInterval(ciclo, config.INTERVALO_MS);
+}
+
+// ============================================
+// MEJORA 6: Modo histórico mejorado con progreso
+// ============================================
+// Con reiniciar = true se ignora el checkpoint y se genera el rango completo
+async function iniciarModoHistorico(trabajo, { reiniciar = false } = {}) {
+    logTrabajo(trabajo, 'info', '📅 Modo HISTÓRICO iniciado');
+    
+    const { config, ejecucion } = trabajo;
+    const zona = config.ZONA_HORARIA;
+    const fechaInicio = parsearFecha(config.FECHA_INICIO, zona);
+    const incremento = config.INCREMENTO_TIEMPO_MS || 3600000;
+    
+    // Checkpoint de esta ejecución (mismo rango, incremento, zona, semilla, escenario y puntos)
+    const checkpoint = crearCheckpoint({ directorio: config.RUTA_CHECKPOINTS, ejecucion });
+    let previo = null;
+    
+    if (config.REANUDAR_HISTORICO && !reiniciar) {
+        try {
+            previo = await checkpoint.cargar();
+        } catch (error) {
+            logTrabajo(trabajo, 'warning', `⚠️ Checkpoint ilegible, se empieza de cero: ${error.message}`);
+        }
+    }
+    
+    // Una ejecución completada se vuelve a generar entera: sus ids no cambian,
+    // así que no se duplican lecturas. Con otro destino también se empieza de
+    // cero, para que ese destino reciba el rango completo
+    const destino = destinoEjecucion(config);
+    if (previo && !previo.completado && previo.destino !== destino) {
+        logTrabajo(trabajo, 'warning', `⚠️ El checkpoint de ${ejecucion} es de otro destino (${previo.destino}), se empieza de cero`);
+    }
+    const reanudar = previo && !previo.completado && previo.destino === destino;
+    
+    // Sin FECHA_FIN el rango termina "ahora": al reanudar se usa el fin original
+    const fechaFin = reanudar ? new Date(previo.fecha_fin) : (parsearFecha(config.FECHA_FIN, zona) || new Date());
+    
+    // Calcular total de lotes
+    const diff = fechaFin.getTime() - fechaInicio.getTime();
+    const totalLotes = Math.ceil(diff / incremento);
+    const totalLecturasEstimadas = totalLotes * puntosDeTrabajo(trabajo).length;
     
+    logTrabajo(trabajo, 'info', `   Desde: ${formatearFecha(fechaInicio, zona)}`);
+    logTrabajo(trabajo, 'info', `   Hasta: ${formatearFecha(fechaFin, zona)}`);
+    logTrabajo(trabajo, 'info', `   Total de lotes estimados: ${totalLotes}`);
+    logTrabajo(trabajo, 'info', `   Lecturas estimadas: ~${totalLecturasEstimadas}`);
+    
+    let fechaActual = reanudar ? new Date(previo.siguiente) : new Date(fechaInicio);
+    let lote = reanudar ? previo.ticks : 0;
+    let lecturasGuardadas = reanudar ? previo.lecturas_guardadas : 0;
+    let pendientes = [];
+    
+    if (reanudar) {
+        logTrabajo(trabajo, 'info', `⏯️ Reanudando ejecución ${ejecucion} desde ${formatearFecha(fechaActual, zona)} (${lecturasGuardadas} lecturas ya guardadas)`);
+    }
+    
+    // Registro de la ejecución, aparte del de tiempo real: continúa desde el
+    // checkpoint al reanudar y arranca de cero al repetir el rango
+    if (config.TELEMETRIA.ACTIVO) {
+        trabajo.registro = crearRegistroMedidor();
+        if (reanudar) trabajo.registro.restaurar(previo.registros);
+    }
+    
+    // La máquina de estados también continúa donde quedó
+    if (reanudar) trabajo.cicloVida?.restaurar(previo.ciclo_vida);
+    
+    const guardarCheckpoint = (completado) => checkpoint.guardar({
+        fecha_inicio: fechaInicio.toISOString(),
+        fecha_fin: fechaFin.toISOString(),
+        incremento_ms: incremento,
+        zona_horaria: zona,
+        semilla: config.SEMILLA ?? null,
+        puntos: trabajo.puntos,
+        destino,
+        siguiente: fechaActual.toISOString(),
+        registros: trabajo.registro?.instantanea() ?? null,
+        ciclo_vida: trabajo.cicloVida?.estados() ?? null,
+        ticks: lote,
+        lecturas_guardadas: lecturasGuardadas,
+        completado
+    }).catch(error => {
+        logTrabajo(trabajo, 'error', `❌ Error guardando checkpoint: ${error.message}`);
+    });
+    
+    // Guarda las lecturas acumuladas y el avance
+    const vaciarPendientes = async () => {
+        if (pendientes.length === 0) return;
+        
+        const lecturas = pendientes;
+        pendientes = [];
+        
+        lecturasGuardadas += await guardarLoteHistorico(trabajo, lecturas);
+        await guardarCheckpoint(false);
+    };
+    
+    const contexto = contextoSimulacion(trabajo, ejecucion);
+    const ticks = ticksHistoricos(fechaActual, fechaFin, incremento, zona);
+    
+    // Genera un tick; devuelve false cuando la simulación terminó o se detuvo
     const procesarLote = async () => {
-        if (!simuladorState.corriendo || fechaActual > fechaFin) {
-            io.emit('log', { tipo: 'success', mensaje: `✅ Simulación histórica completada. Total: ${simuladorState.totalEnviadas}` });
-            detenerSimulador();
-            return;
+        const tick = trabajo.estado === 'corriendo' ? ticks.next() : null;
+        
+        if (!tick || tick.done) {
+            await vaciarPendientes();
+            
+            if (tick?.done) {
+                await guardarCheckpoint(true);
+                logTrabajo(trabajo, 'success', `✅ Simulación histórica completada. Total: ${trabajo.contadores.enviadas}`);
+                detenerTrabajo(trabajo, 'completado');
+            } else {
+                logTrabajo(trabajo, 'info', `⏸️ Simulación histórica detenida en ${formatearFecha(fechaActual, zona)}. Iniciar el mismo rango la reanuda desde ahí`);
+            }
+            return false;
         }
         
+        const { fecha, intervaloMs } = tick.value;
         lote++;
+        trabajo.contadores.ticks++;
+        notificarEscenario(trabajo, fecha);
         
         // Log de progreso cada 10 lotes o si es el primero
         if (lote === 1 || lote % 10 === 0) {
             const progreso = ((lote / totalLotes) * 100).toFixed(1);
-            io.emit('log', { 
-                tipo: 'info', 
-                mensaje: `📦 Procesando lote ${lote}/${totalLotes} (${progreso}%) - ${fechaActual.toLocaleString('es-SV')}` 
-            });
+            logTrabajo(trabajo, 'info', `🕐 Generando lote ${lote}/${totalLotes} (${progreso}%) - ${formatearFecha(fecha, zona)}`);
         }
         
-        await ejecutarCiclo(new Date(fechaActual));
-        fechaActual = new Date(fechaActual.getTime() + incremento);
+        for (const punto of puntosDeTrabajo(trabajo)) {
+            pendientes.push(...lecturasDelTick(punto, fecha, intervaloMs, contexto));
+        }
+        fechaActual = tick.value.siguiente;
+        
+        if (pendientes.length >= config.BATCH_SIZE) {
+            await vaciarPendientes();
+        }
         
         // Emitir progreso
-        io.emit('historico-progreso', {
+        emitirProgreso(trabajo, {
             loteActual: lote,
             totalLotes,
             progreso: ((lote / totalLotes) * 100).toFixed(1),
             fechaActual: fechaActual.toISOString()
         });
         
-        setTimeout(procesarLote, 100);
+        return true;
+    };
+    
+    while (await procesarLote()) {
+        // Ceder el event loop para atender /api/detener, sockets y otros trabajos
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * Guarda un lote de lecturas de los modos histórico y replay en commits
+ * atómicos de BATCH_SIZE con reintentos, y notifica el resultado
+ * Lo que no llega a Firestore queda en la cola offline
+ *
+ * @param {Object} trabajo
+ * @param {Array<Object>} lecturas
+ * @returns {Promise<number>} Lecturas guardadas en el destino
+ */
+async function guardarLoteHistorico(trabajo, lecturas) {
+    registrarGeneradas(trabajo, lecturas);
+    guardarRegistros();
+    
+    // Sin conexión a Firebase: directo a la cola offline
+    // (ya están en disco, así que el lote cuenta como terminado)
+    if (!firebaseHealthy && usaFirestore(trabajo)) {
+        await encolarLecturas(lecturas, 'Firebase sin conexión', trabajo);
+        return 0;
+    }
+    
+    const reporte = await enviarLecturasBatch(lecturas, trabajo.destino, trabajo.config);
+    const fallidas = new Set(reporte.lecturasFallidas);
+    
+    trabajo.contadores.fallidas += reporte.fallidas;
+    registrarLecturas(lecturas.filter(lectura => !fallidas.has(lectura)), trabajo);
+    
+    if (reporte.lecturasFallidas.length > 0 && usaFirestore(trabajo)) {
+        await encolarLecturas(reporte.lecturasFallidas, 'lote fallido', trabajo);
+    }
+    
+    panel.emit('historico-lote', {
+        trabajo: trabajo.id,
+        exitosas: reporte.exitosas,
+        reintentadas: reporte.reintentadas,
+        fallidas: reporte.fallidas,
+        lotes: reporte.lotes
+    });
+    logTrabajo(trabajo, 
+        reporte.fallidas > 0 ? 'error' : (reporte.reintentadas > 0 ? 'warning' : 'info'), 
+        `📦 ${lecturas.length} lecturas → ${formatearReporteLote(reporte)}`
+    );
+    
+    return reporte.exitosas;
+}
+
+// ============================================
+// MODO REPLAY: mediciones reales desde un CSV
+// ============================================
+// Desplazado al presente, cada INTERVALO_MS se envían las mediciones que ya
+// "ocurrieron"; con fechas originales, se envían en lotes como el histórico
+function iniciarModoReplay(trabajo) {
+    const { replay, config } = trabajo;
+    const zona = config.ZONA_HORARIA;
+    
+    logTrabajo(trabajo, 'info', `🎞️ Modo REPLAY - ${config.REPLAY.RUTA_CSV}`);
+    logTrabajo(trabajo, 'info', `   ${replay.total} mediciones del ${formatearFecha(replay.desde, zona)} al ${formatearFecha(replay.hasta, zona)}`);
+    if (replay.sinPunto.length > 0) {
+        logTrabajo(trabajo, 'warning', `⚠️ Mediciones descartadas de puntos desconocidos: ${replay.sinPunto.join(', ')}`);
+    }
+    if (replay.invalidas > 0) {
+        logTrabajo(trabajo, 'warning', `⚠️ ${replay.invalidas} filas inválidas descartadas (${replay.errores[0]})`);
+    }
+    
+    if (config.REPLAY.DESPLAZAR_AL_PRESENTE) {
+        const ciclo = async () => {
+            trabajo.contadores.ticks++;
+            await enviarLecturasCiclo(trabajo, replay.lecturasHasta(new Date(), puntosDeTrabajo(trabajo)));
+            
+            if (replay.terminado && trabajo.estado === 'corriendo') {
+                logTrabajo(trabajo, 'success', `✅ Replay completado. Total: ${trabajo.contadores.enviadas}`);
+                detenerTrabajo(trabajo, 'completado');
+            }
+        };
+        
+        const cicloSeguro = () => registrarOperacion(trabajo, ciclo().catch(fallarTrabajo(trabajo)));
+        cicloSeguro();
+        trabajo.intervalo = setInterval(cicloSeguro, config.INTERVALO_MS);
+        return;
+    }
+    
+    const lecturas = replay.lecturasOriginales(puntosDeTrabajo(trabajo));
+    const totalLotes = Math.ceil(replay.total / config.BATCH_SIZE);
+    let lote = 0;
+    
+    // Envía un lote; devuelve false cuando el replay terminó o se detuvo
+    const procesarLote = async () => {
+        if (trabajo.estado !== 'corriendo') {
+            logTrabajo(trabajo, 'info', `⏸️ Replay detenido (${replay.avance}/${replay.total} mediciones)`);
+            return false;
+        }
+        
+        const pendientes = [];
+        while (pendientes.length < config.BATCH_SIZE) {
+            const { value, done } = lecturas.next();
+            if (done) break;
+            pendientes.push(value);
+        }
+        
+        if (pendientes.length === 0) {
+            logTrabajo(trabajo, 'success', `✅ Replay completado. Total: ${trabajo.contadores.enviadas}`);
+            detenerTrabajo(trabajo, 'completado');
+            return false;
+        }
+        
+        lote++;
+        trabajo.contadores.ticks++;
+        await guardarLoteHistorico(trabajo, pendientes);
+        
+        emitirProgreso(trabajo, {
+            loteActual: lote,
+            totalLotes,
+            progreso: ((replay.avance / replay.total) * 100).toFixed(1),
+            fechaActual: pendientes[pendientes.length - 1].fecha.toISOString()
+        });
+        
+        return true;
+    };
+    
+    const procesar = async () => {
+        while (await procesarLote()) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
     };
     
-    procesarLote();
+    registrarOperacion(trabajo, procesar().catch(fallarTrabajo(trabajo)));
+}
+
+// Notifica un cambio de estado del ciclo de vida de un punto
+function notificarTransicion(trabajo, transicion) {
+    const mensaje = formatearTransicion(transicion);
+    panel.emit('punto-estado', { ...transicion, fecha: transicion.fecha.toISOString(), trabajo: trabajo.id });
+    logTrabajo(trabajo, transicion.a === 'activo' ? 'success' : 'warning', mensaje);
+    console.log(`[${trabajo.id}] ${mensaje}`);
+}
+
+/**
+ * Contexto de un trabajo para lecturasDelTick()
+ * @param {Object} trabajo
+ * @param {string|null} [ejecucion] - Id de la ejecución histórica (ids determinísticos)
+ * @returns {Object}
+ */
+function contextoSimulacion(trabajo, ejecucion = null) {
+    const { config } = trabajo;
+    return {
+        config,
+        cicloVida: trabajo.cicloVida,
+        // Getter: el escenario de un trabajo en tiempo real puede cambiar mientras corre
+        get escenario() {
+            return trabajo.escenarioEnCurso;
+        },
+        registro: trabajo.registro,
+        ejecucion,
+        alTransicion: transicion => notificarTransicion(trabajo, transicion)
+    };
+}
+
+async function ejecutarCiclo(trabajo, fecha) {
+    const lecturas = [];
+    const contexto = contextoSimulacion(trabajo);
+    trabajo.contadores.ticks++;
+    notificarEscenario(trabajo, fecha);
+    
+    for (const punto of puntosDeTrabajo(trabajo)) {
+        try {
+            // 0, 1 o 2 lecturas según las fallas de hueco y duplicado
+            lecturas.push(...lecturasDelTick(punto, fecha, trabajo.config.INTERVALO_MS, contexto));
+        } catch (error) {
+            logTrabajo(trabajo, 'error', `❌ Error en ${punto.id}: ${error.message}`);
+        }
+    }
+    
+    await enviarLecturasCiclo(trabajo, lecturas);
 }
 
-async function ejecutarCiclo(fecha) {
+// Envía una a una las lecturas de un tick en tiempo real (o de replay desplazado)
+async function enviarLecturasCiclo(trabajo, lecturas) {
+    registrarGeneradas(trabajo, lecturas);
+    
+    // Webhook en modo lote: todas las lecturas del tick van en un solo envío
+    if (trabajo.destino.agruparTick) {
+        if (lecturas.length === 0) return;
+        
+        const reporte = await enviarLecturasBatch(lecturas, trabajo.destino, trabajo.config);
+        const fallidas = new Set(reporte.lecturasFallidas);
+        registrarLecturas(lecturas.filter(lectura => !fallidas.has(lectura)), trabajo);
+        guardarRegistros();
+        
+        if (reporte.fallidas > 0) {
+            trabajo.contadores.fallidas += reporte.fallidas;
+            logTrabajo(trabajo, 'error', `❌ ${reporte.fallidas} lecturas no se entregaron (${reporte.lotes.find(lote => lote.error)?.error})`);
+        }
+        return;
+    }
+    
     const lecturasLote = [];
+    const paraCola = [];
+    const sinConexion = !firebaseHealthy && usaFirestore(trabajo);
     
-    for (const punto of simuladorState.puntos) {
+    for (const lectura of lecturas) {
+        // Sin conexión a Firebase: no intentar el envío, guardar en cola
+        if (sinConexion) {
+            paraCola.push(lectura);
+            continue;
+        }
+        
         try {
-            const lectura = generarLectura(punto, fecha);
-            await enviarLectura(lectura);
-            
-            lecturasLote.push({
-                ...lectura,
-                fechaFormateada: fecha.toLocaleString('es-SV'),
-                nombrePunto: punto.nombre
-            });
-            
-            simuladorState.totalEnviadas++;
-            
+            await enviarLectura(lectura, trabajo.destino);
+            lecturasLote.push(lectura);
         } catch (error) {
-            io.emit('log', { tipo: 'error', mensaje: `❌ Error en ${punto.id}: ${error.message}` });
+            trabajo.contadores.fallidas++;
+            logTrabajo(trabajo, 'error', `❌ Error en ${lectura.id_punto}: ${error.message}`);
+            if (usaFirestore(trabajo)) paraCola.push(lectura);
         }
     }
     
-    simuladorState.lecturas = [...lecturasLote, ...simuladorState.lecturas].slice(0, 100);
+    registrarLecturas(lecturasLote, trabajo);
+    guardarRegistros();
+    
+    if (paraCola.length > 0) {
+        await encolarLecturas(paraCola, sinConexion ? 'Firebase sin conexión' : 'error de envío', trabajo);
+    }
+}
+
+// Periodos de estadísticas que cambiaron desde la última emisión
+const estadisticasPendientes = new Map();
+let emisionEstadisticas = null;
+
+/**
+ * Cuenta las lecturas generadas por un trabajo (se hayan guardado o no)
+ * y suma su consumo a las estadísticas
+ * @param {Object} trabajo
+ * @param {Array<Object>} lecturas
+ */
+function registrarGeneradas(trabajo, lecturas) {
+    contarLecturas(lecturasGeneradas, lecturas);
+    
+    for (const cambio of estadisticas.agregar(lecturas, trabajo.config.ZONA_HORARIA)) {
+        estadisticasPendientes.set(`${cambio.granularidad}|${cambio.agrupacion}|${cambio.clave}|${cambio.periodo}`, cambio);
+    }
+    
+    // Un histórico genera miles de lecturas por segundo: los cambios se agrupan
+    if (estadisticasPendientes.size > 0) {
+        emisionEstadisticas ??= setTimeout(() => {
+            emisionEstadisticas = null;
+            panel.emit('estadisticas', [...estadisticasPendientes.values()]);
+            estadisticasPendientes.clear();
+        }, CONFIG.ESTADISTICAS.INTERVALO_EMISION_MS);
+    }
+}
+
+/**
+ * Actualiza el estado y notifica a los clientes con lecturas ya guardadas
+ * @param {Array<Object>} lecturas
+ * @param {Object|null} [trabajo] - Trabajo que las generó (null: reenvío de la cola offline)
+ */
+function registrarLecturas(lecturas, trabajo = null) {
+    const zona = trabajo?.config.ZONA_HORARIA ?? simuladorState.config.ZONA_HORARIA;
+    const lecturasLote = lecturas.map(lectura => ({
+        ...lectura,
+        fechaFormateada: formatearFecha(lectura.fecha, zona),
+        nombrePunto: simuladorState.puntos.find(p => p.id === lectura.id_punto)?.nombre,
+        ...(trabajo ? { trabajo: trabajo.id } : {})
+    }));
+    
+    const recientes = lecturasLote.slice(-100);
+    
+    contarLecturas(lecturasEnviadas, lecturas);
+    simuladorState.totalEnviadas += lecturasLote.length;
+    simuladorState.lecturas = [...recientes, ...simuladorState.lecturas].slice(0, 100);
     simuladorState.ultimaLectura = new Date();
     
-    io.emit('lecturas', lecturasLote);
-    io.emit('stats', {
+    panel.emit('lecturas', recientes);
+    panel.emit('stats', {
         totalEnviadas: simuladorState.totalEnviadas,
         ultimaLectura: simuladorState.ultimaLectura
     });
+    
+    if (trabajo) {
+        gestorTrabajos.registrar(trabajo, lecturasLote);
+        io.to(salaTrabajo(trabajo)).emit('trabajo-lecturas', { id: trabajo.id, lecturas: recientes });
+        programarEmisionTrabajos();
+    }
 }
 
-function detenerSimulador() {
-    if (simuladorState.intervalo) {
-        clearInterval(simuladorState.intervalo);
-        simuladorState.intervalo = null;
+/**
+ * Detiene un trabajo y libera sus recursos
+ * @param {Object} trabajo
+ * @param {string} [estado] - "detenido", "completado" o "error"
+ * @param {string|null} [error] - Mensaje si terminó con error
+ */
+function detenerTrabajo(trabajo, estado = 'detenido', error = null) {
+    if (!gestorTrabajos.terminar(trabajo, estado, error)) return;
+    
+    if (trabajo.intervalo) {
+        clearInterval(trabajo.intervalo);
+        trabajo.intervalo = null;
+    }
+    trabajo.replay = null;
+    trabajo.escenarioEnCurso = null;
+    
+    // El ciclo en curso o el último lote del histórico todavía pueden enviar:
+    // el destino se cierra cuando terminan
+    Promise.allSettled([...(trabajo.operaciones ?? [])]).then(async () => {
+        guardarRegistros();
+        await trabajo.destino?.cerrar();
+    }).catch(error => {
+        console.error('❌ Error cerrando destino:', error.message);
+    });
+    
+    const corriendo = gestorTrabajos.activos().length > 0;
+    io.to(salaTrabajo(trabajo)).emit('trabajo-estado', resumirTrabajo(trabajo));
+    panel.emit('status', { corriendo, trabajo: trabajo.id });
+    emitirTrabajos();
+    emitirEscenario();
+    
+    if (estado === 'error') {
+        logTrabajo(trabajo, 'error', `❌ Trabajo terminado con error: ${error}`);
+    } else {
+        logTrabajo(trabajo, 'warning', `ℹ️ Trabajo ${estado}`);
     }
-    simuladorState.corriendo = false;
-    io.emit('status', { corriendo: false });
-    io.emit('log', { tipo: 'warning', mensaje: 'ℹ️ Simulador detenido' });
 }
 
 // ============================================
 // MEJORA 7: Socket.IO mejorado con stats
 // ============================================
+// El socket toma la sesión de la cookie del panel o de `auth: { token }`
+// Sin sesión solo recibe 'auth-status' (pantalla de login)
+io.use((socket, next) => {
+    const { headers, auth: datosAuth } = socket.handshake;
+    socket.data.sesion = sesiones.obtener(datosAuth?.token || tokenDeEncabezados(headers, CONFIG.SESIONES.COOKIE));
+    next();
+});
+
 io.on('connection', (socket) => {
     connectedClients++;
     console.log(`📌 Cliente conectado (Total: ${connectedClients})`);
     
     // Emitir estado de autenticación
-    const user = auth.currentUser;
-    socket.emit('auth-status', {
-        autenticado: !!user,
-        email: user?.email || null
-    });
-    
-    // Emitir estado actual
-    socket.emit('status', { 
-        corriendo: simuladorState.corriendo,
-        autenticado: !!user
-    });
-    
-    socket.emit('stats', {
-        totalEnviadas: simuladorState.totalEnviadas,
-        ultimaLectura: simuladorState.ultimaLectura
-    });
+    const { sesion } = socket.data;
+    socket.emit('auth-status', estadoAuth(sesion));
     
-    socket.emit('config-updated', simuladorState.config);
-    
-    // Emitir puntos si existen
-    if (simuladorState.puntos.length > 0) {
-        socket.emit('puntos', simuladorState.puntos);
+    if (sesion) {
+        socket.join(['panel', salaSesion(sesion)]);
+        
+        // Emitir estado actual
+        socket.emit('status', { 
+            corriendo: gestorTrabajos.activos().length > 0,
+            autenticado: true
+        });
+        socket.emit('trabajos', gestorTrabajos.listar().map(resumirTrabajo));
+        
+        socket.emit('stats', {
+            totalEnviadas: simuladorState.totalEnviadas,
+            ultimaLectura: simuladorState.ultimaLectura
+        });
+        
+        socket.emit('config-updated', simuladorState.config);
+        
+        // Emitir puntos si existen
+        if (simuladorState.puntos.length > 0) {
+            socket.emit('puntos', simuladorState.puntos);
+        }
+        
+        // Emitir estado de Firebase
+        socket.emit('firebase-status', { healthy: firebaseHealthy });
+        socket.emit('cola-offline', colaOffline.estado());
+        socket.emit('escenario', estadoEscenario());
     }
     
-    // Emitir estado de Firebase
-    socket.emit('firebase-status', { healthy: firebaseHealthy });
-    
     // Emitir stats del servidor
-    io.emit('server-stats', { 
+    panel.emit('server-stats', { 
         usuarios: connectedClients,
         uptime: Math.floor((Date.now() - serverStartTime) / 1000)
     });
     
+    // Eventos de un solo trabajo: 'trabajo-log', 'trabajo-lecturas', 'trabajo-progreso', 'trabajo-estado'
+    socket.on('suscribir-trabajo', (id) => {
+        const trabajo = gestorTrabajos.obtener(String(id));
+        if (!trabajo || !socket.data.sesion) return;
+        
+        socket.join(salaTrabajo(trabajo));
+        socket.emit('trabajo-estado', resumirTrabajo(trabajo));
+    });
+    
+    socket.on('desuscribir-trabajo', (id) => {
+        socket.leave(`trabajo:${id}`);
+    });
+    
     socket.on('disconnect', () => {
         connectedClients--;
         console.log(`📌 Cliente desconectado (Total: ${connectedClients})`);
-        io.emit('server-stats', { 
+        panel.emit('server-stats', { 
             usuarios: connectedClients,
             uptime: Math.floor((Date.now() - serverStartTime) / 1000)
         });
@@ -1,13 +1,113 @@
 import { loginSimulador } from "./src/auth.js";
 import { obtenerPuntos } from "./src/obtenerPuntos.js";
-import { generarLectura, debugLectura } from "./src/generador.js";
-import { enviarLectura, formatearLecturaLog } from "./src/envio.js";
+import { debugLectura } from "./src/generador.js";
+import { crearCicloVida, formatearTransicion } from "./src/cicloVida.js";
+import { crearRegistroMedidor } from "./src/telemetria.js";
+import { formatearFecha } from "./src/zonaHoraria.js";
+import { idEjecucion, destinoEjecucion, crearCheckpoint } from "./src/checkpoints.js";
+import { lecturasDelTick, ticksHistoricos } from "./src/simulacion.js";
+import { crearReplay } from "./src/replay.js";
+import { cargarEscenario, crearEscenario } from "./src/escenarios.js";
+import { enviarLectura, enviarLecturasBatch, formatearLecturaLog, formatearReporteLote, establecerDestino } from "./src/envio.js";
+import { crearDestino } from "./src/destinos/index.js";
 import { CONFIG, validarConfiguracion, mostrarConfiguracion, parsearFecha } from "./config/config.js";
 
 // ============================================
 // SIMULADOR NUBE VERDE - ORQUESTADOR PRINCIPAL
 // ============================================
 
+/**
+ * Aplica opciones de línea de comandos sobre CONFIG
+ * Ejemplo: npm run simulador -- --destino=archivo --archivo=data/enero.ndjson
+ * Con --replay=data/mediciones.csv se reproducen mediciones reales (modo replay)
+ * Con --escenario=escenarios/demo.yaml se aplica un escenario de eventos
+ * Con --mqtt=mqtt://localhost:1883 las lecturas también se publican por MQTT
+ *
+ * @param {string[]} argv - Argumentos (sin "node" ni el script)
+ */
+function aplicarArgumentos(argv) {
+  const opciones = {
+    "--destino": "DESTINO",
+    "--archivo": "RUTA_ARCHIVO_DESTINO",
+    "--semilla": "SEMILLA",
+    "--zona": "ZONA_HORARIA",
+    "--replay": "REPLAY",
+    "--escenario": "ESCENARIO",
+    "--mqtt": "MQTT"
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [nombre, valorEnLinea] = argv[i].split("=");
+    const clave = opciones[nombre];
+
+    if (!clave) {
+      console.warn(`⚠️  Opción desconocida ignorada: ${argv[i]}`);
+      continue;
+    }
+
+    const valor = valorEnLinea ?? argv[++i];
+    if (valor === undefined) {
+      console.warn(`⚠️  Falta el valor de ${nombre}`);
+      continue;
+    }
+
+    if (clave === "REPLAY") {
+      CONFIG.REPLAY = { ...CONFIG.REPLAY, ACTIVO: true, RUTA_CSV: valor };
+    } else if (clave === "MQTT") {
+      CONFIG.MQTT = { ...CONFIG.MQTT, ESPEJO: true, URL: valor };
+    } else {
+      CONFIG[clave] = valor;
+    }
+  }
+}
+
+// Ciclo de vida de los puntos (null si CICLO_VIDA.ACTIVO = false)
+let cicloVida = null;
+
+// Registro acumulado de los medidores (null si TELEMETRIA.ACTIVO = false)
+let registroMedidores = null;
+
+// Escenario cargado de CONFIG.ESCENARIO (definición) y preparado para la ejecución
+let definicionEscenario = null;
+let escenario = null;
+
+/**
+ * Prepara el escenario para una ejecución que empieza en `inicio`
+ * @param {Date} inicio
+ */
+function prepararEscenario(inicio) {
+  if (!definicionEscenario) return;
+  escenario = crearEscenario(definicionEscenario, { inicio, zona: CONFIG.ZONA_HORARIA });
+  console.log(`🎬 Escenario "${escenario.nombre}": ${escenario.eventos.length} eventos`);
+  for (const evento of escenario.eventos) {
+    console.log(`   ${formatearFecha(evento.desde, CONFIG.ZONA_HORARIA)} → ${evento.descripcion}`);
+  }
+}
+
+// Muestra los eventos del escenario que empiezan o terminan hasta `fecha`
+function mostrarEventosEscenario(fecha) {
+  for (const { evento, inicia } of escenario?.transiciones(fecha) ?? []) {
+    console.log(`🎬 ${inicia ? "Inicia" : "Termina"}: ${evento.descripcion} - ${formatearFecha(fecha, CONFIG.ZONA_HORARIA)}`);
+  }
+}
+
+/**
+ * Contexto de la simulación para lecturasDelTick()
+ * @param {string|null} [ejecucion] - Id de la ejecución histórica (ids determinísticos)
+ * @param {Object|null} [registro] - Registro de medidores (por defecto el de tiempo real)
+ * @returns {Object}
+ */
+function contextoSimulacion(ejecucion = null, registro = registroMedidores) {
+  return {
+    config: CONFIG,
+    cicloVida,
+    escenario,
+    registro,
+    ejecucion,
+    alTransicion: transicion => console.log(`   ${formatearTransicion(transicion)}`)
+  };
+}
+
 /**
  * Ejecuta el simulador en modo TIEMPO REAL
  * Genera lecturas con la fecha actual cada INTERVALO_MS
@@ -16,6 +116,8 @@ async function ejecutarTiempoReal(puntos) {
   console.log("🕐 Modo: TIEMPO REAL");
   console.log(`📡 Enviando lecturas cada ${CONFIG.INTERVALO_MS / 1000} segundos...\n`);
 
+  prepararEscenario(new Date());
+
   // Primera ejecución inmediata
   await cicloLecturas(puntos, new Date());
 
@@ -33,69 +135,208 @@ async function ejecutarHistorico(puntos) {
   console.log("📅 Modo: HISTÓRICO");
   
   const fechaInicio = parsearFecha(CONFIG.FECHA_INICIO);
-  const fechaFin = parsearFecha(CONFIG.FECHA_FIN) || new Date();
+
+  prepararEscenario(fechaInicio);
+
+  // Checkpoint de esta ejecución: si quedó a medias se continúa desde ahí
+  const ejecucion = idEjecucion(CONFIG, definicionEscenario);
+  const checkpoint = crearCheckpoint({ directorio: CONFIG.RUTA_CHECKPOINTS, ejecucion });
+  const previo = CONFIG.REANUDAR_HISTORICO ? await checkpoint.cargar() : null;
+
+  // Con otro destino se empieza de cero, para que ese destino reciba el rango completo
+  const destino = destinoEjecucion(CONFIG);
+  if (previo && !previo.completado && previo.destino !== destino) {
+    console.log(`⚠️  El checkpoint de ${ejecucion} es de otro destino (${previo.destino}), se empieza de cero\n`);
+  }
+  const reanudar = previo && !previo.completado && previo.destino === destino;
+
+  const fechaFin = reanudar ? new Date(previo.fecha_fin) : (parsearFecha(CONFIG.FECHA_FIN) || new Date());
   
-  console.log(`   Desde: ${fechaInicio.toLocaleString('es-SV')}`);
-  console.log(`   Hasta: ${fechaFin.toLocaleString('es-SV')}`);
+  console.log(`   Desde: ${formatearFecha(fechaInicio, CONFIG.ZONA_HORARIA)}`);
+  console.log(`   Hasta: ${formatearFecha(fechaFin, CONFIG.ZONA_HORARIA)}`);
   console.log(`   Incremento: ${CONFIG.INCREMENTO_TIEMPO_MS / 60000} minutos\n`);
 
-  let fechaActual = new Date(fechaInicio);
-  let totalLecturas = 0;
-  let lote = 0;
+  let fechaActual = reanudar ? new Date(previo.siguiente) : new Date(fechaInicio);
+  let ticks = reanudar ? previo.ticks : 0;
+  let totalLecturas = reanudar ? previo.lecturas_guardadas : 0;
+  let totalFallidas = 0;
+  let pendientes = [];
 
-  while (fechaActual <= fechaFin) {
-    lote++;
-    console.log(`\n📦 Lote ${lote} - ${fechaActual.toLocaleString('es-SV')}`);
-    
+  if (reanudar) {
+    console.log(`⏯️  Reanudando ejecución ${ejecucion} desde ${formatearFecha(fechaActual, CONFIG.ZONA_HORARIA)}\n`);
+  }
+
+  // Registro propio de la ejecución (ver checkpoints.js): continúa desde el checkpoint
+  const registro = CONFIG.TELEMETRIA.ACTIVO ? crearRegistroMedidor() : null;
+  if (reanudar) {
+    registro?.restaurar(previo.registros);
+    cicloVida?.restaurar(previo.ciclo_vida);
+  }
+
+  const guardarCheckpoint = (completado) => checkpoint.guardar({
+    fecha_inicio: fechaInicio.toISOString(),
+    fecha_fin: fechaFin.toISOString(),
+    incremento_ms: CONFIG.INCREMENTO_TIEMPO_MS,
+    zona_horaria: CONFIG.ZONA_HORARIA,
+    semilla: CONFIG.SEMILLA ?? null,
+    destino,
+    siguiente: fechaActual.toISOString(),
+    registros: registro?.instantanea() ?? null,
+    ciclo_vida: cicloVida?.estados() ?? null,
+    ticks,
+    lecturas_guardadas: totalLecturas,
+    completado
+  });
+
+  // Envía las lecturas acumuladas en lotes atómicos con reintentos
+  const vaciarPendientes = async () => {
+    if (pendientes.length === 0) return;
+
+    const hasta = pendientes[pendientes.length - 1].fecha;
+    const reporte = await enviarLecturasBatch(pendientes);
+    console.log(`📦 ${pendientes.length} lecturas hasta ${formatearFecha(hasta, CONFIG.ZONA_HORARIA)} → ${formatearReporteLote(reporte)}`);
+
+    totalLecturas += reporte.exitosas;
+    totalFallidas += reporte.fallidas;
+    pendientes = [];
+
+    await guardarCheckpoint(false);
+  };
+
+  const contexto = contextoSimulacion(ejecucion, registro);
+
+  for (const { fecha, intervaloMs, siguiente } of ticksHistoricos(fechaActual, fechaFin, CONFIG.INCREMENTO_TIEMPO_MS, CONFIG.ZONA_HORARIA)) {
+    mostrarEventosEscenario(fecha);
     for (const punto of puntos) {
-      const lectura = generarLectura(punto, new Date(fechaActual));
-      await enviarLectura(lectura);
-      console.log(`   ${formatearLecturaLog(lectura)}`);
-      totalLecturas++;
+      pendientes.push(...lecturasDelTick(punto, fecha, intervaloMs, contexto));
     }
+    ticks++;
 
-    // Avanzar el tiempo simulado
-    fechaActual = new Date(fechaActual.getTime() + CONFIG.INCREMENTO_TIEMPO_MS);
+    // Avanzar el tiempo simulado (por días de calendario si el incremento es de días completos)
+    fechaActual = siguiente;
 
-    // Delay entre lotes para no saturar Firestore
-    if (lote % CONFIG.BATCH_SIZE === 0) {
-      console.log(`   ⏳ Pausa de ${CONFIG.DELAY_ENTRE_LOTES}ms...`);
-      await delay(CONFIG.DELAY_ENTRE_LOTES);
+    if (pendientes.length >= CONFIG.BATCH_SIZE) {
+      await vaciarPendientes();
     }
   }
 
+  await vaciarPendientes();
+  await guardarCheckpoint(true);
+
   console.log("\n" + "═".repeat(50));
   console.log(`✅ Simulación histórica completada`);
   console.log(`   Total de lecturas: ${totalLecturas}`);
+  console.log(`   Lecturas fallidas: ${totalFallidas}`);
   console.log(`   Puntos procesados: ${puntos.length}`);
   console.log("═".repeat(50));
   
   process.exit(0);
 }
 
+/**
+ * Ejecuta el simulador en modo REPLAY
+ * Reenvía las mediciones de REPLAY.RUTA_CSV, desplazadas al presente
+ * o con su fecha original
+ */
+async function ejecutarReplay(puntos) {
+  console.log("🎞️  Modo: REPLAY");
+
+  // Con fechas originales el registro arranca de cero: repetir el archivo da las mismas lecturas
+  const registro = CONFIG.REPLAY.DESPLAZAR_AL_PRESENTE ? registroMedidores : registroMedidores && crearRegistroMedidor();
+  const replay = await crearReplay({ config: CONFIG, puntos, registro });
+  const zona = CONFIG.ZONA_HORARIA;
+
+  console.log(`   Archivo: ${CONFIG.REPLAY.RUTA_CSV}`);
+  console.log(`   Mediciones: ${replay.total} (${formatearFecha(replay.desde, zona)} → ${formatearFecha(replay.hasta, zona)})`);
+  if (replay.sinPunto.length > 0) {
+    console.warn(`⚠️  Descartadas, punto desconocido: ${replay.sinPunto.join(", ")}`);
+  }
+  if (replay.invalidas > 0) {
+    console.warn(`⚠️  ${replay.invalidas} filas inválidas descartadas:`);
+    replay.errores.forEach(e => console.warn(`   - ${e}`));
+  }
+
+  const terminar = () => {
+    console.log("\n" + "═".repeat(50));
+    console.log(`✅ Replay completado: ${replay.total} mediciones`);
+    console.log("═".repeat(50));
+    process.exit(0);
+  };
+
+  if (CONFIG.REPLAY.DESPLAZAR_AL_PRESENTE) {
+    console.log(`📡 Reenviando mediciones desplazadas al presente (revisión cada ${CONFIG.INTERVALO_MS / 1000} segundos)...\n`);
+
+    const ciclo = async () => {
+      for (const lectura of replay.lecturasHasta(new Date(), puntos)) {
+        try {
+          await enviarLectura(lectura);
+          console.log(`   ${formatearLecturaLog(lectura)}`);
+        } catch (err) {
+          console.error(`   ❌ Error en ${lectura.id_punto}: ${err.message}`);
+        }
+      }
+      await registroMedidores?.guardar();
+      if (replay.terminado) terminar();
+    };
+
+    await ciclo();
+    setInterval(ciclo, CONFIG.INTERVALO_MS);
+    return;
+  }
+
+  console.log(`   Ejecución: ${replay.ejecucion}\n`);
+
+  let pendientes = [];
+  let totalLecturas = 0;
+  let totalFallidas = 0;
+
+  const vaciarPendientes = async () => {
+    if (pendientes.length === 0) return;
+
+    const hasta = pendientes[pendientes.length - 1].fecha;
+    const reporte = await enviarLecturasBatch(pendientes);
+    console.log(`📦 ${pendientes.length} lecturas hasta ${formatearFecha(hasta, zona)} → ${formatearReporteLote(reporte)}`);
+
+    await registroMedidores?.guardar();
+
+    totalLecturas += reporte.exitosas;
+    totalFallidas += reporte.fallidas;
+    pendientes = [];
+  };
+
+  for (const lectura of replay.lecturasOriginales(puntos)) {
+    pendientes.push(lectura);
+    if (pendientes.length >= CONFIG.BATCH_SIZE) {
+      await vaciarPendientes();
+    }
+  }
+  await vaciarPendientes();
+
+  console.log(`   Lecturas guardadas: ${totalLecturas} | Fallidas: ${totalFallidas}`);
+  terminar();
+}
+
 /**
  * Ejecuta un ciclo de lecturas para todos los puntos
  */
 async function cicloLecturas(puntos, fecha) {
-  const timestamp = fecha.toLocaleString('es-SV', { timeZone: 'America/El_Salvador' });
+  const timestamp = formatearFecha(fecha, CONFIG.ZONA_HORARIA);
   console.log(`\n🔄 [${timestamp}]`);
+  mostrarEventosEscenario(fecha);
+  const contexto = contextoSimulacion();
   
   for (const punto of puntos) {
     try {
-      const lectura = generarLectura(punto, fecha);
-      await enviarLectura(lectura);
-      console.log(`   ${formatearLecturaLog(lectura)}`);
+      for (const lectura of lecturasDelTick(punto, fecha, CONFIG.INTERVALO_MS, contexto)) {
+        await enviarLectura(lectura);
+        console.log(`   ${formatearLecturaLog(lectura)}`);
+      }
     } catch (err) {
       console.error(`   ❌ Error en ${punto.id}: ${err.message}`);
     }
   }
-}
 
-/**
- * Función auxiliar para delays
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  await registroMedidores?.guardar();
 }
 
 /**
@@ -124,6 +365,9 @@ async function iniciar() {
   console.log("🌿       SIMULADOR NUBE VERDE - IoT Energético       ");
   console.log("🌿 ═══════════════════════════════════════════════════\n");
 
+  // Opciones de línea de comandos
+  aplicarArgumentos(process.argv.slice(2));
+
   // Validar configuración
   const { valido, errores } = validarConfiguracion();
   if (!valido) {
@@ -151,10 +395,25 @@ async function iniciar() {
 
     mostrarPuntos(puntos);
 
+    // Destino de las lecturas (MQTT usa la ubicación de cada punto en sus tópicos)
+    establecerDestino(crearDestino(CONFIG, { ubicacionDe: id => puntos.find(p => p.id === id)?.ubicacion }));
+
+    if (CONFIG.CICLO_VIDA.ACTIVO) cicloVida = crearCicloVida(CONFIG);
+
+    if (CONFIG.ESCENARIO) definicionEscenario = await cargarEscenario(CONFIG.ESCENARIO);
+
+    if (CONFIG.TELEMETRIA.ACTIVO) {
+      registroMedidores = crearRegistroMedidor({ ruta: CONFIG.TELEMETRIA.RUTA_REGISTROS });
+      const medidores = await registroMedidores.cargar();
+      if (medidores > 0) console.log(`🔢 Registros acumulados cargados para ${medidores} medidores`);
+    }
+
     // Ejecutar según modo
     console.log("\n🚀 Iniciando simulación...");
     
-    if (CONFIG.MODO === "historico") {
+    if (CONFIG.MODO === "replay") {
+      await ejecutarReplay(puntos);
+    } else if (CONFIG.MODO === "historico") {
       await ejecutarHistorico(puntos);
     } else {
       await ejecutarTiempoReal(puntos);
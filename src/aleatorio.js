@@ -0,0 +1,52 @@
+// ============================================
+// NÚMEROS ALEATORIOS REPRODUCIBLES
+// ============================================
+
+/**
+ * Calcula un hash de 32 bits (FNV-1a) de un texto
+ * @param {string} texto
+ * @returns {number} Entero sin signo de 32 bits
+ */
+export function hashTexto(texto) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < texto.length; i++) {
+    hash ^= texto.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generador pseudoaleatorio mulberry32
+ * @param {number} estadoInicial - Entero de 32 bits
+ * @returns {() => number} Función que devuelve números en [0, 1)
+ */
+function mulberry32(estadoInicial) {
+  let estado = estadoInicial >>> 0;
+  return () => {
+    estado = (estado + 0x6d2b79f5) >>> 0;
+    let t = estado;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Crea un flujo aleatorio para una semilla y un conjunto de claves
+ *
+ * Con la misma semilla y las mismas claves (por ejemplo id del punto y fecha)
+ * siempre se obtiene la misma secuencia, sin importar el orden en que se
+ * generen los demás puntos. Sin semilla se usa Math.random().
+ *
+ * @param {string|number|null} semilla - Semilla global (CONFIG.SEMILLA)
+ * @param {...(string|number)} claves - Claves que identifican el flujo
+ * @returns {() => number} Función que devuelve números en [0, 1)
+ */
+export function crearAleatorio(semilla, ...claves) {
+  if (semilla === null || semilla === undefined || semilla === "") {
+    return Math.random;
+  }
+
+  return mulberry32(hashTexto([semilla, ...claves].join("|")));
+}
@@ -1,5 +1,5 @@
-import { signInWithEmailAndPassword } from "firebase/auth";
-import { auth } from "./firebase.js";
+import { signInWithEmailAndPassword, signOut } from "firebase/auth";
+import { auth, authVerificacion } from "./firebase.js";
 
 export async function loginSimulador() {
   const email = "simulador@nubeverde.local";
@@ -8,3 +8,29 @@ export async function loginSimulador() {
   const cred = await signInWithEmailAndPassword(auth, email, password);
   console.log("✅ Simulador autenticado:", cred.user.email);
 }
+
+// Las verificaciones comparten authVerificacion: se encadenan para que un login
+// no lea ni cierre la sesión de otro que corre al mismo tiempo
+let verificacionEnCurso = Promise.resolve();
+
+/**
+ * Verifica el correo y la contraseña de un usuario del panel web
+ * Usa su propia instancia de Auth: el usuario de Firestore del servidor no cambia
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ uid: string, email: string }>}
+ */
+export function verificarCredenciales(email, password) {
+  const verificar = async () => {
+    const cred = await signInWithEmailAndPassword(authVerificacion, email, password);
+    const usuario = { uid: cred.user.uid, email: cred.user.email };
+
+    await signOut(authVerificacion);
+    return usuario;
+  };
+
+  const resultado = verificacionEnCurso.then(verificar);
+  verificacionEnCurso = resultado.catch(() => {});
+  return resultado;
+}
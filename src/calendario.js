@@ -0,0 +1,198 @@
+import { readFileSync } from "fs";
+import { extname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { partesFecha } from "./zonaHoraria.js";
+
+// ============================================
+// CALENDARIO DE FERIADOS Y PERIODOS ACADÉMICOS
+// ============================================
+
+/**
+ * El calendario se carga desde un archivo JSON o ICS (RUTA_CALENDARIO).
+ *
+ * Formato JSON:
+ * {
+ *   "tipos_dia": { "feriado": { "factor": 0.15 }, ... },   // Opcional, sobrescribe CONFIG.TIPOS_DIA
+ *   "reglas": [
+ *     { "nombre": "Año Nuevo", "tipo": "feriado", "fecha": "01-01" },                 // Cada año
+ *     { "nombre": "Semana Santa", "tipo": "vacaciones", "desde": "2025-04-13", "hasta": "2025-04-20" },
+ *     { "nombre": "Vacaciones de fin de año", "tipo": "vacaciones", "desde": "12-20", "hasta": "01-10" }
+ *   ]
+ * }
+ *
+ * Formato ICS: cada VEVENT de día completo es una regla; SUMMARY es el nombre y
+ * CATEGORIES el tipo de día (DTEND es exclusivo, como en el estándar).
+ *
+ * Si varias reglas coinciden con un día, gana la de menor factor
+ * (por ejemplo, un feriado dentro de la semana de exámenes).
+ */
+
+const FORMATO_ANUAL = /^\d{2}-\d{2}$/;
+const FORMATO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Las rutas relativas se resuelven desde la raíz del proyecto, no desde el cwd
+const RAIZ_PROYECTO = fileURLToPath(new URL("..", import.meta.url));
+
+// Calendarios ya cargados por ruta
+const cache = new Map();
+
+/**
+ * Clave "YYYY-MM-DD" de una fecha en la zona de la simulación
+ * @param {Date} fecha
+ * @param {string} zona - Zona horaria IANA
+ * @returns {string}
+ */
+export function claveDia(fecha, zona) {
+  const { anio, mes, dia } = partesFecha(fecha, zona);
+  return `${anio}-${String(mes).padStart(2, "0")}-${String(dia).padStart(2, "0")}`;
+}
+
+/**
+ * Extrae las reglas de un archivo ICS (solo eventos de día completo)
+ * @param {string} contenido
+ * @returns {Array<Object>} Reglas en el mismo formato que el JSON
+ */
+function parsearIcs(contenido) {
+  // Desplegar líneas continuadas (empiezan con espacio o tabulador)
+  const lineas = contenido.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const reglas = [];
+  let evento = null;
+
+  const aFecha = (valor) => `${valor.slice(0, 4)}-${valor.slice(4, 6)}-${valor.slice(6, 8)}`;
+
+  for (const linea of lineas) {
+    if (linea === "BEGIN:VEVENT") {
+      evento = {};
+      continue;
+    }
+
+    if (linea === "END:VEVENT") {
+      if (evento.desde) {
+        // DTEND es exclusivo: el último día incluido es el anterior
+        let hasta = evento.desde;
+        if (evento.finExclusivo) {
+          const fin = new Date(`${evento.finExclusivo}T00:00:00Z`);
+          fin.setUTCDate(fin.getUTCDate() - 1);
+          hasta = fin.toISOString().slice(0, 10);
+        }
+        reglas.push({ nombre: evento.nombre, tipo: evento.tipo, desde: evento.desde, hasta });
+      }
+      evento = null;
+      continue;
+    }
+
+    if (!evento) continue;
+
+    const separador = linea.indexOf(":");
+    const propiedad = linea.slice(0, separador).split(";")[0].toUpperCase();
+    const valor = linea.slice(separador + 1).trim();
+
+    if (propiedad === "DTSTART") evento.desde = aFecha(valor);
+    if (propiedad === "DTEND") evento.finExclusivo = aFecha(valor);
+    if (propiedad === "SUMMARY") evento.nombre = valor;
+    if (propiedad === "CATEGORIES") evento.tipo = valor.split(",")[0].trim().toLowerCase();
+  }
+
+  return reglas;
+}
+
+/**
+ * Valida y normaliza el contenido de un calendario
+ *
+ * @param {Object} datos - { tipos_dia, reglas }
+ * @param {Object} tiposPorDefecto - CONFIG.TIPOS_DIA
+ * @returns {{ tiposDia: Object, reglas: Array<Object> }}
+ * @throws {Error} Con todos los errores encontrados
+ */
+function normalizarCalendario(datos, tiposPorDefecto) {
+  const tiposDia = { ...tiposPorDefecto, ...(datos.tipos_dia || {}) };
+  const errores = [];
+
+  for (const [tipo, definicion] of Object.entries(tiposDia)) {
+    if (typeof definicion?.factor !== "number" || definicion.factor < 0) {
+      errores.push(`tipo de día "${tipo}": factor debe ser un número mayor o igual a 0`);
+    }
+  }
+
+  const reglas = (datos.reglas || []).map((regla, i) => {
+    const nombre = regla.nombre || `Regla ${i + 1}`;
+    const desde = regla.fecha ?? regla.desde;
+    const hasta = regla.fecha ?? regla.hasta ?? desde;
+
+    if (!tiposDia[regla.tipo]) {
+      errores.push(`${nombre}: tipo de día desconocido "${regla.tipo}"`);
+    }
+
+    const anual = FORMATO_ANUAL.test(desde) && FORMATO_ANUAL.test(hasta);
+    const fija = FORMATO_FECHA.test(desde) && FORMATO_FECHA.test(hasta);
+    if (!anual && !fija) {
+      errores.push(`${nombre}: las fechas deben ser "MM-DD" (cada año) o "YYYY-MM-DD"`);
+    } else if (fija && desde > hasta) {
+      errores.push(`${nombre}: "desde" debe ser anterior o igual a "hasta"`);
+    }
+
+    return { nombre, tipo: regla.tipo, desde, hasta, anual };
+  });
+
+  if (errores.length > 0) {
+    throw new Error(`Calendario inválido: ${errores.join("; ")}`);
+  }
+
+  return { tiposDia, reglas };
+}
+
+/**
+ * Carga (una sola vez) el calendario de un archivo JSON o ICS
+ *
+ * @param {string|null} ruta - RUTA_CALENDARIO (relativa a la raíz del proyecto); null desactiva el calendario
+ * @param {Object} tiposPorDefecto - CONFIG.TIPOS_DIA
+ * @returns {{ tiposDia: Object, reglas: Array<Object> }|null}
+ */
+export function obtenerCalendario(ruta, tiposPorDefecto = {}) {
+  if (!ruta) return null;
+
+  if (!cache.has(ruta)) {
+    const contenido = readFileSync(resolve(RAIZ_PROYECTO, ruta), "utf8");
+    const datos = extname(ruta).toLowerCase() === ".ics"
+      ? { reglas: parsearIcs(contenido) }
+      : JSON.parse(contenido);
+
+    cache.set(ruta, normalizarCalendario(datos, tiposPorDefecto));
+  }
+
+  return cache.get(ruta);
+}
+
+/**
+ * Busca la regla del calendario que aplica a una fecha
+ *
+ * @param {Object|null} calendario - Resultado de obtenerCalendario()
+ * @param {Date} fecha
+ * @param {string} zona - Zona horaria en la que se evalúa el día
+ * @returns {{ nombre: string, tipo: string, factor: number }|null}
+ */
+export function reglaCalendario(calendario, fecha, zona) {
+  if (!calendario) return null;
+
+  const clave = claveDia(fecha, zona);
+  const mesDia = clave.slice(5);
+  let elegida = null;
+
+  for (const regla of calendario.reglas) {
+    const coincide = regla.anual
+      ? (regla.desde <= regla.hasta
+          ? mesDia >= regla.desde && mesDia <= regla.hasta
+          // Rango que cruza el fin de año, por ejemplo 12-20 → 01-10
+          : mesDia >= regla.desde || mesDia <= regla.hasta)
+      : clave >= regla.desde && clave <= regla.hasta;
+
+    if (!coincide) continue;
+
+    const factor = calendario.tiposDia[regla.tipo].factor;
+    if (!elegida || factor < elegida.factor) {
+      elegida = { nombre: regla.nombre, tipo: regla.tipo, factor };
+    }
+  }
+
+  return elegida;
+}
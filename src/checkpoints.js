@@ -0,0 +1,190 @@
+import { mkdir, readdir, readFile, rename, writeFile } from "fs/promises";
+import { join } from "path";
+import { hashTexto } from "./aleatorio.js";
+
+// ============================================
+// CHECKPOINTS DE SIMULACIONES HISTÓRICAS
+// ============================================
+
+/**
+ * Una simulación histórica se identifica por su ejecución: un id derivado del
+ * rango de fechas, el incremento, la zona horaria, la semilla, los parámetros
+ * que cambian las lecturas (picos, factores, errores, ciclo de vida,
+ * telemetría, fallas...), el escenario y, si no se simulan todos, los puntos.
+ * Correr dos veces el mismo rango con la misma configuración produce la misma
+ * ejecución y, por lo tanto, los mismos ids de lectura, así que reenviar una
+ * lectura la sobrescribe en lugar de duplicarla.
+ *
+ * Al terminar cada lote se guarda un checkpoint en RUTA_CHECKPOINTS/<id>.json:
+ * {
+ *   ejecucion, fecha_inicio, fecha_fin, incremento_ms, zona_horaria, semilla,
+ *   destino,                 // resultado de destinoEjecucion()
+ *   siguiente: ISO,          // primer tick que falta generar
+ *   puntos: ["N1", ...],     // puntos simulados (null = todos)
+ *   registros: { N1: kWh },  // registro de los medidores en "siguiente" (con telemetría)
+ *   ciclo_vida: { N1: { estado, desde: ISO } },  // estados de los puntos en "siguiente" (con CICLO_VIDA)
+ *   ticks,                   // ticks ya generados
+ *   lecturas_guardadas, actualizado: ISO, completado: boolean
+ * }
+ * Si el servidor se reinicia o la simulación se detiene, la siguiente
+ * ejecución del mismo rango continúa desde "siguiente", siempre que vaya al
+ * mismo destino (ver destinoEjecucion); con otro destino se empieza de cero.
+ *
+ * Con telemetría, cada ejecución lleva su propio registro de medidores, que
+ * arranca en registro_inicial_kwh de cada punto y no toca el de tiempo real.
+ * Al reanudar se restaura desde "registros"; al repetir la ejecución se vuelve
+ * a empezar, así las lecturas sobrescritas tienen el mismo registro_kwh.
+ * Lo mismo con el ciclo de vida: al reanudar, cada punto sigue en el estado
+ * guardado en "ciclo_vida" y no vuelve a "activo".
+ */
+
+// Parámetros de la configuración que cambian las lecturas generadas
+const PARAMETROS_GENERACION = [
+  "SIMULAR_PICOS",
+  "HORARIOS_PICO",
+  "FACTOR_PICO",
+  "FACTOR_FIN_SEMANA",
+  "RUTA_CALENDARIO",
+  "TIPOS_DIA",
+  "FUENTE_CONSUMO_BASE",
+  "VARIACION_CONSUMO",
+  "PROBABILIDAD_ERROR",
+  "CICLO_VIDA",
+  "TELEMETRIA",
+  "FALLAS"
+];
+
+/**
+ * Id de la ejecución histórica para una configuración
+ * Con un escenario cargado o un subconjunto de puntos, también forman parte del id
+ *
+ * @param {Object} config - Usa FECHA_INICIO, FECHA_FIN, INCREMENTO_TIEMPO_MS, ZONA_HORARIA,
+ *   SEMILLA y los parámetros de generación (PARAMETROS_GENERACION)
+ * @param {Object|null} [escenario] - Definición del escenario (ver escenarios.js)
+ * @param {string[]|null} [puntos] - Ids de los puntos simulados (null = todos)
+ * @returns {string} Por ejemplo "h3f9a01c2"
+ */
+export function idEjecucion(config, escenario = null, puntos = null) {
+  const clave = JSON.stringify([
+    config.FECHA_INICIO,
+    config.FECHA_FIN,
+    config.INCREMENTO_TIEMPO_MS,
+    config.ZONA_HORARIA,
+    config.SEMILLA ?? null,
+    PARAMETROS_GENERACION.map(parametro => config[parametro] ?? null),
+    ...(escenario ? [escenario] : []),
+    ...(puntos ? [[...puntos].sort()] : [])
+  ]);
+  return "h" + hashTexto(clave).toString(16).padStart(8, "0");
+}
+
+/**
+ * Destino de una ejecución tal como se guarda en el checkpoint
+ * Reanudar hacia otro destino dejaría en cada uno solo una parte del rango
+ *
+ * @param {Object} config - Usa DESTINO, RUTA_ARCHIVO_DESTINO, MQTT.URL y WEBHOOK.URL
+ * @returns {string} Por ejemplo "firestore" o "archivo:data/lecturas.ndjson"
+ */
+export function destinoEjecucion(config) {
+  switch (config.DESTINO) {
+    case "archivo":
+      return `archivo:${config.RUTA_ARCHIVO_DESTINO}`;
+    case "mqtt":
+      return `mqtt:${config.MQTT?.URL}`;
+    case "webhook":
+      return `webhook:${config.WEBHOOK?.URL}`;
+    default:
+      return config.DESTINO;
+  }
+}
+
+/**
+ * Id determinístico de una lectura: ejecución, punto y fecha del tick
+ * La copia que genera la falla de duplicado lleva el sufijo "_1"
+ *
+ * @param {string} idPunto
+ * @param {Date} fecha - Fecha del tick (antes de la falla de desfase)
+ * @param {string} ejecucion - Resultado de idEjecucion()
+ * @param {number} [copia] - 0 para la lectura original
+ * @returns {string} Válido como id de documento de Firestore
+ */
+export function idLectura(idPunto, fecha, ejecucion, copia = 0) {
+  const punto = String(idPunto).replace(/[\/\s]/g, "-");
+  return `${ejecucion}_${punto}_${fecha.getTime()}${copia > 0 ? `_${copia}` : ""}`;
+}
+
+/**
+ * Checkpoint en disco de una ejecución histórica
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.directorio - Carpeta de checkpoints
+ * @param {string} opciones.ejecucion - Resultado de idEjecucion()
+ * @returns {Object} { ruta, cargar, guardar }
+ */
+export function crearCheckpoint({ directorio, ejecucion }) {
+  const ruta = join(directorio, `${ejecucion}.json`);
+
+  // Las escrituras se encadenan para que no se pisen entre sí
+  let operacionArchivo = Promise.resolve();
+
+  return {
+    ruta,
+
+    /**
+     * Lee el checkpoint guardado (null si la ejecución nunca empezó)
+     * @returns {Promise<Object|null>}
+     */
+    async cargar() {
+      try {
+        return JSON.parse(await readFile(ruta, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Guarda el avance de forma atómica (archivo temporal + rename)
+     * @param {Object} estado
+     * @returns {Promise<void>}
+     */
+    guardar(estado) {
+      const contenido = JSON.stringify({ ejecucion, ...estado, actualizado: new Date().toISOString() }, null, 2);
+      const escribir = async () => {
+        await mkdir(directorio, { recursive: true });
+        const temporal = `${ruta}.tmp`;
+        await writeFile(temporal, contenido, "utf8");
+        await rename(temporal, ruta);
+      };
+
+      operacionArchivo = operacionArchivo.then(escribir, escribir);
+      return operacionArchivo;
+    }
+  };
+}
+
+/**
+ * Lista los checkpoints guardados, del más reciente al más antiguo
+ * @param {string} directorio
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listarCheckpoints(directorio) {
+  let archivos;
+  try {
+    archivos = await readdir(directorio);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const checkpoints = [];
+  for (const archivo of archivos.filter(a => a.endsWith(".json"))) {
+    try {
+      checkpoints.push(JSON.parse(await readFile(join(directorio, archivo), "utf8")));
+    } catch {
+      // Checkpoint corrupto: se ignora
+    }
+  }
+
+  return checkpoints.sort((a, b) => (b.actualizado || "").localeCompare(a.actualizado || ""));
+}
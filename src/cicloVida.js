@@ -0,0 +1,146 @@
+import { crearAleatorio } from "./aleatorio.js";
+
+// ============================================
+// CICLO DE VIDA DE LOS PUNTOS (MÁQUINA DE ESTADOS)
+// ============================================
+
+/**
+ * Estados posibles de un punto y sus transiciones:
+ *
+ *   activo ──(MTTF)──────────► error ──(MTTR)──► activo
+ *   activo ──(MTBM)──► mantenimiento ──(duración)──► activo
+ *   cualquiera ──(punto.activo = false)──► inactivo ──(punto.activo = true)──► activo
+ *
+ * Los tiempos son medias de una distribución exponencial: la probabilidad de
+ * salir de un estado en un tick de duración Δ es 1 - e^(-Δ / media).
+ * Así una falla dura varios ticks y luego se recupera, en lugar de ser un
+ * sorteo independiente en cada lectura.
+ */
+export const ESTADOS_PUNTO = ["activo", "error", "mantenimiento", "inactivo"];
+
+const MS_POR_HORA = 3600000;
+
+/**
+ * Probabilidad de dejar un estado durante un intervalo
+ * @param {number} intervaloMs - Duración del tick
+ * @param {number} mediaHoras - Tiempo medio en el estado (0 o ausente = nunca)
+ * @returns {number}
+ */
+function probabilidadSalida(intervaloMs, mediaHoras) {
+  if (!mediaHoras || mediaHoras <= 0) return 0;
+  return 1 - Math.exp(-intervaloMs / (mediaHoras * MS_POR_HORA));
+}
+
+/**
+ * Crea el ciclo de vida de los puntos de una simulación
+ *
+ * @param {Object} config - Configuración (usa CICLO_VIDA y SEMILLA)
+ * @returns {Object} { avanzar, estado, estados, restaurar }
+ */
+export function crearCicloVida(config) {
+  const { MTTF_HORAS, MTTR_HORAS, MTBM_HORAS, DURACION_MANTENIMIENTO_HORAS } = config.CICLO_VIDA;
+
+  // id del punto → { estado, desde: Date }
+  const estados = new Map();
+
+  return {
+    /**
+     * Avanza la máquina de estados de un punto un tick
+     *
+     * @param {Object} punto - Punto de monitoreo
+     * @param {Date} fecha - Fecha del tick
+     * @param {number} intervaloMs - Duración del tick
+     * @returns {{ estado: string, transicion: { id_punto, de, a, fecha, duracion_ms }|null }}
+     */
+    avanzar(punto, fecha, intervaloMs) {
+      const actual = estados.get(punto.id) ?? { estado: punto.activo ? "activo" : "inactivo", desde: fecha };
+      let siguiente = actual.estado;
+
+      if (!punto.activo) {
+        siguiente = "inactivo";
+      } else {
+        const aleatorio = crearAleatorio(config.SEMILLA, punto.id, "ciclo", fecha.getTime());
+        const sorteo = aleatorio();
+
+        switch (actual.estado) {
+          case "inactivo":
+            siguiente = "activo";
+            break;
+          case "activo": {
+            const pFalla = probabilidadSalida(intervaloMs, MTTF_HORAS);
+            const pMantenimiento = probabilidadSalida(intervaloMs, MTBM_HORAS);
+            if (sorteo < pFalla) siguiente = "error";
+            else if (sorteo < pFalla + pMantenimiento) siguiente = "mantenimiento";
+            break;
+          }
+          case "error":
+            if (sorteo < probabilidadSalida(intervaloMs, MTTR_HORAS)) siguiente = "activo";
+            break;
+          case "mantenimiento":
+            if (sorteo < probabilidadSalida(intervaloMs, DURACION_MANTENIMIENTO_HORAS)) siguiente = "activo";
+            break;
+        }
+      }
+
+      if (siguiente === actual.estado) {
+        estados.set(punto.id, actual);
+        return { estado: siguiente, transicion: null };
+      }
+
+      estados.set(punto.id, { estado: siguiente, desde: fecha });
+
+      return {
+        estado: siguiente,
+        transicion: {
+          id_punto: punto.id,
+          de: actual.estado,
+          a: siguiente,
+          fecha,
+          duracion_ms: fecha.getTime() - actual.desde.getTime()
+        }
+      };
+    },
+
+    /**
+     * Estado actual de un punto (o null si aún no ha avanzado)
+     * @param {string} idPunto
+     * @returns {string|null}
+     */
+    estado(idPunto) {
+      return estados.get(idPunto)?.estado ?? null;
+    },
+
+    /**
+     * Estado de todos los puntos
+     * @returns {Object} id → { estado, desde: ISO }
+     */
+    estados() {
+      return Object.fromEntries(
+        [...estados].map(([id, { estado, desde }]) => [id, { estado, desde: desde.toISOString() }])
+      );
+    },
+
+    /**
+     * Reemplaza el estado de los puntos por uno guardado (el checkpoint de una
+     * ejecución histórica), para que al reanudar la máquina siga donde quedó
+     * @param {Object|null} guardados - Resultado de estados()
+     */
+    restaurar(guardados) {
+      estados.clear();
+      for (const [id, { estado, desde }] of Object.entries(guardados || {})) {
+        estados.set(id, { estado, desde: new Date(desde) });
+      }
+    }
+  };
+}
+
+/**
+ * Formatea una transición para logs
+ * @param {Object} transicion
+ * @returns {string}
+ */
+export function formatearTransicion(transicion) {
+  const emoji = { activo: "🟢", error: "🔴", mantenimiento: "🛠️", inactivo: "⚫" };
+  const horas = (transicion.duracion_ms / MS_POR_HORA).toFixed(1);
+  return `${emoji[transicion.a] || "⚪"} ${transicion.id_punto}: ${transicion.de} → ${transicion.a} (tras ${horas} h)`;
+}
@@ -0,0 +1,143 @@
+import { appendFile, mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+
+/**
+ * Cola persistente en disco para lecturas que no se pudieron enviar
+ *
+ * Cada línea del archivo es una entrada JSON:
+ * { "lectura": { id_punto, estado, consumo_kwh, fecha: ISO, ... }, "encolada": epoch ms }
+ *
+ * Las lecturas sobreviven a reinicios del servidor y se reproducen en orden de
+ * fecha cuando el destino vuelve a estar disponible.
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.ruta - Ruta del archivo .ndjson de la cola
+ * @returns {Object} Cola con { cargar, agregar, reproducir, estado, tamano }
+ */
+export function crearColaOffline({ ruta }) {
+  let entradas = [];
+  let reproduciendo = false;
+
+  // Las operaciones de archivo se encadenan para que no se pisen entre sí
+  let operacionArchivo = mkdir(dirname(ruta), { recursive: true });
+
+  function encadenar(operacion) {
+    operacionArchivo = operacionArchivo.then(operacion, operacion);
+    return operacionArchivo;
+  }
+
+  function serializar(entrada) {
+    return JSON.stringify({
+      lectura: { ...entrada.lectura, fecha: entrada.lectura.fecha.toISOString() },
+      encolada: entrada.encolada
+    }) + "\n";
+  }
+
+  // Reescribe el archivo completo de forma atómica (archivo temporal + rename)
+  function reescribir() {
+    return encadenar(async () => {
+      const temporal = `${ruta}.tmp`;
+      await writeFile(temporal, entradas.map(serializar).join(""), "utf8");
+      await rename(temporal, ruta);
+    });
+  }
+
+  return {
+    ruta,
+
+    get tamano() {
+      return entradas.length;
+    },
+
+    /**
+     * Carga las entradas guardadas en disco (al iniciar el servidor)
+     * Las líneas corruptas se descartan
+     * @returns {Promise<number>} Cantidad de lecturas cargadas
+     */
+    async cargar() {
+      let contenido = "";
+      try {
+        contenido = await readFile(ruta, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return 0;
+        throw error;
+      }
+
+      entradas = contenido
+        .split("\n")
+        .filter(linea => linea.trim())
+        .flatMap(linea => {
+          try {
+            const { lectura, encolada } = JSON.parse(linea);
+            return [{ lectura: { ...lectura, fecha: new Date(lectura.fecha) }, encolada }];
+          } catch {
+            return [];
+          }
+        });
+
+      return entradas.length;
+    },
+
+    /**
+     * Agrega lecturas a la cola y las persiste en disco
+     * @param {Array<Object>} lecturas
+     */
+    async agregar(lecturas) {
+      if (lecturas.length === 0) return;
+
+      const encolada = Date.now();
+      const nuevas = lecturas.map(lectura => ({ lectura, encolada }));
+      entradas.push(...nuevas);
+
+      await encadenar(() => appendFile(ruta, nuevas.map(serializar).join(""), "utf8"));
+    },
+
+    /**
+     * Reenvía todas las lecturas en orden de fecha
+     * Las que vuelvan a fallar permanecen en la cola
+     *
+     * @param {(lecturas: Array<Object>) => Promise<Object>} enviar - Normalmente enviarLecturasBatch;
+     *        debe devolver un reporte con `lecturasFallidas`
+     * @returns {Promise<Object|null>} Reporte del envío, o null si no había nada que reproducir
+     */
+    async reproducir(enviar) {
+      if (reproduciendo || entradas.length === 0) return null;
+
+      reproduciendo = true;
+      const pendientes = entradas.sort((a, b) => a.lectura.fecha - b.lectura.fecha);
+      entradas = [];
+
+      try {
+        const reporte = await enviar(pendientes.map(entrada => entrada.lectura));
+        const fallidas = new Set(reporte.lecturasFallidas);
+
+        entradas = [...pendientes.filter(entrada => fallidas.has(entrada.lectura)), ...entradas];
+        return reporte;
+      } catch (error) {
+        entradas = [...pendientes, ...entradas];
+        throw error;
+      } finally {
+        reproduciendo = false;
+        await reescribir();
+      }
+    },
+
+    /**
+     * Profundidad y antigüedad de la cola
+     * @returns {{ tamano: number, antiguedadMs: number, masAntigua: string|null, reproduciendo: boolean }}
+     */
+    estado() {
+      const encoladaMasAntigua = entradas.reduce(
+        (minimo, entrada) => Math.min(minimo, entrada.encolada),
+        Infinity
+      );
+
+      return {
+        tamano: entradas.length,
+        antiguedadMs: entradas.length > 0 ? Date.now() - encoladaMasAntigua : 0,
+        masAntigua: entradas.length > 0 ? new Date(encoladaMasAntigua).toISOString() : null,
+        reproduciendo
+      };
+    }
+  };
+}
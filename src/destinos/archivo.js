@@ -0,0 +1,127 @@
+import { appendFile, mkdir } from "fs/promises";
+import { createReadStream } from "fs";
+import { createInterface } from "readline";
+import { dirname } from "path";
+import { camposTelemetria } from "../telemetria.js";
+
+/**
+ * Lectura lista para serializar en JSON (fecha ISO, sin campos internos)
+ * La usan también los destinos MQTT y webhook
+ *
+ * @param {Object} lectura
+ * @returns {Object}
+ */
+export function lecturaPlana(lectura) {
+  return {
+    ...(lectura.id_lectura && { id_lectura: lectura.id_lectura }),
+    id_punto: lectura.id_punto,
+    estado: lectura.estado,
+    consumo_kwh: lectura.consumo_kwh,
+    intervalo_s: lectura.intervalo_s,
+    ...camposTelemetria(lectura),
+    fecha: lectura.fecha.toISOString()
+  };
+}
+
+/**
+ * Destino que agrega cada lectura como una línea JSON (NDJSON) a un archivo local
+ * Permite correr el simulador sin conexión a Firebase
+ *
+ * Una lectura con id_lectura que ya está en el archivo no se vuelve a escribir,
+ * así que reanudar o repetir una ejecución histórica no duplica lecturas
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.ruta - Ruta del archivo .ndjson
+ * @returns {Object} Destino con la interfaz { tipo, enviar, enviarLote, cerrar }
+ */
+export function crearDestinoArchivo({ ruta }) {
+  let directorioListo = null;
+  let idsListos = null;
+  let contador = 0;
+
+  // id_lectura de las lecturas que ya están en el archivo
+  const ids = new Set();
+
+  async function cargarIds() {
+    try {
+      for await (const lectura of leerLecturasArchivo(ruta)) {
+        if (lectura.id_lectura) ids.add(lectura.id_lectura);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Agrega las lecturas nuevas en una sola escritura y devuelve sus referencias
+  async function agregar(lecturas) {
+    // Crear el directorio y leer los ids existentes solo una vez
+    directorioListo ??= mkdir(dirname(ruta), { recursive: true });
+    await directorioListo;
+    idsListos ??= cargarIds().catch(error => {
+      idsListos = null;
+      throw error;
+    });
+    await idsListos;
+
+    // Se marcan antes de escribir para que dos envíos simultáneos no repitan una lectura
+    const nuevas = lecturas.filter(lectura => {
+      if (!lectura.id_lectura) return true;
+      if (ids.has(lectura.id_lectura)) return false;
+      ids.add(lectura.id_lectura);
+      return true;
+    });
+
+    if (nuevas.length > 0) {
+      const lineas = nuevas.map(lectura => JSON.stringify(lecturaPlana(lectura)) + "\n");
+
+      try {
+        await appendFile(ruta, lineas.join(""), "utf8");
+      } catch (error) {
+        for (const lectura of nuevas) ids.delete(lectura.id_lectura);
+        throw error;
+      }
+    }
+
+    return lecturas.map(lectura => lectura.id_lectura ?? `${ruta}#${++contador}`);
+  }
+
+  return {
+    tipo: "archivo",
+    ruta,
+
+    async enviar(lectura) {
+      const [referencia] = await agregar([lectura]);
+      return referencia;
+    },
+
+    async enviarLote(lecturas) {
+      return agregar(lecturas);
+    },
+
+    async cerrar() {}
+  };
+}
+
+/**
+ * Lee las lecturas de un archivo NDJSON del destino "archivo", línea por línea
+ * Las líneas corruptas se descartan
+ *
+ * @param {string} ruta - Ruta del archivo .ndjson
+ * @yields {Object} Lectura con fecha Date
+ */
+export async function* leerLecturasArchivo(ruta) {
+  const lineas = createInterface({ input: createReadStream(ruta, "utf8"), crlfDelay: Infinity });
+
+  for await (const linea of lineas) {
+    if (!linea.trim()) continue;
+
+    let lectura;
+    try {
+      lectura = JSON.parse(linea);
+    } catch {
+      continue;
+    }
+
+    yield { ...lectura, fecha: new Date(lectura.fecha) };
+  }
+}
@@ -0,0 +1,118 @@
+import { collection, addDoc, doc, setDoc, writeBatch, Timestamp, query, where, orderBy, limit, startAfter, getDocs } from "firebase/firestore";
+import { db } from "../firebase.js";
+import { camposTelemetria } from "../telemetria.js";
+
+// Firestore no acepta más de 500 operaciones por commit
+export const LIMITE_LOTE_FIRESTORE = 500;
+
+/**
+ * Convierte una lectura al documento que se guarda en Firestore
+ * Convierte la fecha JavaScript a Timestamp de Firestore
+ *
+ * @param {Object} lectura - Lectura generada por generador.js
+ * @returns {Object}
+ */
+function aDocumento(lectura) {
+  return {
+    id_punto: lectura.id_punto,
+    estado: lectura.estado,
+    consumo_kwh: lectura.consumo_kwh,
+    intervalo_s: lectura.intervalo_s,
+    ...camposTelemetria(lectura),
+    fecha: Timestamp.fromDate(lectura.fecha)
+  };
+}
+
+/**
+ * Referencia del documento de una lectura
+ * Las lecturas con id_lectura (modo histórico) usan ese id, así reenviarlas
+ * sobrescribe el mismo documento; las demás reciben un id aleatorio
+ *
+ * @param {Object} lectura
+ * @returns {DocumentReference}
+ */
+function referencia(lectura) {
+  return lectura.id_lectura
+    ? doc(db, "lecturas", lectura.id_lectura)
+    : doc(collection(db, "lecturas"));
+}
+
+/**
+ * Destino que escribe cada lectura en la colección "lecturas" de Firestore
+ * Es el comportamiento original del simulador
+ *
+ * @returns {Object} Destino con la interfaz { tipo, enviar, enviarLote, cerrar }
+ */
+export function crearDestinoFirestore() {
+  return {
+    tipo: "firestore",
+    limiteLote: LIMITE_LOTE_FIRESTORE,
+
+    async enviar(lectura) {
+      if (lectura.id_lectura) {
+        await setDoc(referencia(lectura), aDocumento(lectura));
+        return lectura.id_lectura;
+      }
+
+      const docRef = await addDoc(collection(db, "lecturas"), aDocumento(lectura));
+
+      return docRef.id;
+    },
+
+    // Commit atómico: o se guardan todas las lecturas o ninguna
+    async enviarLote(lecturas) {
+      if (lecturas.length > LIMITE_LOTE_FIRESTORE) {
+        throw new Error(`Un lote de Firestore admite máximo ${LIMITE_LOTE_FIRESTORE} lecturas`);
+      }
+
+      const batch = writeBatch(db);
+      const ids = lecturas.map(lectura => {
+        const docRef = referencia(lectura);
+        batch.set(docRef, aDocumento(lectura));
+        return docRef.id;
+      });
+
+      await batch.commit();
+
+      return ids;
+    },
+
+    async cerrar() {}
+  };
+}
+
+/**
+ * Lee lecturas de la colección "lecturas" en orden de fecha, por páginas
+ * El filtro de puntos se aplica al leer para no requerir índices compuestos
+ *
+ * @param {Object} [filtro]
+ * @param {Date} [filtro.desde] - Fecha mínima (inclusive)
+ * @param {Date} [filtro.hasta] - Fecha máxima (inclusive)
+ * @param {number} [filtro.tamanoPagina] - Documentos por consulta
+ * @yields {Object} Lectura con fecha Date e id_lectura = id del documento
+ */
+export async function* leerLecturasFirestore({ desde, hasta, tamanoPagina = 500 } = {}) {
+  const condiciones = [];
+  if (desde) condiciones.push(where("fecha", ">=", Timestamp.fromDate(desde)));
+  if (hasta) condiciones.push(where("fecha", "<=", Timestamp.fromDate(hasta)));
+
+  let ultimo = null;
+
+  while (true) {
+    const pagina = await getDocs(query(
+      collection(db, "lecturas"),
+      ...condiciones,
+      orderBy("fecha"),
+      ...(ultimo ? [startAfter(ultimo)] : []),
+      limit(tamanoPagina)
+    ));
+
+    for (const documento of pagina.docs) {
+      const datos = documento.data();
+      yield { id_lectura: documento.id, ...datos, fecha: datos.fecha.toDate() };
+    }
+
+    if (pagina.docs.length < tamanoPagina) return;
+    ultimo = pagina.docs[pagina.docs.length - 1];
+  }
+}
@@ -0,0 +1,150 @@
+import { crearDestinoFirestore } from "./firestore.js";
+import { crearDestinoArchivo } from "./archivo.js";
+import { crearDestinoMemoria } from "./memoria.js";
+import { crearDestinoMqtt } from "./mqtt.js";
+import { crearDestinoWebhook } from "./webhook.js";
+
+/**
+ * Tipos de destino disponibles para las lecturas generadas
+ *
+ * Todo destino expone la misma interfaz:
+ * {
+ *   tipo: "firestore",
+ *   limiteLote: 500,                          // Opcional: máximo de lecturas por enviarLote
+ *   agruparTick: true,                        // Opcional: el servidor envía cada tick con enviarLote
+ *   enviar(lectura)       → Promise<string>   // ID o referencia de la lectura guardada
+ *   enviarLote(lecturas)  → Promise<string[]> // Escritura atómica de varias lecturas
+ *   cerrar()              → Promise<void>
+ * }
+ */
+export const TIPOS_DESTINO = ["firestore", "archivo", "memoria", "mqtt", "webhook"];
+
+/**
+ * Crea el destino indicado en la configuración
+ * Con MQTT.ESPEJO las lecturas también se publican por MQTT (ver conEspejo)
+ *
+ * @param {Object} config - Configuración (CONFIG o simuladorState.config)
+ * @param {Object} [opciones]
+ * @param {(idPunto: string) => string|undefined} [opciones.ubicacionDe] - Ubicación de un punto,
+ *        para los tópicos MQTT
+ * @returns {Object} Destino listo para usar
+ */
+export function crearDestino(config, { ubicacionDe } = {}) {
+  const mqtt = () => crearDestinoMqtt({
+    url: config.MQTT.URL,
+    qos: config.MQTT.QOS,
+    topico: config.MQTT.TOPICO,
+    topicoEstado: config.MQTT.TOPICO_ESTADO,
+    prefijoCliente: config.MQTT.PREFIJO_CLIENTE,
+    usuario: config.MQTT.USUARIO,
+    // Fuera de la configuración, que se envía al panel web
+    contrasena: process.env.MQTT_CONTRASENA ?? null,
+    tiempoLimiteMs: config.MQTT.TIEMPO_LIMITE_MS,
+    ubicacionDe
+  });
+
+  let destino;
+  switch (config.DESTINO) {
+    case "archivo":
+      destino = crearDestinoArchivo({ ruta: config.RUTA_ARCHIVO_DESTINO });
+      break;
+    case "memoria":
+      destino = crearDestinoMemoria({ limite: config.LIMITE_DESTINO_MEMORIA });
+      break;
+    case "mqtt":
+      return mqtt();
+    case "webhook":
+      destino = crearDestinoWebhook({
+        url: config.WEBHOOK.URL,
+        modo: config.WEBHOOK.MODO,
+        tamanoLote: config.WEBHOOK.TAMANO_LOTE,
+        encabezados: config.WEBHOOK.ENCABEZADOS,
+        secreto: process.env.WEBHOOK_SECRETO ?? null,
+        encabezadoFirma: config.WEBHOOK.ENCABEZADO_FIRMA,
+        tiempoLimiteMs: config.WEBHOOK.TIEMPO_LIMITE_MS,
+        reintentos: config.WEBHOOK.REINTENTOS,
+        baseMs: config.BACKOFF_BASE_MS,
+        maximoMs: config.BACKOFF_MAX_MS,
+        rutaDeadLetter: config.WEBHOOK.RUTA_DEAD_LETTER
+      });
+      break;
+    case "firestore":
+    case undefined:
+    case null:
+      destino = crearDestinoFirestore();
+      break;
+    default:
+      throw new Error(`Destino desconocido: ${config.DESTINO}`);
+  }
+
+  return config.MQTT?.ESPEJO ? conEspejo(destino, mqtt()) : destino;
+}
+
+// Lecturas que pueden esperar al espejo; con el broker caído se descartan las demás
+const MAXIMO_PENDIENTES_ESPEJO = 1000;
+
+/**
+ * Destino que además publica cada lectura guardada en un segundo destino
+ * El destino principal manda: no espera al espejo, cuyos envíos van en una
+ * cola acotada (un broker caído no frena las escrituras), un error del espejo
+ * solo se avisa en la consola y las referencias devueltas son las del principal
+ *
+ * @param {Object} destino - Destino principal
+ * @param {Object} espejo - Destino adicional (MQTT)
+ * @returns {Object} Destino con el tipo y las propiedades del principal
+ */
+function conEspejo(destino, espejo) {
+  let cola = Promise.resolve();
+  let pendientes = 0;
+  let descartadas = 0;
+  let cerrado = false;
+
+  const reflejar = lecturas => {
+    if (cerrado) return;
+
+    if (pendientes + lecturas.length > MAXIMO_PENDIENTES_ESPEJO) {
+      if (descartadas === 0) {
+        console.warn(`⚠️  ${espejo.tipo} no da abasto: se descartan lecturas hasta que se vacíe la cola`);
+      }
+      descartadas += lecturas.length;
+      return;
+    }
+
+    pendientes += lecturas.length;
+    cola = cola
+      .then(() => cerrado ? null : espejo.enviarLote(lecturas))
+      .catch(error => {
+        console.warn(`⚠️  No se publicaron ${lecturas.length} lecturas en ${espejo.tipo}: ${error.message}`);
+      })
+      .finally(() => {
+        pendientes -= lecturas.length;
+        if (pendientes === 0 && descartadas > 0) {
+          console.warn(`⚠️  ${descartadas} lecturas no se publicaron en ${espejo.tipo} (cola llena)`);
+          descartadas = 0;
+        }
+      });
+  };
+
+  return {
+    ...destino,
+    espejo: espejo.tipo,
+
+    async enviar(lectura) {
+      const referencia = await destino.enviar(lectura);
+      reflejar([lectura]);
+      return referencia;
+    },
+
+    async enviarLote(lecturas) {
+      const referencias = await destino.enviarLote(lecturas);
+      reflejar(lecturas);
+      return referencias;
+    },
+
+    // Lo que quedó en la cola del espejo ya no se publica
+    async cerrar() {
+      cerrado = true;
+      await Promise.all([destino.cerrar(), espejo.cerrar()]);
+    }
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Destino que conserva las lecturas en memoria
+ * Útil para pruebas y para simular sin efectos secundarios
+ *
+ * Como en Firestore, reenviar una lectura con el mismo id_lectura reemplaza
+ * la que ya estaba en lugar de agregar otra
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.limite] - Máximo de lecturas a conservar (las más antiguas se descartan)
+ * @returns {Object} Destino con la interfaz { tipo, enviar, enviarLote, cerrar } y el arreglo `lecturas`
+ */
+export function crearDestinoMemoria({ limite = 10000 } = {}) {
+  const lecturas = [];
+  // id_lectura → lectura conservada
+  const porId = new Map();
+  let contador = 0;
+
+  function agregar(nuevas) {
+    for (const lectura of nuevas) {
+      const copia = { ...lectura };
+      const anterior = lectura.id_lectura ? porId.get(lectura.id_lectura) : undefined;
+
+      if (anterior) {
+        lecturas[lecturas.indexOf(anterior)] = copia;
+      } else {
+        lecturas.push(copia);
+      }
+      if (lectura.id_lectura) porId.set(lectura.id_lectura, copia);
+    }
+
+    if (lecturas.length > limite) {
+      for (const descartada of lecturas.splice(0, lecturas.length - limite)) {
+        if (descartada.id_lectura) porId.delete(descartada.id_lectura);
+      }
+    }
+
+    return nuevas.map(lectura => lectura.id_lectura ?? `memoria#${++contador}`);
+  }
+
+  return {
+    tipo: "memoria",
+    lecturas,
+
+    async enviar(lectura) {
+      return agregar([lectura])[0];
+    },
+
+    async enviarLote(nuevas) {
+      return agregar(nuevas);
+    },
+
+    async cerrar() {}
+  };
+}
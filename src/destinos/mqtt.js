@@ -0,0 +1,186 @@
+import mqtt from "mqtt";
+import { randomBytes } from "crypto";
+import { lecturaPlana } from "./archivo.js";
+
+/**
+ * Destino que publica cada lectura por MQTT, como lo haría un medidor real
+ *
+ * Cada punto abre su propia conexión al broker, con:
+ * - sus lecturas en `topico`            ("nubeverde/<ubicacion>/<id_punto>/lectura")
+ * - su estado retenido en `topicoEstado` ("nubeverde/<ubicacion>/<id_punto>/estado"):
+ *   "online" al conectarse y "offline" al apagarse o al cerrar el destino
+ * - un last will "offline" en el mismo tópico: el broker lo publica si la
+ *   conexión se corta sin aviso (por ejemplo, si el simulador se cae)
+ *
+ * Las lecturas de un punto apagado (estado "inactivo") no se publican: el punto
+ * publica "offline" y cierra su conexión, que se vuelve a abrir al encenderlo.
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.url - URL del broker (mqtt://, mqtts://, ws://...)
+ * @param {number} [opciones.qos] - QoS de lecturas y estados (0, 1 o 2)
+ * @param {string} [opciones.topico] - Plantilla con {ubicacion} e {id_punto}
+ * @param {string} [opciones.topicoEstado] - Plantilla del tópico de estado
+ * @param {string} [opciones.prefijoCliente] - Prefijo del client id de cada punto
+ * @param {string|null} [opciones.usuario]
+ * @param {string|null} [opciones.contrasena]
+ * @param {number} [opciones.tiempoLimiteMs] - Espera máxima para conectar o publicar
+ * @param {(idPunto: string) => string|undefined} [opciones.ubicacionDe] - Ubicación de un punto
+ * @returns {Object} Destino con la interfaz { tipo, enviar, enviarLote, cerrar }
+ */
+export function crearDestinoMqtt({
+  url,
+  qos = 1,
+  topico = "nubeverde/{ubicacion}/{id_punto}/lectura",
+  topicoEstado = "nubeverde/{ubicacion}/{id_punto}/estado",
+  prefijoCliente = "nubeverde-sim",
+  usuario = null,
+  contrasena = null,
+  tiempoLimiteMs = 5000,
+  ubicacionDe = () => undefined
+}) {
+  // Distingue los clientes de varios trabajos que publican los mismos puntos
+  const sufijo = randomBytes(3).toString("hex");
+
+  // id_punto → Promise<{ cliente, estado }> (estado = tópico de estado al conectarse)
+  const conexiones = new Map();
+  let contador = 0;
+
+  // Tras cerrar() no se abren conexiones nuevas: dejarían el punto "online" en el broker
+  let cerrado = false;
+
+  function conectar(idPunto, estado) {
+    if (!conexiones.has(idPunto)) {
+      const conexion = mqtt.connectAsync(url, {
+        clientId: `${prefijoCliente}-${idPunto}-${sufijo}`,
+        username: usuario ?? undefined,
+        password: contrasena ?? undefined,
+        connectTimeout: tiempoLimiteMs,
+        will: { topic: estado, payload: "offline", qos, retain: true }
+      }, false)
+        .then(async cliente => {
+          cliente.on("error", error => console.warn(`⚠️  MQTT ${idPunto}: ${error.message}`));
+          try {
+            await conTiempoLimite(cliente.publishAsync(estado, "online", { qos, retain: true }), tiempoLimiteMs);
+          } catch (error) {
+            cliente.end(true);
+            throw error;
+          }
+          return { cliente, estado };
+        })
+        .catch(error => {
+          conexiones.delete(idPunto);
+          // "Couldn't connect to server" no trae código: se reintenta como un rechazo de conexión
+          error.code ??= "ECONNREFUSED";
+          throw error;
+        });
+
+      conexiones.set(idPunto, conexion);
+    }
+    return conexiones.get(idPunto);
+  }
+
+  // El punto publica "offline" (retenido) y cierra su conexión
+  async function desconectar(idPunto) {
+    const conexion = conexiones.get(idPunto);
+    if (!conexion) return;
+    conexiones.delete(idPunto);
+
+    const { cliente, estado } = await conexion.catch(() => ({}));
+    if (!cliente) return;
+
+    try {
+      await conTiempoLimite(cliente.publishAsync(estado, "offline", { qos, retain: true }), tiempoLimiteMs);
+    } finally {
+      await cliente.endAsync();
+    }
+  }
+
+  async function publicar(lectura) {
+    if (cerrado) {
+      const error = new Error("El destino MQTT ya está cerrado");
+      error.code = "mqtt-cerrado";
+      throw error;
+    }
+
+    const idPunto = lectura.id_punto;
+    const datos = { ubicacion: ubicacionDe(idPunto), id_punto: idPunto };
+
+    if (lectura.estado === "inactivo") {
+      await desconectar(idPunto);
+      return `${topicoDe(topicoEstado, datos)}#offline`;
+    }
+
+    const { cliente } = await conectar(idPunto, topicoDe(topicoEstado, datos));
+    const destino = topicoDe(topico, datos);
+    const mensaje = JSON.stringify(lecturaPlana(lectura));
+
+    await conTiempoLimite(cliente.publishAsync(destino, mensaje, { qos }), tiempoLimiteMs);
+    return `${destino}#${++contador}`;
+  }
+
+  return {
+    tipo: "mqtt",
+    url,
+
+    async enviar(lectura) {
+      return publicar(lectura);
+    },
+
+    // Cada punto publica sus lecturas en orden; los puntos publican en paralelo
+    async enviarLote(lecturas) {
+      const referencias = new Array(lecturas.length);
+      const porPunto = new Map();
+
+      lecturas.forEach((lectura, indice) => {
+        if (!porPunto.has(lectura.id_punto)) porPunto.set(lectura.id_punto, []);
+        porPunto.get(lectura.id_punto).push(indice);
+      });
+
+      await Promise.all([...porPunto.values()].map(async indices => {
+        for (const indice of indices) {
+          referencias[indice] = await publicar(lecturas[indice]);
+        }
+      }));
+
+      return referencias;
+    },
+
+    async cerrar() {
+      cerrado = true;
+      await Promise.allSettled([...conexiones.keys()].map(desconectar));
+    }
+  };
+}
+
+/**
+ * Tópico de un punto a partir de una plantilla
+ * La ubicación se normaliza ("Edificio A / Piso 2" → "edificio-a-piso-2");
+ * sin ubicación se usa "sin-ubicacion"
+ *
+ * @param {string} plantilla - Con {ubicacion} e {id_punto}
+ * @param {{ ubicacion?: string, id_punto: string }} datos
+ * @returns {string}
+ */
+export function topicoDe(plantilla, { ubicacion, id_punto }) {
+  const segmento = String(ubicacion ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+
+  return plantilla
+    .replaceAll("{ubicacion}", segmento || "sin-ubicacion")
+    .replaceAll("{id_punto}", String(id_punto).replace(/[/+#]/g, "-"));
+}
+
+// Rechaza con ETIMEDOUT (transitorio, se reintenta) si la operación no termina a tiempo
+function conTiempoLimite(promesa, ms) {
+  let temporizador;
+  const limite = new Promise((_, rechazar) => {
+    temporizador = setTimeout(() => {
+      const error = new Error(`MQTT no respondió en ${ms} ms`);
+      error.code = "ETIMEDOUT";
+      rechazar(error);
+    }, ms);
+  });
+
+  return Promise.race([promesa, limite]).finally(() => clearTimeout(temporizador));
+}
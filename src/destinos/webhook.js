@@ -0,0 +1,224 @@
+import { appendFile, mkdir } from "fs/promises";
+import { createHmac } from "crypto";
+import { dirname } from "path";
+import { conReintentos, esErrorTransitorio } from "../reintentos.js";
+import { lecturaPlana } from "./archivo.js";
+
+/**
+ * Destino que envía las lecturas por HTTP POST a un endpoint de ingesta
+ *
+ * Modos:
+ * - "individual": un POST por lectura, con la lectura como objeto JSON
+ * - "lote":       un POST por tick (tiempo real) o por lote (histórico), con un arreglo JSON
+ *
+ * Con un secreto HMAC, cada petición lleva:
+ *   X-NubeVerde-Timestamp: <ms desde 1970>
+ *   X-NubeVerde-Firma:     sha256=<hex de HMAC-SHA256(secreto, "<timestamp>.<cuerpo>")>
+ *
+ * Los errores de red, los timeouts y las respuestas 408, 429 y 5xx se reintentan
+ * con backoff. Una petición que agota sus reintentos, o que el servidor rechaza
+ * (otro 4xx), se agrega al archivo dead letter y la lectura cuenta como fallida.
+ */
+export const MODOS_WEBHOOK = ["individual", "lote"];
+
+// Encabezado con la hora de la firma (la firma cubre "<timestamp>.<cuerpo>")
+const ENCABEZADO_TIMESTAMP = "X-NubeVerde-Timestamp";
+
+// Código de los errores que ya pasaron por el dead letter: envio.js no debe reintentarlos
+const CODIGO_DEAD_LETTER = "webhook-dead-letter";
+
+// Contadores por URL, compartidos por todos los trabajos que usan el mismo endpoint
+const contadores = new Map();
+
+function contadoresDe(url) {
+  if (!contadores.has(url)) {
+    contadores.set(url, {
+      url,
+      peticiones: 0,
+      exitosas: 0,          // Lecturas aceptadas
+      fallidas: 0,          // Lecturas enviadas al dead letter
+      reintentos: 0,
+      deadLetter: 0,        // Peticiones enviadas al dead letter
+      ultimoEstado: null,   // Código HTTP de la última respuesta
+      ultimoError: null,
+      ultimaPeticion: null
+    });
+  }
+  return contadores.get(url);
+}
+
+/**
+ * Contadores de cada endpoint usado desde que arrancó el proceso
+ * @returns {Array<Object>}
+ */
+export function estadoWebhooks() {
+  return [...contadores.values()].map(contador => ({ ...contador }));
+}
+
+/**
+ * Firma HMAC-SHA256 de una petición
+ *
+ * @param {string} secreto
+ * @param {number} timestamp - Valor del encabezado X-NubeVerde-Timestamp
+ * @param {string} cuerpo - Cuerpo JSON tal como se envía
+ * @returns {string} "sha256=<hex>"
+ */
+export function firmarCuerpo(secreto, timestamp, cuerpo) {
+  return "sha256=" + createHmac("sha256", secreto).update(`${timestamp}.${cuerpo}`).digest("hex");
+}
+
+// Reintentar errores de red y timeouts, y las respuestas que indican un problema temporal
+function esReintentable(error) {
+  if (error.estado) {
+    return error.estado === 408 || error.estado === 429 || error.estado >= 500;
+  }
+  return esErrorTransitorio(error);
+}
+
+/**
+ * @param {Object} opciones
+ * @param {string} opciones.url - Endpoint de ingesta
+ * @param {string} [opciones.modo] - "individual" o "lote"
+ * @param {number} [opciones.tamanoLote] - Máximo de lecturas por POST en modo "lote"
+ * @param {Object} [opciones.encabezados] - Encabezados adicionales
+ * @param {string|null} [opciones.secreto] - Secreto HMAC (sin secreto no se firma)
+ * @param {string} [opciones.encabezadoFirma] - Encabezado de la firma
+ * @param {number} [opciones.tiempoLimiteMs] - Espera máxima de cada petición
+ * @param {number} [opciones.reintentos] - Reintentos tras el primer intento
+ * @param {number} [opciones.baseMs] - Espera base del backoff
+ * @param {number} [opciones.maximoMs] - Espera máxima del backoff
+ * @param {string} opciones.rutaDeadLetter - Archivo NDJSON de peticiones fallidas
+ * @returns {Object} Destino con la interfaz { tipo, enviar, enviarLote, cerrar }
+ */
+export function crearDestinoWebhook({
+  url,
+  modo = "lote",
+  tamanoLote = 100,
+  encabezados = {},
+  secreto = null,
+  encabezadoFirma = "X-NubeVerde-Firma",
+  tiempoLimiteMs = 10000,
+  reintentos = 3,
+  baseMs = 500,
+  maximoMs = 30000,
+  rutaDeadLetter
+}) {
+  const contador = contadoresDe(url);
+  let directorioListo = null;
+  let enviadas = 0;
+
+  // Un POST; lanza un error con `estado` si la respuesta no es 2xx
+  async function publicar(cuerpo) {
+    const timestamp = Date.now();
+    const firma = secreto ? { [ENCABEZADO_TIMESTAMP]: String(timestamp), [encabezadoFirma]: firmarCuerpo(secreto, timestamp, cuerpo) } : {};
+
+    contador.peticiones++;
+    contador.ultimaPeticion = new Date(timestamp).toISOString();
+
+    let respuesta;
+    try {
+      respuesta = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...encabezados, ...firma },
+        body: cuerpo,
+        signal: AbortSignal.timeout(tiempoLimiteMs)
+      });
+    } catch (error) {
+      // fetch no trae el código de red en el error principal (y el de timeout no se puede modificar)
+      const agotado = error.name === "TimeoutError";
+      const fallo = new Error(agotado
+        ? `El webhook no respondió en ${tiempoLimiteMs} ms`
+        : `No se pudo conectar con el webhook: ${error.cause?.message ?? error.message}`);
+      fallo.code = agotado ? "ETIMEDOUT" : (error.cause?.code ?? "ECONNRESET");
+      throw fallo;
+    }
+
+    contador.ultimoEstado = respuesta.status;
+    // Descartar el cuerpo para liberar la conexión
+    await respuesta.arrayBuffer().catch(() => {});
+
+    if (!respuesta.ok) {
+      const error = new Error(`El webhook respondió ${respuesta.status} ${respuesta.statusText}`);
+      error.estado = respuesta.status;
+      throw error;
+    }
+  }
+
+  async function guardarDeadLetter(cuerpo, error) {
+    directorioListo ??= mkdir(dirname(rutaDeadLetter), { recursive: true });
+    await directorioListo;
+
+    await appendFile(rutaDeadLetter, JSON.stringify({
+      fecha: new Date().toISOString(),
+      url,
+      estado: error.estado ?? null,
+      error: error.message,
+      intentos: error.intentos ?? 1,
+      cuerpo: JSON.parse(cuerpo)
+    }) + "\n", "utf8");
+  }
+
+  // Envía un cuerpo con reintentos; si no llega, lo guarda en el dead letter y lanza el error
+  async function entregar(cuerpo, cantidad) {
+    try {
+      const { intentos } = await conReintentos(() => publicar(cuerpo), { reintentos, baseMs, maximoMs, esReintentable });
+      contador.reintentos += intentos - 1;
+      contador.exitosas += cantidad;
+    } catch (error) {
+      contador.reintentos += (error.intentos ?? 1) - 1;
+      contador.fallidas += cantidad;
+      contador.deadLetter++;
+      contador.ultimoError = error.message;
+
+      await guardarDeadLetter(cuerpo, error);
+      error.code = CODIGO_DEAD_LETTER;
+      throw error;
+    }
+  }
+
+  function referencias(cantidad) {
+    return Array.from({ length: cantidad }, () => `${url}#${++enviadas}`);
+  }
+
+  return {
+    tipo: "webhook",
+    url,
+    modo,
+    // En modo individual cada lectura es su propio lote: un POST rechazado no
+    // marca como fallidas las lecturas que sí se entregaron
+    limiteLote: modo === "lote" ? tamanoLote : 1,
+    // En modo lote, el servidor envía las lecturas de cada tick en un solo POST
+    agruparTick: modo === "lote",
+
+    async enviar(lectura) {
+      const cuerpo = modo === "lote" ? [lecturaPlana(lectura)] : lecturaPlana(lectura);
+      await entregar(JSON.stringify(cuerpo), 1);
+      return referencias(1)[0];
+    },
+
+    async enviarLote(lecturas) {
+      if (modo === "lote") {
+        for (let i = 0; i < lecturas.length; i += tamanoLote) {
+          const lote = lecturas.slice(i, i + tamanoLote);
+          await entregar(JSON.stringify(lote.map(lecturaPlana)), lote.length);
+        }
+        return referencias(lecturas.length);
+      }
+
+      // Individual: envio.js manda una lectura por lote (limiteLote = 1); si se
+      // llama con más, se intentan todas y el lote se reporta fallido si alguna falla
+      let ultimoError = null;
+      for (const lectura of lecturas) {
+        try {
+          await entregar(JSON.stringify(lecturaPlana(lectura)), 1);
+        } catch (error) {
+          ultimoError = error;
+        }
+      }
+      if (ultimoError) throw ultimoError;
+      return referencias(lecturas.length);
+    },
+
+    async cerrar() {}
+  };
+}
@@ -1,60 +1,145 @@
-import { collection, addDoc, Timestamp } from "firebase/firestore";
-import { db } from "./firebase.js";
+import { crearDestinoFirestore } from "./destinos/firestore.js";
+import { conReintentos } from "./reintentos.js";
+import { CONFIG } from "../config/config.js";
+import { formatearFecha } from "./zonaHoraria.js";
+import { metricas } from "./metricas.js";
+
+const duracionEnvio = metricas.histograma(
+  "nubeverde_envio_duracion_segundos",
+  "Duración de cada intento de envío al destino",
+  ["destino", "operacion"]
+);
+const fallosEnvio = metricas.contador(
+  "nubeverde_envio_fallos_total",
+  "Intentos de envío fallidos, por código de error",
+  ["destino", "codigo"]
+);
+
+// Destino usado cuando no se indica uno explícitamente
+let destinoActivo = null;
+
+/**
+ * Define el destino por defecto para enviarLectura / enviarLecturasBatch
+ * @param {Object} destino - Destino creado con crearDestino() de destinos/index.js
+ */
+export function establecerDestino(destino) {
+  destinoActivo = destino;
+}
 
 /**
- * Envía una lectura a Firestore
- * Convierte la fecha JavaScript a Timestamp de Firestore
+ * Devuelve el destino por defecto (Firestore si no se ha establecido otro)
+ * @returns {Object}
+ */
+export function obtenerDestino() {
+  destinoActivo ??= crearDestinoFirestore();
+  return destinoActivo;
+}
+
+/**
+ * Envía una lectura al destino configurado (Firestore, archivo local o memoria)
  * 
  * @param {Object} lectura - Lectura generada por generador.js
- * @returns {Promise<string>} ID del documento creado
+ * @param {Object} [destino] - Destino a usar; por defecto el establecido con establecerDestino()
+ * @returns {Promise<string>} ID o referencia de la lectura guardada
  */
-export async function enviarLectura(lectura) {
-  // Convertir Date de JavaScript a Timestamp de Firestore
-  const lecturaFirestore = {
-    id_punto: lectura.id_punto,
-    estado: lectura.estado,
-    consumo_kwh: lectura.consumo_kwh,
-    fecha: Timestamp.fromDate(lectura.fecha)
-  };
-
-  const docRef = await addDoc(collection(db, "lecturas"), lecturaFirestore);
+export async function enviarLectura(lectura, destino = obtenerDestino()) {
+  return medirEnvio(destino, "lectura", () => destino.enviar(lectura));
+}
 
-  return docRef.id;
+// Registra la duración de un intento y, si falla, su código de error
+async function medirEnvio(destino, operacion, enviar) {
+  const inicio = process.hrtime.bigint();
+  try {
+    return await enviar();
+  } catch (error) {
+    const codigo = error.code || (error.estado ? `http-${error.estado}` : "desconocido");
+    fallosEnvio.inc({ destino: destino.tipo, codigo });
+    throw error;
+  } finally {
+    duracionEnvio.observar({ destino: destino.tipo, operacion }, Number(process.hrtime.bigint() - inicio) / 1e9);
+  }
 }
 
 /**
- * Envía múltiples lecturas en lote
+ * Envía múltiples lecturas en lotes atómicos
  * Útil para modo histórico
  * 
+ * - Divide las lecturas en lotes de BATCH_SIZE (sin superar el límite del destino,
+ *   500 en Firestore)
+ * - Cada lote se guarda con un solo commit; si falla por un error transitorio
+ *   se reintenta con backoff exponencial y jitter
+ * - Un lote que agota sus reintentos se reporta como fallido y se continúa con el siguiente
+ * 
  * @param {Array<Object>} lecturas - Array de lecturas
- * @returns {Promise<number>} Cantidad de lecturas enviadas
+ * @param {Object} [destino] - Destino a usar; por defecto el establecido con establecerDestino()
+ * @param {Object} [config] - Configuración con BATCH_SIZE, REINTENTOS_MAX, BACKOFF_BASE_MS y BACKOFF_MAX_MS
+ * @returns {Promise<Object>} Reporte { exitosas, reintentadas, fallidas, lotes, lecturasFallidas }
  */
-export async function enviarLecturasBatch(lecturas) {
-  let enviadas = 0;
+export async function enviarLecturasBatch(lecturas, destino = obtenerDestino(), config = CONFIG) {
+  const tamanoLote = Math.max(1, Math.min(config.BATCH_SIZE, destino.limiteLote ?? Infinity));
+  const reporte = { exitosas: 0, reintentadas: 0, fallidas: 0, lotes: [], lecturasFallidas: [] };
   
-  for (const lectura of lecturas) {
-    await enviarLectura(lectura);
-    enviadas++;
+  for (let i = 0; i < lecturas.length; i += tamanoLote) {
+    const lote = lecturas.slice(i, i + tamanoLote);
+    const resultadoLote = { lecturas: lote.length, intentos: 0, exitosas: 0, reintentadas: 0, fallidas: 0 };
+    
+    try {
+      const { intentos } = await conReintentos(() => medirEnvio(destino, "lote", () => destino.enviarLote(lote)), {
+        reintentos: config.REINTENTOS_MAX,
+        baseMs: config.BACKOFF_BASE_MS,
+        maximoMs: config.BACKOFF_MAX_MS
+      });
+      
+      resultadoLote.intentos = intentos;
+      resultadoLote.exitosas = lote.length;
+    } catch (error) {
+      resultadoLote.intentos = error.intentos ?? 1;
+      resultadoLote.fallidas = lote.length;
+      resultadoLote.error = error.code || error.message;
+      reporte.lecturasFallidas.push(...lote);
+    }
+    
+    if (resultadoLote.intentos > 1) {
+      resultadoLote.reintentadas = lote.length;
+    }
+    
+    reporte.exitosas += resultadoLote.exitosas;
+    reporte.reintentadas += resultadoLote.reintentadas;
+    reporte.fallidas += resultadoLote.fallidas;
+    reporte.lotes.push(resultadoLote);
   }
   
-  return enviadas;
+  return reporte;
+}
+
+/**
+ * Resume el reporte de un envío por lotes en una línea
+ * @param {Object} reporte - Resultado de enviarLecturasBatch()
+ * @returns {string}
+ */
+export function formatearReporteLote(reporte) {
+  return `✅ ${reporte.exitosas} guardadas | 🔁 ${reporte.reintentadas} reintentadas | ❌ ${reporte.fallidas} fallidas`;
 }
 
 /**
  * Formatea una lectura para mostrar en consola
  * @param {Object} lectura 
+ * @param {string} [zona] - Zona horaria de la fecha (por defecto ZONA_HORARIA)
  * @returns {string}
  */
-export function formatearLecturaLog(lectura) {
+export function formatearLecturaLog(lectura, zona = CONFIG.ZONA_HORARIA) {
   const fecha = lectura.fecha instanceof Date 
-    ? lectura.fecha.toLocaleString('es-SV', { timeZone: 'America/El_Salvador' })
+    ? formatearFecha(lectura.fecha, zona)
     : lectura.fecha;
     
   const estadoEmoji = {
     activo: "🟢",
     inactivo: "⚫",
-    error: "🔴"
+    error: "🔴",
+    mantenimiento: "🛠️"
   };
   
-  return `${estadoEmoji[lectura.estado] || "⚪"} ${lectura.id_punto.padEnd(10)} | ${lectura.consumo_kwh.toString().padStart(6)} kWh | ${fecha}`;
+  const fallas = lectura.fallas?.length ? ` | ⚠️ ${lectura.fallas.join(", ")}` : "";
+  
+  return `${estadoEmoji[lectura.estado] || "⚪"} ${lectura.id_punto.padEnd(10)} | ${lectura.consumo_kwh.toFixed(3).padStart(9)} kWh | ${fecha}${fallas}`;
 }
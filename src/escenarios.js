@@ -0,0 +1,407 @@
+import { readdir, readFile } from "fs/promises";
+import { extname, join } from "path";
+import { parse as parsearYaml } from "yaml";
+import { fechaDesdeReloj, parsearFechaEnZona, partesFecha } from "./zonaHoraria.js";
+
+// ============================================
+// ESCENARIOS CON EVENTOS PROGRAMADOS
+// ============================================
+
+/**
+ * Un escenario es una línea de tiempo de eventos que se aplica sobre la
+ * simulación (tiempo real, histórico o vista previa), en JSON o YAML:
+ *
+ *   nombre: Edificio sin energía
+ *   eventos:
+ *     - en: "14:00"            # primera vez que el reloj marca las 14:00
+ *       duracion: 2h
+ *       tipo: apagar
+ *       puntos: [N1, N2]
+ *     - en: "+30m"             # 30 minutos después del inicio de la simulación
+ *       duracion: 45m
+ *       tipo: consumo
+ *       puntos: [N3]
+ *       factor: 4
+ *     - en: "2025-01-15 08:00" # fecha y hora en ZONA_HORARIA
+ *       tipo: factores
+ *       cambios: { FACTOR_PICO: 2.5, SIMULAR_PICOS: true }
+ *
+ * Tipos de evento:
+ * - apagar / encender: el punto reporta "inactivo" / vuelve a medir
+ * - consumo: reemplaza el consumo base (consumo_base_kwh, en kWh por hora)
+ *   o lo multiplica (factor)
+ * - error: el punto reporta "error" (sensor caído)
+ * - factores: cambia factores globales de la configuración
+ *
+ * Sin duración, el evento dura hasta el final de la simulación. Si dos
+ * eventos activos se contradicen, gana el que empezó después.
+ *
+ * Los eventos no cambian el estado guardado de los puntos: solo alteran las
+ * lecturas generadas, así que el mismo escenario produce siempre el mismo
+ * resultado (también al reanudar un histórico).
+ */
+
+export const TIPOS_EVENTO = ["apagar", "encender", "consumo", "error", "factores"];
+
+// Factores globales que un evento "factores" puede cambiar
+const FACTORES_GLOBALES = {
+  SIMULAR_PICOS: "boolean",
+  FACTOR_PICO: "number",
+  FACTOR_FIN_SEMANA: "number",
+  VARIACION_CONSUMO: "number",
+  PROBABILIDAD_ERROR: "number"
+};
+
+const MS_POR_UNIDAD = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+export const EXTENSIONES_ESCENARIO = [".json", ".yaml", ".yml"];
+
+/**
+ * Convierte una duración ("90s", "30m", "1h30m", "2d") a milisegundos
+ * Un número se interpreta como milisegundos
+ *
+ * @param {string|number} texto
+ * @returns {number|null} null si no es una duración válida
+ */
+export function parsearDuracion(texto) {
+  if (typeof texto === "number") return Number.isFinite(texto) && texto >= 0 ? texto : null;
+  if (typeof texto !== "string") return null;
+
+  const limpio = texto.replace(/\s+/g, "").toLowerCase();
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d))+$/.test(limpio)) return null;
+
+  let total = 0;
+  for (const [, valor, , unidad] of limpio.matchAll(/(\d+(\.\d+)?)(ms|s|m|h|d)/g)) {
+    total += Number(valor) * MS_POR_UNIDAD[unidad];
+  }
+  return total;
+}
+
+/**
+ * Parsea el texto de un escenario (JSON o YAML)
+ *
+ * @param {string} texto
+ * @param {string} [nombreArchivo] - Si termina en .json se exige JSON
+ * @returns {Object} Definición del escenario (sin validar)
+ */
+export function parsearEscenario(texto, nombreArchivo = "") {
+  return extname(nombreArchivo).toLowerCase() === ".json"
+    ? JSON.parse(texto)
+    : parsearYaml(texto); // YAML también acepta JSON
+}
+
+/**
+ * Lee y valida un escenario desde un archivo
+ *
+ * @param {string} ruta - Archivo .json, .yaml o .yml
+ * @returns {Promise<Object>} Definición validada
+ */
+export async function cargarEscenario(ruta) {
+  const definicion = parsearEscenario(await readFile(ruta, "utf8"), ruta);
+  const { errores } = validarEscenario(definicion);
+
+  if (errores.length > 0) {
+    throw new Error(`Escenario inválido (${ruta}): ${errores.join("; ")}`);
+  }
+
+  return definicion;
+}
+
+/**
+ * Lista los escenarios de una carpeta
+ * @param {string} directorio
+ * @returns {Promise<Array<{ archivo: string, ruta: string, nombre: string|null, eventos: number, error: string|null }>>}
+ */
+export async function listarEscenarios(directorio) {
+  let archivos;
+  try {
+    archivos = await readdir(directorio);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const escenarios = [];
+  for (const archivo of archivos.filter(a => EXTENSIONES_ESCENARIO.includes(extname(a).toLowerCase())).sort()) {
+    const ruta = join(directorio, archivo);
+    try {
+      const definicion = await cargarEscenario(ruta);
+      escenarios.push({ archivo, ruta, nombre: definicion.nombre || null, eventos: definicion.eventos.length, error: null });
+    } catch (error) {
+      escenarios.push({ archivo, ruta, nombre: null, eventos: 0, error: error.message });
+    }
+  }
+
+  return escenarios;
+}
+
+/**
+ * Valida la definición de un escenario
+ * Las fechas y horas se resuelven al iniciar (crearEscenario), aquí solo se revisa el formato
+ *
+ * @param {Object} definicion
+ * @returns {{ errores: string[] }}
+ */
+export function validarEscenario(definicion) {
+  if (!definicion || typeof definicion !== "object" || Array.isArray(definicion)) {
+    return { errores: ["el escenario debe ser un objeto con \"eventos\""] };
+  }
+
+  if (!Array.isArray(definicion.eventos) || definicion.eventos.length === 0) {
+    return { errores: ["\"eventos\" debe ser una lista con al menos un evento"] };
+  }
+
+  const errores = [];
+
+  definicion.eventos.forEach((evento, i) => {
+    const prefijo = `eventos[${i}]`;
+
+    if (!evento || typeof evento !== "object") {
+      errores.push(`${prefijo} debe ser un objeto`);
+      return;
+    }
+
+    if (!TIPOS_EVENTO.includes(evento.tipo)) {
+      errores.push(`${prefijo}.tipo debe ser uno de: ${TIPOS_EVENTO.join(", ")}`);
+    }
+
+    if (!momentoValido(evento.en)) {
+      errores.push(`${prefijo}.en debe ser "+30m", "14:00" o "YYYY-MM-DD HH:mm"`);
+    }
+
+    if (evento.duracion !== undefined && !parsearDuracion(evento.duracion)) {
+      errores.push(`${prefijo}.duracion debe ser una duración como "90s", "30m" o "2h"`);
+    }
+
+    if (evento.tipo === "factores") {
+      if (!evento.cambios || typeof evento.cambios !== "object" || Object.keys(evento.cambios).length === 0) {
+        errores.push(`${prefijo}.cambios debe ser un objeto con al menos un factor`);
+      } else {
+        for (const [clave, valor] of Object.entries(evento.cambios)) {
+          if (!FACTORES_GLOBALES[clave]) {
+            errores.push(`${prefijo}.cambios.${clave} no se puede cambiar (opciones: ${Object.keys(FACTORES_GLOBALES).join(", ")})`);
+          } else if (typeof valor !== FACTORES_GLOBALES[clave] || (typeof valor === "number" && (!Number.isFinite(valor) || valor < 0))) {
+            errores.push(`${prefijo}.cambios.${clave} debe ser ${FACTORES_GLOBALES[clave] === "number" ? "un número mayor o igual a 0" : "true o false"}`);
+          }
+        }
+      }
+      return;
+    }
+
+    if (TIPOS_EVENTO.includes(evento.tipo) && evento.puntos !== "*" && (!Array.isArray(evento.puntos) || evento.puntos.length === 0)) {
+      errores.push(`${prefijo}.puntos debe ser una lista de ids o "*"`);
+    }
+
+    if (evento.tipo === "consumo") {
+      const { consumo_base_kwh, factor } = evento;
+      const valor = consumo_base_kwh ?? factor;
+      if ((consumo_base_kwh === undefined) === (factor === undefined)) {
+        errores.push(`${prefijo} debe indicar consumo_base_kwh o factor (solo uno)`);
+      } else if (typeof valor !== "number" || !Number.isFinite(valor) || valor < 0) {
+        errores.push(`${prefijo}.${consumo_base_kwh !== undefined ? "consumo_base_kwh" : "factor"} debe ser un número mayor o igual a 0`);
+      }
+    }
+  });
+
+  return { errores };
+}
+
+function momentoValido(en) {
+  if (typeof en === "number") return Number.isFinite(en) && en >= 0;
+  if (typeof en !== "string") return false;
+  if (en.startsWith("+")) return parsearDuracion(en.slice(1)) !== null;
+  if (/^\d{1,2}:\d{2}$/.test(en)) return true;
+  return parsearFechaEnZona(en, "UTC") !== null;
+}
+
+/**
+ * Instante en que empieza un evento
+ * - "+30m" o un número (ms): relativo al inicio de la simulación
+ * - "14:00": la primera vez que el reloj marca esa hora desde el inicio
+ * - "YYYY-MM-DD HH:mm": fecha y hora en la zona de la simulación
+ *
+ * @param {string|number} en
+ * @param {Date} inicio
+ * @param {string} zona
+ * @returns {Date}
+ */
+function resolverMomento(en, inicio, zona) {
+  if (typeof en === "number") return new Date(inicio.getTime() + en);
+  if (en.startsWith("+")) return new Date(inicio.getTime() + parsearDuracion(en.slice(1)));
+
+  const hora = /^(\d{1,2}):(\d{2})$/.exec(en);
+  if (hora) {
+    const p = partesFecha(inicio, zona);
+    const hoy = fechaDesdeReloj(p.anio, p.mes, p.dia, Number(hora[1]), Number(hora[2]), 0, zona);
+    return hoy >= inicio ? hoy : fechaDesdeReloj(p.anio, p.mes, p.dia + 1, Number(hora[1]), Number(hora[2]), 0, zona);
+  }
+
+  return parsearFechaEnZona(en, zona);
+}
+
+/**
+ * Descripción corta de un evento para logs y para el panel
+ * @param {Object} evento - Evento del escenario
+ * @returns {string}
+ */
+export function describirEvento(evento) {
+  const puntos = evento.puntos === "*" ? "todos los puntos" : (evento.puntos || []).join(", ");
+  let texto;
+
+  switch (evento.tipo) {
+    case "apagar":
+      texto = `⚫ Apagar ${puntos}`;
+      break;
+    case "encender":
+      texto = `🟢 Encender ${puntos}`;
+      break;
+    case "consumo":
+      texto = evento.factor !== undefined
+        ? `📈 Consumo ×${evento.factor} en ${puntos}`
+        : `📈 Consumo base ${evento.consumo_base_kwh} kWh/h en ${puntos}`;
+      break;
+    case "error":
+      texto = `❌ Error forzado en ${puntos}`;
+      break;
+    case "factores":
+      texto = `🎚️ Factores ${Object.entries(evento.cambios).map(([k, v]) => `${k}=${v}`).join(", ")}`;
+      break;
+    default:
+      texto = evento.tipo;
+  }
+
+  return evento.nota ? `${texto} (${evento.nota})` : texto;
+}
+
+/**
+ * Prepara un escenario para una simulación que empieza en `inicio`
+ *
+ * @param {Object} definicion - Escenario validado
+ * @param {Object} opciones
+ * @param {Date} opciones.inicio - Inicio de la simulación (FECHA_INICIO o el momento de iniciar)
+ * @param {string} opciones.zona - ZONA_HORARIA
+ * @returns {Object} Escenario con { nombre, eventos, aplicar, transiciones, estado }
+ */
+export function crearEscenario(definicion, { inicio, zona }) {
+  const eventos = definicion.eventos
+    .map((evento, indice) => {
+      const desde = resolverMomento(evento.en, inicio, zona);
+      const duracion = evento.duracion !== undefined ? parsearDuracion(evento.duracion) : null;
+      return {
+        ...evento,
+        indice,
+        desde,
+        hasta: duracion !== null ? new Date(desde.getTime() + duracion) : null,
+        descripcion: describirEvento(evento),
+        puntosSet: evento.puntos === "*" ? null : new Set((evento.puntos || []).map(String))
+      };
+    })
+    // Orden de inicio: si dos eventos se contradicen, gana el último que empezó
+    .sort((a, b) => a.desde - b.desde || a.indice - b.indice);
+
+  const activoEn = (evento, fecha) => evento.desde <= fecha && (!evento.hasta || fecha < evento.hasta);
+
+  const nombre = definicion.nombre || "Escenario sin nombre";
+  let activosPrevios = new Set();
+
+  return {
+    nombre,
+    eventos,
+
+    /**
+     * Ajustes del escenario para un punto en un instante
+     *
+     * @param {Object} punto
+     * @param {Date} fecha
+     * @param {Object} config
+     * @returns {{ punto: Object, config: Object, error: boolean }|null} null si ningún evento aplica
+     */
+    aplicar(punto, fecha, config) {
+      let puntoTick = punto;
+      let configTick = config;
+      let error = false;
+      let aplica = false;
+
+      for (const evento of eventos) {
+        if (evento.desde > fecha) break;
+        if (!activoEn(evento, fecha)) continue;
+
+        if (evento.tipo === "factores") {
+          configTick = { ...configTick, ...evento.cambios };
+          aplica = true;
+          continue;
+        }
+
+        if (evento.puntosSet && !evento.puntosSet.has(punto.id)) continue;
+        aplica = true;
+
+        switch (evento.tipo) {
+          case "apagar":
+            puntoTick = { ...puntoTick, activo: false };
+            break;
+          case "encender":
+            puntoTick = { ...puntoTick, activo: true };
+            break;
+          case "consumo":
+            puntoTick = evento.factor !== undefined
+              ? {
+                  ...puntoTick,
+                  consumo_base_kwh: puntoTick.consumo_base_kwh * evento.factor,
+                  potencia_base_w: puntoTick.potencia_base_w * evento.factor
+                }
+              : {
+                  ...puntoTick,
+                  consumo_base_kwh: evento.consumo_base_kwh,
+                  potencia_base_w: evento.consumo_base_kwh * 1000
+                };
+            break;
+          case "error":
+            error = true;
+            break;
+        }
+      }
+
+      return aplica ? { punto: puntoTick, config: configTick, error } : null;
+    },
+
+    /**
+     * Eventos que empezaron o terminaron desde la llamada anterior
+     * (para avisar en logs y en el panel)
+     *
+     * @param {Date} fecha
+     * @returns {Array<{ evento: Object, inicia: boolean }>}
+     */
+    transiciones(fecha) {
+      const activos = new Set(eventos.filter(evento => activoEn(evento, fecha)));
+      const cambios = [];
+
+      for (const evento of activos) {
+        if (!activosPrevios.has(evento)) cambios.push({ evento, inicia: true });
+      }
+      for (const evento of activosPrevios) {
+        if (!activos.has(evento)) cambios.push({ evento, inicia: false });
+      }
+
+      activosPrevios = activos;
+      return cambios;
+    },
+
+    /**
+     * Línea de tiempo para el panel
+     * @param {Date} fecha - Instante actual de la simulación
+     * @returns {Object}
+     */
+    estado(fecha) {
+      return {
+        nombre,
+        descripcion: definicion.descripcion || null,
+        eventos: eventos.map(evento => ({
+          descripcion: evento.descripcion,
+          desde: evento.desde.toISOString(),
+          hasta: evento.hasta?.toISOString() ?? null,
+          estado: evento.desde > fecha ? "pendiente" : (activoEn(evento, fecha) ? "activo" : "terminado")
+        }))
+      };
+    }
+  };
+}
@@ -0,0 +1,218 @@
+import { fechaDesdeReloj, partesFecha } from "./zonaHoraria.js";
+
+// ============================================
+// AGREGADOS POR PUNTO Y UBICACIÓN
+// ============================================
+
+/**
+ * Totales, mínimo, máximo y promedio del consumo de cada punto y de cada
+ * ubicación, por hora, día y mes. Se alimentan con todas las lecturas que
+ * generan los trabajos, sin importar el destino ni si el envío falló.
+ * Mínimo, máximo y promedio solo consideran las lecturas "activo": las de
+ * error o inactivas se cuentan, pero su consumo no es una medición real.
+ *
+ * Cada granularidad conserva solo sus periodos más recientes (ver
+ * ESTADISTICAS en config.js): es una ventana móvil en memoria que se pierde
+ * al reiniciar el servidor. Los periodos se calculan en la zona horaria del
+ * trabajo que generó las lecturas.
+ *
+ * Claves de periodo:
+ *   hora → "2025-01-15T13"   dia → "2025-01-15"   mes → "2025-01"
+ */
+export const GRANULARIDADES = ["hora", "dia", "mes"];
+export const AGRUPACIONES = ["punto", "ubicacion"];
+
+// Ubicación de los puntos que no tienen una
+export const SIN_UBICACION = "Sin ubicación";
+
+const dosDigitos = numero => String(numero).padStart(2, "0");
+
+/**
+ * Clave del periodo al que pertenece una fecha
+ *
+ * @param {Date} fecha
+ * @param {string} granularidad - "hora", "dia" o "mes"
+ * @param {string} zona - Zona horaria IANA
+ * @returns {string}
+ */
+export function clavePeriodo(fecha, granularidad, zona) {
+  return claveDePartes(partesFecha(fecha, zona), granularidad);
+}
+
+function claveDePartes({ anio, mes, dia, hora }, granularidad) {
+  const claveMes = `${anio}-${dosDigitos(mes)}`;
+
+  if (granularidad === "mes") return claveMes;
+  if (granularidad === "dia") return `${claveMes}-${dosDigitos(dia)}`;
+  return `${claveMes}-${dosDigitos(dia)}T${dosDigitos(hora)}`;
+}
+
+// Instante en que empieza el periodo (para graficarlo sin conocer la zona)
+function inicioDePartes({ anio, mes, dia, hora }, granularidad, zona) {
+  return fechaDesdeReloj(anio, mes, granularidad === "mes" ? 1 : dia, granularidad === "hora" ? hora : 0, 0, 0, zona);
+}
+
+function periodoVacio(inicio) {
+  return { inicio, lecturas: 0, errores: 0, inactivas: 0, total: 0, activas: 0, totalActivas: 0, minimo: Infinity, maximo: -Infinity, pico: null };
+}
+
+// Periodo tal como lo devuelven la API y el socket
+function resumirPeriodo(periodo, datos) {
+  const redondear = valor => +valor.toFixed(6);
+
+  return {
+    periodo,
+    inicio: datos.inicio.toISOString(),
+    lecturas: datos.lecturas,
+    errores: datos.errores,
+    inactivas: datos.inactivas,
+    total_kwh: redondear(datos.total),
+    min_kwh: datos.activas > 0 ? redondear(datos.minimo) : null,
+    max_kwh: datos.activas > 0 ? redondear(datos.maximo) : null,
+    promedio_kwh: datos.activas > 0 ? redondear(datos.totalActivas / datos.activas) : null,
+    // Hora de mayor consumo del día o del mes (en "hora" no aplica)
+    ...(datos.pico ? { pico: { hora: datos.pico.hora, kwh: redondear(datos.pico.kwh) } } : {})
+  };
+}
+
+/**
+ * Agregados del servidor
+ *
+ * @param {Object} opciones
+ * @param {{ hora: number, dia: number, mes: number }} opciones.retencion - Periodos que se conservan
+ * @param {(idPunto: string) => string|undefined} [opciones.ubicacionDe] - Ubicación de un punto
+ * @returns {Object} { agregar, consultar, limpiar }
+ */
+export function crearEstadisticas({ retencion, ubicacionDe = () => undefined }) {
+  // "punto|N1" o "ubicacion|Edificio A" → { hora: Map, dia: Map, mes: Map } (periodo → datos)
+  const series = new Map();
+
+  function serieDe(agrupacion, clave) {
+    const id = `${agrupacion}|${clave}`;
+    if (!series.has(id)) {
+      series.set(id, { agrupacion, clave, hora: new Map(), dia: new Map(), mes: new Map() });
+    }
+    return series.get(id);
+  }
+
+  // Descarta los periodos más antiguos de una granularidad
+  function recortar(periodos, maximo) {
+    if (periodos.size <= maximo) return;
+
+    const claves = [...periodos.keys()].sort();
+    for (const clave of claves.slice(0, claves.length - maximo)) {
+      periodos.delete(clave);
+    }
+  }
+
+  function acumular(serie, lectura, claves, partes, zona, cambios) {
+    const kwh = lectura.consumo_kwh;
+    let consumoHora = 0;
+
+    for (const granularidad of GRANULARIDADES) {
+      const periodos = serie[granularidad];
+      const periodo = claves[granularidad];
+      if (!periodos.has(periodo)) periodos.set(periodo, periodoVacio(inicioDePartes(partes, granularidad, zona)));
+
+      const datos = periodos.get(periodo);
+      datos.lecturas++;
+      if (lectura.estado === "error") datos.errores++;
+      if (lectura.estado === "inactivo") datos.inactivas++;
+      datos.total += kwh;
+      if (lectura.estado === "activo") {
+        datos.activas++;
+        datos.totalActivas += kwh;
+        datos.minimo = Math.min(datos.minimo, kwh);
+        datos.maximo = Math.max(datos.maximo, kwh);
+      }
+
+      // El total de la hora solo crece: basta compararlo al sumar cada lectura
+      if (granularidad === "hora") {
+        consumoHora = datos.total;
+      } else if (!datos.pico || consumoHora > datos.pico.kwh) {
+        datos.pico = { hora: claves.hora, kwh: consumoHora };
+      }
+
+      cambios.add(`${serie.agrupacion}|${serie.clave}|${granularidad}|${periodo}`);
+    }
+  }
+
+  return {
+    /**
+     * Suma lecturas a los agregados de su punto y de su ubicación
+     *
+     * @param {Array<Object>} lecturas - Lecturas generadas (con fecha, id_punto, estado y consumo_kwh)
+     * @param {string} zona - Zona horaria del trabajo que las generó
+     * @returns {Array<Object>} Periodos que cambiaron, con { granularidad, agrupacion, clave, ...periodo }
+     */
+    agregar(lecturas, zona) {
+      const cambios = new Set();
+
+      for (const lectura of lecturas) {
+        const partes = partesFecha(lectura.fecha, zona);
+        const claves = {};
+        for (const granularidad of GRANULARIDADES) {
+          claves[granularidad] = claveDePartes(partes, granularidad);
+        }
+
+        acumular(serieDe("punto", lectura.id_punto), lectura, claves, partes, zona, cambios);
+        acumular(serieDe("ubicacion", ubicacionDe(lectura.id_punto) || SIN_UBICACION), lectura, claves, partes, zona, cambios);
+      }
+
+      for (const serie of series.values()) {
+        for (const granularidad of GRANULARIDADES) {
+          recortar(serie[granularidad], retencion[granularidad]);
+        }
+      }
+
+      // Periodos que siguen en la ventana (un histórico antiguo puede quedar fuera al instante)
+      const actualizados = [];
+      for (const cambio of cambios) {
+        const [agrupacion, clave, granularidad, periodo] = cambio.split("|");
+        const datos = series.get(`${agrupacion}|${clave}`)[granularidad].get(periodo);
+        if (datos) {
+          actualizados.push({ granularidad, agrupacion, clave, ...resumirPeriodo(periodo, datos) });
+        }
+      }
+      return actualizados;
+    },
+
+    /**
+     * Agregados filtrados
+     *
+     * @param {Object} [filtros]
+     * @param {string} [filtros.granularidad] - "hora", "dia" (por defecto) o "mes"
+     * @param {string} [filtros.agrupacion] - "punto" (por defecto) o "ubicacion"
+     * @param {string[]|null} [filtros.claves] - Ids de punto o nombres de ubicación (null = todos)
+     * @param {string|null} [filtros.desde] - Prefijo de periodo inicial ("2025-01", "2025-01-15"...)
+     * @param {string|null} [filtros.hasta] - Prefijo de periodo final (incluido)
+     * @returns {Array<{ clave: string, periodos: Array<Object> }>}
+     */
+    consultar({ granularidad = "dia", agrupacion = "punto", claves = null, desde = null, hasta = null } = {}) {
+      const resultado = [];
+
+      for (const serie of series.values()) {
+        if (serie.agrupacion !== agrupacion) continue;
+        if (claves && !claves.includes(serie.clave)) continue;
+
+        const periodos = [...serie[granularidad].entries()]
+          .filter(([periodo]) => (!desde || periodo >= desde) && (!hasta || periodo.slice(0, hasta.length) <= hasta))
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([periodo, datos]) => resumirPeriodo(periodo, datos));
+
+        if (periodos.length > 0) {
+          resultado.push({ clave: serie.clave, periodos });
+        }
+      }
+
+      return resultado.sort((a, b) => a.clave.localeCompare(b.clave));
+    },
+
+    /**
+     * Descarta todos los agregados
+     */
+    limpiar() {
+      series.clear();
+    }
+  };
+}
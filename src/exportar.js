@@ -0,0 +1,156 @@
+import { leerLecturasArchivo } from "./destinos/archivo.js";
+import { leerLecturasFirestore } from "./destinos/firestore.js";
+import { crearCheckpoint } from "./checkpoints.js";
+import { CAMPOS_TELEMETRIA } from "./telemetria.js";
+import { partesFecha } from "./zonaHoraria.js";
+
+// ============================================
+// EXPORTACIÓN DE LECTURAS (CSV / NDJSON)
+// ============================================
+
+/**
+ * Las lecturas se leen del origen (archivo local, memoria o Firestore),
+ * se filtran por rango de fechas, puntos y ejecución, y se escriben por
+ * partes a medida que se leen, sin cargar la exportación completa en memoria.
+ */
+export const FORMATOS_EXPORTACION = ["csv", "ndjson"];
+export const ORIGENES_EXPORTACION = ["archivo", "firestore", "memoria"];
+
+const COLUMNAS_CSV = [
+  "id_lectura", "id_punto", "estado", "consumo_kwh", "intervalo_s", "fecha", "fecha_local",
+  ...CAMPOS_TELEMETRIA
+];
+
+// Líneas acumuladas antes de cada escritura
+const LINEAS_POR_ESCRITURA = 500;
+
+/**
+ * Fecha "YYYY-MM-DD HH:mm:ss" en la zona de la simulación
+ * @param {Date} fecha
+ * @param {string} zona
+ * @returns {string}
+ */
+function fechaLocal(fecha, zona) {
+  const p = partesFecha(fecha, zona);
+  const dos = n => String(Math.floor(n)).padStart(2, "0");
+  return `${p.anio}-${dos(p.mes)}-${dos(p.dia)} ${dos(p.hora)}:${dos(p.minuto)}:${dos(p.segundo)}`;
+}
+
+// Celda CSV, entre comillas si hace falta (también la usa src/puntos.js)
+export function celdaCsv(valor) {
+  if (valor === undefined || valor === null) return "";
+  const texto = String(valor);
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Serializador de lecturas para un formato
+ *
+ * @param {string} formato - "csv" o "ndjson"
+ * @param {string} zona - Zona horaria para fecha_local
+ * @returns {{ tipoContenido: string, encabezado: string, linea: (lectura) => string }}
+ */
+export function crearFormato(formato, zona) {
+  if (formato === "csv") {
+    return {
+      tipoContenido: "text/csv; charset=utf-8",
+      encabezado: COLUMNAS_CSV.join(",") + "\n",
+      linea(lectura) {
+        const fila = { ...lectura, fecha: lectura.fecha.toISOString(), fecha_local: fechaLocal(lectura.fecha, zona) };
+        return COLUMNAS_CSV.map(columna => celdaCsv(fila[columna])).join(",") + "\n";
+      }
+    };
+  }
+
+  if (formato === "ndjson") {
+    return {
+      tipoContenido: "application/x-ndjson; charset=utf-8",
+      encabezado: "",
+      linea(lectura) {
+        const { fallas, ...resto } = lectura;
+        return JSON.stringify({ ...resto, fecha: lectura.fecha.toISOString() }) + "\n";
+      }
+    };
+  }
+
+  throw new Error(`Formato desconocido: ${formato}. Opciones: ${FORMATOS_EXPORTACION.join(", ")}`);
+}
+
+/**
+ * Lecturas de un origen, sin filtrar
+ *
+ * @param {string} origen - "archivo", "firestore" o "memoria"
+ * @param {Object} opciones
+ * @param {Object} opciones.config - Usa RUTA_ARCHIVO_DESTINO y TAMANO_PAGINA_EXPORTACION
+ * @param {Object} [opciones.memoria] - Destino "memoria" en uso (origen "memoria")
+ * @param {Date} [opciones.desde]
+ * @param {Date} [opciones.hasta]
+ * @returns {AsyncIterable<Object>}
+ */
+function leerOrigen(origen, { config, memoria, desde, hasta }) {
+  switch (origen) {
+    case "archivo":
+      return leerLecturasArchivo(config.RUTA_ARCHIVO_DESTINO);
+    case "firestore":
+      return leerLecturasFirestore({ desde, hasta, tamanoPagina: config.TAMANO_PAGINA_EXPORTACION });
+    case "memoria":
+      if (!memoria) throw new Error("No hay un destino en memoria activo");
+      return memoria.lecturas;
+    default:
+      throw new Error(`Origen desconocido: ${origen}. Opciones: ${ORIGENES_EXPORTACION.join(", ")}`);
+  }
+}
+
+/**
+ * Exporta lecturas escribiéndolas por partes
+ *
+ * Con `ejecucion` (id de una simulación histórica) se exportan solo las
+ * lecturas de esa ejecución; si no se indica rango, se usa el de su checkpoint.
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.origen - "archivo", "firestore" o "memoria"
+ * @param {string} opciones.formato - "csv" o "ndjson"
+ * @param {Object} [opciones.filtro] - { desde: Date, hasta: Date, puntos: string[], ejecucion: string }
+ * @param {Object} opciones.config - Configuración (zona horaria, rutas)
+ * @param {Object} [opciones.memoria] - Destino "memoria" en uso
+ * @param {(texto: string) => Promise<void>|void} opciones.escribir - Recibe cada parte del archivo
+ * @returns {Promise<number>} Cantidad de lecturas exportadas
+ */
+export async function exportarLecturas({ origen, formato, filtro = {}, config, memoria, escribir }) {
+  const serializador = crearFormato(formato, config.ZONA_HORARIA);
+  let { desde, hasta } = filtro;
+  const puntos = filtro.puntos?.length ? new Set(filtro.puntos) : null;
+  const prefijo = filtro.ejecucion ? `${filtro.ejecucion}_` : null;
+
+  if (filtro.ejecucion && !desde && !hasta) {
+    const checkpoint = await crearCheckpoint({ directorio: config.RUTA_CHECKPOINTS, ejecucion: filtro.ejecucion }).cargar();
+    if (checkpoint) {
+      desde = new Date(checkpoint.fecha_inicio);
+      hasta = new Date(checkpoint.fecha_fin);
+    }
+  }
+
+  let buffer = serializador.encabezado;
+  let enBuffer = 0;
+  let total = 0;
+
+  for await (const lectura of leerOrigen(origen, { config, memoria, desde, hasta })) {
+    if (desde && lectura.fecha < desde) continue;
+    if (hasta && lectura.fecha > hasta) continue;
+    if (puntos && !puntos.has(lectura.id_punto)) continue;
+    if (prefijo && !lectura.id_lectura?.startsWith(prefijo)) continue;
+
+    buffer += serializador.linea(lectura);
+    total++;
+
+    if (++enBuffer >= LINEAS_POR_ESCRITURA) {
+      await escribir(buffer);
+      buffer = "";
+      enBuffer = 0;
+    }
+  }
+
+  if (buffer) await escribir(buffer);
+
+  return total;
+}
@@ -0,0 +1,164 @@
+import { crearAleatorio } from "./aleatorio.js";
+
+// ============================================
+// MODELOS DE FALLAS DE SENSORES IoT
+// ============================================
+
+/**
+ * Fallas disponibles y sus parámetros:
+ *
+ * congelado  { probabilidad, duracion_ms }           El sensor repite el mismo valor
+ * deriva     { probabilidad, duracion_ms, maximo }   Error de calibración que crece hasta ±maximo (0.3 = 30%)
+ * espiga     { probabilidad, factor }                Una sola lectura multiplicada por factor
+ * hueco      { probabilidad, duracion_ms }           No se envían lecturas
+ * duplicado  { probabilidad }                       La lectura se envía dos veces
+ * desfase    { probabilidad, duracion_ms, maximo_ms } Fecha corrida hasta ±maximo_ms (puede quedar fuera de orden)
+ *
+ * Las fallas con duración dividen el tiempo en bloques de duracion_ms; cada bloque
+ * tiene `probabilidad` de estar afectado completo. Las demás se sortean por lectura.
+ * El sorteo depende solo de (semilla, punto, falla, bloque o fecha), así que no
+ * hace falta guardar estado entre ticks y con SEMILLA el resultado es reproducible.
+ *
+ * Los valores globales están en CONFIG.FALLAS y cada punto puede sobrescribirlos
+ * con el campo "fallas" de su documento en puntos_monitoreo.
+ */
+
+const PARAMETROS = {
+  congelado: ["probabilidad", "duracion_ms"],
+  deriva: ["probabilidad", "duracion_ms", "maximo"],
+  espiga: ["probabilidad", "factor"],
+  hueco: ["probabilidad", "duracion_ms"],
+  duplicado: ["probabilidad"],
+  desfase: ["probabilidad", "duracion_ms", "maximo_ms"]
+};
+
+export const TIPOS_FALLA = Object.keys(PARAMETROS);
+
+// Sin SEMILLA, los bloques deben mantenerse estables durante toda la ejecución
+const SEMILLA_PROCESO = `proceso-${Date.now()}-${Math.random()}`;
+
+/**
+ * Valida la configuración de fallas (global o de un punto)
+ *
+ * @param {any} fallas - { congelado: {...}, deriva: {...}, ... }
+ * @returns {{ fallas: Object|null, errores: string[] }}
+ */
+export function validarFallas(fallas) {
+  if (fallas === undefined || fallas === null) {
+    return { fallas: null, errores: [] };
+  }
+
+  if (typeof fallas !== "object" || Array.isArray(fallas)) {
+    return { fallas: null, errores: ["fallas debe ser un objeto"] };
+  }
+
+  const errores = [];
+
+  for (const [tipo, definicion] of Object.entries(fallas)) {
+    if (!PARAMETROS[tipo]) {
+      errores.push(`falla desconocida "${tipo}" (opciones: ${TIPOS_FALLA.join(", ")})`);
+      continue;
+    }
+
+    for (const [parametro, valor] of Object.entries(definicion || {})) {
+      if (!PARAMETROS[tipo].includes(parametro)) {
+        errores.push(`${tipo}.${parametro} no es un parámetro válido`);
+      } else if (typeof valor !== "number" || !Number.isFinite(valor) || valor < 0) {
+        errores.push(`${tipo}.${parametro} debe ser un número mayor o igual a 0`);
+      }
+    }
+
+    const { probabilidad, duracion_ms } = definicion || {};
+    if (probabilidad !== undefined && probabilidad > 1) {
+      errores.push(`${tipo}.probabilidad debe estar entre 0 y 1`);
+    }
+    if (duracion_ms !== undefined && duracion_ms < 1000) {
+      errores.push(`${tipo}.duracion_ms debe ser al menos 1000`);
+    }
+  }
+
+  return { fallas: errores.length > 0 ? null : fallas, errores };
+}
+
+/**
+ * Combina las fallas globales con las del punto (las del punto tienen prioridad)
+ *
+ * @param {Object} globales - CONFIG.FALLAS
+ * @param {Object|null} delPunto - punto.fallas
+ * @returns {Object}
+ */
+function combinarFallas(globales = {}, delPunto = null) {
+  const combinadas = {};
+  for (const tipo of TIPOS_FALLA) {
+    combinadas[tipo] = { ...(globales[tipo] || {}), ...(delPunto?.[tipo] || {}) };
+  }
+  return combinadas;
+}
+
+/**
+ * Determina qué fallas afectan a un punto en una fecha
+ *
+ * @param {Object} punto - Punto de monitoreo (puede tener punto.fallas)
+ * @param {Date} fecha - Fecha de la lectura
+ * @param {Object} config - Configuración (usa FALLAS y SEMILLA)
+ * @returns {Object} { congelado, deriva, espiga, hueco, duplicado, desfase }; null/false si no aplica
+ */
+export function fallasActivas(punto, fecha, config) {
+  const fallas = combinarFallas(config.FALLAS, punto.fallas);
+  const semilla = config.SEMILLA ?? SEMILLA_PROCESO;
+  const t = fecha.getTime();
+
+  // Sorteo de un bloque de duracion_ms para una falla
+  const bloque = (tipo) => {
+    const { probabilidad = 0, duracion_ms } = fallas[tipo];
+    if (probabilidad <= 0 || !duracion_ms) return null;
+
+    const indice = Math.floor(t / duracion_ms);
+    const aleatorio = crearAleatorio(semilla, punto.id, "falla", tipo, indice);
+    if (aleatorio() >= probabilidad) return null;
+
+    const inicio = indice * duracion_ms;
+    return { inicio: new Date(inicio), fraccion: (t - inicio) / duracion_ms, aleatorio };
+  };
+
+  // Sorteo por lectura para una falla
+  const lectura = (tipo) => {
+    const { probabilidad = 0 } = fallas[tipo];
+    if (probabilidad <= 0) return false;
+    return crearAleatorio(semilla, punto.id, "falla", tipo, t)() < probabilidad;
+  };
+
+  const congelado = bloque("congelado");
+  const derivaBloque = bloque("deriva");
+  const desfaseBloque = bloque("desfase");
+
+  return {
+    congelado: congelado && {
+      desde: congelado.inicio,
+      // Variación aleatoria del valor que queda congelado, fija para todo el bloque
+      variacion: congelado.aleatorio()
+    },
+    deriva: derivaBloque && {
+      desde: derivaBloque.inicio,
+      // Crece linealmente dentro del bloque, con signo sorteado por bloque
+      error: (derivaBloque.aleatorio() < 0.5 ? -1 : 1) * (fallas.deriva.maximo ?? 0.2) * derivaBloque.fraccion
+    },
+    espiga: lectura("espiga") && { factor: fallas.espiga.factor ?? 5 },
+    hueco: !!bloque("hueco"),
+    duplicado: lectura("duplicado"),
+    desfase: desfaseBloque && {
+      ms: Math.round((desfaseBloque.aleatorio() * 2 - 1) * (fallas.desfase.maximo_ms ?? 300000))
+    }
+  };
+}
+
+/**
+ * Lista legible de las fallas activas (para debugLectura y logs)
+ * @param {Object} activas - Resultado de fallasActivas()
+ * @returns {string[]}
+ */
+export function resumirFallas(activas) {
+  return Object.entries(activas)
+    .filter(([, valor]) => valor)
+    .map(([tipo]) => tipo);
+}
@@ -14,4 +14,8 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 export const auth = getAuth(app);
-export const db = getFirestore(app);
\ No newline at end of file
+export const db = getFirestore(app);
+
+// Instancia aparte para verificar las credenciales de cada login del panel
+// sin cambiar el usuario con el que el servidor escribe en Firestore
+export const authVerificacion = getAuth(initializeApp(firebaseConfig, "verificacion"));
\ No newline at end of file
@@ -1,20 +1,101 @@
-import { CONFIG } from "../config/config.js";
+import { CONFIG, parsearFecha } from "../config/config.js";
+import { crearAleatorio } from "./aleatorio.js";
+import { interpolarCurva } from "./perfilCarga.js";
+import { obtenerCalendario, reglaCalendario, claveDia } from "./calendario.js";
+import { fallasActivas, resumirFallas } from "./fallas.js";
+import { partesFecha } from "./zonaHoraria.js";
+
+// Resolución con la que se promedian los factores horarios dentro de un intervalo
+const RESOLUCION_INTEGRACION_MS = 60000;
 
 /**
  * Genera una lectura de consumo energético para un punto de monitoreo
  * 
+ * La lectura representa la energía consumida durante el intervalo que termina
+ * en fechaSimulada (como un medidor que reporta cada cierto tiempo), por lo que
+ * el total de un día no depende del tamaño del intervalo.
+ * 
  * Reglas implementadas:
  * 1. Si punto.activo = false → consumo = 0, estado = "inactivo"
- * 2. Usa consumo_base_kwh y potencia_base_w del punto para cálculos
+ * 2. Usa consumo_base_kwh (kWh por hora) o potencia_base_w del punto, según
+ *    FUENTE_CONSUMO_BASE, multiplicado por la duración del intervalo
  * 3. Aplica factores de pico según horario (si SIMULAR_PICOS = true)
- * 4. Aplica factor de fin de semana
+ * 4. Aplica factor de fin de semana y, además, el del tipo de día del
+ *    calendario (feriado, vacaciones, exámenes) si la fecha coincide con una regla
  * 5. Los picos solo se simulan desde FECHA_INICIO configurada
  * 
+ * Si el punto tiene perfil_carga, su curva de 24 horas reemplaza las reglas
+ * 3 y 4 (ver perfilCarga.js). Los factores de las reglas 3 y 4 se promedian
+ * minuto a minuto a lo largo del intervalo.
+ * 
+ * Si config.SEMILLA está definida, cada punto usa su propio flujo aleatorio
+ * derivado de (semilla, id del punto, fecha), de modo que la misma
+ * configuración produce exactamente las mismas lecturas.
+ * 
+ * Si el punto trae `estado_ciclo` (ver cicloVida.js), ese estado reemplaza
+ * al sorteo de PROBABILIDAD_ERROR: "error" y "mantenimiento" producen
+ * lecturas con consumo 0 y "activo" nunca produce error.
+ * 
+ * Sobre la lectura se aplican las fallas de sensor activas (congelado,
+ * deriva, espiga, desfase; ver fallas.js), listadas en `lectura.fallas`.
+ * Los huecos y duplicados cambian la cantidad de lecturas, por lo que solo
+ * los aplica generarLecturas().
+ * 
  * @param {Object} punto - Objeto completo del punto de monitoreo
  * @param {Date} fechaSimulada - Fecha para la lectura (puede ser histórica)
+ * @param {Object} [config] - Configuración a usar (por defecto CONFIG)
+ * @param {number} [intervaloMs] - Duración del intervalo que cubre la lectura
+ *        (por defecto INCREMENTO_TIEMPO_MS en histórico o INTERVALO_MS en tiempo real)
  * @returns {Object} Lectura generada
  */
-export function generarLectura(punto, fechaSimulada = new Date()) {
+export function generarLectura(punto, fechaSimulada = new Date(), config = CONFIG, intervaloMs = duracionIntervalo(config)) {
+  const lectura = generarLecturaBase(punto, fechaSimulada, config, intervaloMs);
+
+  // Un punto apagado no tiene sensor que falle
+  if (lectura.estado === "inactivo") {
+    return lectura;
+  }
+
+  return aplicarFallas(punto, lectura, fallasActivas(punto, fechaSimulada, config), config, intervaloMs);
+}
+
+/**
+ * Genera las lecturas que realmente envía un punto en un tick
+ * Igual que generarLectura(), pero aplica también las fallas de hueco
+ * (ninguna lectura) y duplicado (la misma lectura dos veces)
+ * 
+ * @param {Object} punto - Objeto completo del punto de monitoreo
+ * @param {Date} fechaSimulada - Fecha para la lectura
+ * @param {Object} [config] - Configuración a usar (por defecto CONFIG)
+ * @param {number} [intervaloMs] - Duración del intervalo que cubre la lectura
+ * @returns {Array<Object>} 0, 1 o 2 lecturas
+ */
+export function generarLecturas(punto, fechaSimulada = new Date(), config = CONFIG, intervaloMs = duracionIntervalo(config)) {
+  const lectura = generarLectura(punto, fechaSimulada, config, intervaloMs);
+  if (lectura.estado === "inactivo") {
+    return [lectura];
+  }
+
+  const activas = fallasActivas(punto, fechaSimulada, config);
+  if (activas.hueco) {
+    return [];
+  }
+
+  return activas.duplicado ? [lectura, { ...lectura }] : [lectura];
+}
+
+/**
+ * Lectura sin fallas de sensor (reglas 1 a 5)
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Date} fechaSimulada - Fin del intervalo
+ * @param {Object} config - Configuración a usar
+ * @param {number} intervaloMs - Duración del intervalo
+ * @returns {Object}
+ */
+function generarLecturaBase(punto, fechaSimulada, config, intervaloMs) {
+  const intervalo_s = intervaloMs / 1000;
+
   // ==========================================
   // REGLA 1: Punto inactivo → consumo cero
   // ==========================================
@@ -23,81 +104,226 @@ export function generarLectura(punto, fechaSimulada = new Date()) {
       id_punto: punto.id,
       estado: "inactivo",
       consumo_kwh: 0,
+      intervalo_s,
       fecha: fechaSimulada
     };
   }
 
+  const aleatorio = crearAleatorio(config.SEMILLA, punto.id, fechaSimulada.getTime());
+
   // ==========================================
-  // REGLA 2: Probabilidad de error
+  // REGLA 2: Error o mantenimiento
+  // Con ciclo de vida, el estado viene de la máquina de estados;
+  // sin él, se sortea con PROBABILIDAD_ERROR en cada lectura
   // ==========================================
-  if (Math.random() < CONFIG.PROBABILIDAD_ERROR) {
+  const estadoSinConsumo = punto.estado_ciclo !== undefined
+    ? (punto.estado_ciclo === "activo" ? null : punto.estado_ciclo)
+    : (aleatorio() < config.PROBABILIDAD_ERROR ? "error" : null);
+
+  if (estadoSinConsumo) {
     return {
       id_punto: punto.id,
-      estado: "error",
+      estado: estadoSinConsumo,
       consumo_kwh: 0,
+      intervalo_s,
       fecha: fechaSimulada
     };
   }
 
   // ==========================================
-  // CALCULAR CONSUMO BASE
+  // CONSTRUIR Y RETORNAR LECTURA
   // ==========================================
-  let consumo = punto.consumo_base_kwh;
+  return {
+    id_punto: punto.id,
+    estado: "activo",
+    consumo_kwh: +energiaIntervalo(punto, fechaSimulada, config, intervaloMs, aleatorio()).toFixed(6),
+    intervalo_s,
+    fecha: fechaSimulada
+  };
+}
 
+/**
+ * Energía de un punto activo en el intervalo que termina en fechaFin
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Date} fechaFin - Fin del intervalo
+ * @param {Object} config - Configuración a usar
+ * @param {number} intervaloMs - Duración del intervalo
+ * @param {number} sorteo - Número en [0, 1) para la variación aleatoria
+ * @returns {number} kWh
+ */
+function energiaIntervalo(punto, fechaFin, config, intervaloMs, sorteo) {
   // ==========================================
-  // REGLA 3: Aplicar factor de picos
-  // Solo si SIMULAR_PICOS está activo
+  // CALCULAR ENERGÍA BASE DEL INTERVALO
   // ==========================================
-  if (CONFIG.SIMULAR_PICOS && deberiaaplicarPico(fechaSimulada)) {
-    const hora = fechaSimulada.getHours();
-    
-    if (esHorarioPico(hora)) {
-      consumo *= CONFIG.FACTOR_PICO;
-    }
-  }
+  let consumo = tasaBaseKwh(punto, config) * (intervaloMs / 3600000);
 
   // ==========================================
-  // REGLA 4: Aplicar factor fin de semana
+  // REGLAS 3 y 4: Factores horarios promediados en el intervalo
   // ==========================================
-  const diaSemana = fechaSimulada.getDay();
-  const esFinDeSemana = (diaSemana === 0 || diaSemana === 6);
-  
-  if (esFinDeSemana) {
-    consumo *= CONFIG.FACTOR_FIN_SEMANA;
-  }
+  consumo *= factorPromedioIntervalo(punto, fechaFin, intervaloMs, config);
 
   // ==========================================
   // APLICAR VARIACIÓN ALEATORIA
   // ==========================================
-  const variacion = 1 + (Math.random() * 2 - 1) * CONFIG.VARIACION_CONSUMO;
-  consumo *= variacion;
+  const variacion = 1 + (sorteo * 2 - 1) * config.VARIACION_CONSUMO;
+  return consumo * variacion;
+}
+
+/**
+ * Aplica las fallas de sensor que alteran el valor o la fecha de una lectura
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Object} lectura - Lectura sin fallas
+ * @param {Object} activas - Resultado de fallasActivas()
+ * @param {Object} config - Configuración a usar
+ * @param {number} intervaloMs - Duración del intervalo
+ * @returns {Object} Lectura con las fallas aplicadas
+ */
+function aplicarFallas(punto, lectura, activas, config, intervaloMs) {
+  const aplicadas = [];
+  let consumo = lectura.consumo_kwh;
+
+  if (lectura.estado === "activo") {
+    // Sensor congelado: repite el valor que tenía al inicio de la falla
+    // (con la variación sorteada para el bloque, igual en cada tick)
+    if (activas.congelado) {
+      const { desde, variacion } = activas.congelado;
+      consumo = +energiaIntervalo(punto, desde, config, intervaloMs, variacion).toFixed(6);
+      aplicadas.push("congelado");
+    }
+
+    // Deriva de calibración: error relativo que crece con el tiempo
+    if (activas.deriva) {
+      consumo *= 1 + activas.deriva.error;
+      aplicadas.push("deriva");
+    }
+
+    // Espiga: un valor aislado fuera de escala
+    if (activas.espiga) {
+      consumo *= activas.espiga.factor;
+      aplicadas.push("espiga");
+    }
+  }
+
+  // Reloj del dispositivo corrido
+  let fecha = lectura.fecha;
+  if (activas.desfase) {
+    fecha = new Date(fecha.getTime() + activas.desfase.ms);
+    aplicadas.push("desfase");
+  }
+
+  if (aplicadas.length === 0) {
+    return lectura;
+  }
 
-  // ==========================================
-  // CONSTRUIR Y RETORNAR LECTURA
-  // ==========================================
   return {
-    id_punto: punto.id,
-    estado: "activo",
-    consumo_kwh: +consumo.toFixed(2),
-    fecha: fechaSimulada
+    ...lectura,
+    consumo_kwh: +consumo.toFixed(6),
+    fecha,
+    fallas: aplicadas
   };
 }
 
+/**
+ * Duración del intervalo de cada lectura según el modo
+ * 
+ * @param {Object} config - Configuración a usar
+ * @returns {number} Milisegundos
+ */
+export function duracionIntervalo(config) {
+  return config.FECHA_INICIO ? config.INCREMENTO_TIEMPO_MS : config.INTERVALO_MS;
+}
+
+/**
+ * Consumo base del punto en kWh por hora
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Object} config - Configuración a usar
+ * @returns {number}
+ */
+function tasaBaseKwh(punto, config) {
+  return config.FUENTE_CONSUMO_BASE === "potencia_base_w"
+    ? punto.potencia_base_w / 1000
+    : punto.consumo_base_kwh;
+}
+
+/**
+ * Promedia el factor horario a lo largo del intervalo que termina en fechaFin
+ * Se evalúa en el punto medio de cada minuto (o una sola vez si el intervalo es menor)
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Date} fechaFin - Fin del intervalo
+ * @param {number} intervaloMs - Duración del intervalo
+ * @param {Object} config - Configuración a usar
+ * @returns {number}
+ */
+function factorPromedioIntervalo(punto, fechaFin, intervaloMs, config) {
+  const muestras = Math.max(1, Math.ceil(intervaloMs / RESOLUCION_INTEGRACION_MS));
+  const paso = intervaloMs / muestras;
+  const inicio = fechaFin.getTime() - intervaloMs;
+
+  let suma = 0;
+  for (let i = 0; i < muestras; i++) {
+    suma += factorHorario(punto, new Date(inicio + paso * (i + 0.5)), config);
+  }
+
+  return suma / muestras;
+}
+
+/**
+ * Factor de consumo de un punto en un instante (reglas 3 y 4)
+ * La hora y el día se leen en ZONA_HORARIA
+ * 
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Date} fecha - Instante a evaluar
+ * @param {Object} config - Configuración a usar
+ * @returns {number}
+ */
+function factorHorario(punto, fecha, config) {
+  const partes = partesFecha(fecha, config.ZONA_HORARIA);
+  const esFinDeSemana = (partes.diaSemana === 0 || partes.diaSemana === 6);
+  const reglaDia = obtenerReglaCalendario(fecha, config);
+
+  // Perfil de carga propio del punto
+  if (punto.perfil_carga) {
+    return factorPerfilCarga(punto.perfil_carga, partes, esFinDeSemana, reglaDia, config);
+  }
+
+  let factor = 1;
+
+  // REGLA 3: Factor de picos, solo si SIMULAR_PICOS está activo
+  if (config.SIMULAR_PICOS && deberiaaplicarPico(fecha, config) && esHorarioPico(partes.hora, config)) {
+    factor *= config.FACTOR_PICO;
+  }
+
+  // REGLA 4: Factor de fin de semana y, encima, el del calendario
+  if (esFinDeSemana) {
+    factor *= config.FACTOR_FIN_SEMANA;
+  }
+  if (reglaDia) {
+    factor *= reglaDia.factor;
+  }
+
+  return factor;
+}
+
 /**
  * Determina si debe aplicarse el factor de pico según la fecha
  * Los picos solo se simulan desde FECHA_INICIO en adelante
  * 
  * @param {Date} fecha - Fecha a evaluar
+ * @param {Object} config - Configuración a usar
  * @returns {boolean}
  */
-function deberiaaplicarPico(fecha) {
+function deberiaaplicarPico(fecha, config) {
   // Si no hay FECHA_INICIO configurada, siempre aplicar picos
-  if (!CONFIG.FECHA_INICIO) {
+  if (!config.FECHA_INICIO) {
     return true;
   }
 
-  // Parsear FECHA_INICIO
-  const fechaInicio = new Date(CONFIG.FECHA_INICIO.replace(" ", "T"));
+  // Parsear FECHA_INICIO en la zona de la simulación
+  const fechaInicio = parsearFecha(config.FECHA_INICIO, config.ZONA_HORARIA);
   
   // Solo aplicar picos si la fecha simulada es >= FECHA_INICIO
   return fecha >= fechaInicio;
@@ -107,10 +333,11 @@ function deberiaaplicarPico(fecha) {
  * Verifica si una hora está dentro de horario pico
  * 
  * @param {number} hora - Hora en formato 24h (0-23)
+ * @param {Object} config - Configuración a usar
  * @returns {boolean}
  */
-function esHorarioPico(hora) {
-  const { MANANA, TARDE } = CONFIG.HORARIOS_PICO;
+function esHorarioPico(hora, config) {
+  const { MANANA, TARDE } = config.HORARIOS_PICO;
   
   const enPicoManana = hora >= MANANA.inicio && hora < MANANA.fin;
   const enPicoTarde = hora >= TARDE.inicio && hora < TARDE.fin;
@@ -118,28 +345,97 @@ function esHorarioPico(hora) {
   return enPicoManana || enPicoTarde;
 }
 
+/**
+ * Busca la regla del calendario (feriado, vacaciones, exámenes) para una fecha
+ * 
+ * @param {Date} fecha - Fecha a evaluar
+ * @param {Object} config - Configuración a usar
+ * @returns {{ nombre: string, tipo: string, factor: number }|null}
+ */
+function obtenerReglaCalendario(fecha, config) {
+  const calendario = obtenerCalendario(config.RUTA_CALENDARIO, config.TIPOS_DIA);
+  return reglaCalendario(calendario, fecha, config.ZONA_HORARIA);
+}
+
+/**
+ * Calcula el factor del perfil de carga de un punto para una fecha
+ * - Fin de semana: curva de fin de semana, o la laborable por FACTOR_FIN_SEMANA
+ * - Día del calendario: la curva anterior por el factor del tipo de día
+ * 
+ * @param {Object} perfil - perfil_carga validado por obtenerPuntos
+ * @param {Object} partes - Hora de reloj en ZONA_HORARIA (ver partesFecha)
+ * @param {boolean} esFinDeSemana
+ * @param {Object|null} reglaDia - Regla del calendario que aplica a la fecha
+ * @param {Object} config - Configuración a usar
+ * @returns {number}
+ */
+function factorPerfilCarga(perfil, partes, esFinDeSemana, reglaDia, config) {
+  const minutoDelDia = partes.hora * 60 + partes.minuto + partes.segundo / 60;
+
+  let factor;
+  if (esFinDeSemana && perfil.fin_semana) {
+    factor = interpolarCurva(perfil.fin_semana, minutoDelDia);
+  } else {
+    factor = interpolarCurva(perfil.laborable, minutoDelDia);
+    if (esFinDeSemana) factor *= config.FACTOR_FIN_SEMANA;
+  }
+
+  return reglaDia ? factor * reglaDia.factor : factor;
+}
+
+/**
+ * Clasifica un instante según las reglas de consumo, para resúmenes
+ * 
+ * @param {Date} fecha - Instante a evaluar
+ * @param {Object} [config] - Configuración a usar (por defecto CONFIG)
+ * @returns {{ dia: string, pico: boolean, finDeSemana: boolean, reglaCalendario: Object|null }}
+ */
+export function clasificarFecha(fecha, config = CONFIG) {
+  const { hora, diaSemana } = partesFecha(fecha, config.ZONA_HORARIA);
+  
+  return {
+    dia: claveDia(fecha, config.ZONA_HORARIA),
+    pico: config.SIMULAR_PICOS && deberiaaplicarPico(fecha, config) && esHorarioPico(hora, config),
+    finDeSemana: diaSemana === 0 || diaSemana === 6,
+    reglaCalendario: obtenerReglaCalendario(fecha, config)
+  };
+}
+
 /**
  * Genera información de debug sobre la lectura
  * Útil para verificar que las reglas se aplican correctamente
  * 
  * @param {Object} punto - Punto de monitoreo
  * @param {Date} fecha - Fecha de la lectura
+ * @param {Object} [config] - Configuración a usar (por defecto CONFIG)
  * @returns {Object} Información de debug
  */
-export function debugLectura(punto, fecha = new Date()) {
-  const hora = fecha.getHours();
-  const diaSemana = fecha.getDay();
+export function debugLectura(punto, fecha = new Date(), config = CONFIG) {
+  const partes = partesFecha(fecha, config.ZONA_HORARIA);
+  const { hora, diaSemana } = partes;
+  const reglaDia = obtenerReglaCalendario(fecha, config);
   
   return {
     punto_id: punto.id,
     punto_activo: punto.activo,
     consumo_base: punto.consumo_base_kwh,
     fecha: fecha.toISOString(),
+    zona_horaria: config.ZONA_HORARIA,
     hora,
     dia_semana: ["Dom", "Lun", "Mar", "Mie", "Jue", "Vie", "Sab"][diaSemana],
     es_fin_semana: diaSemana === 0 || diaSemana === 6,
-    es_horario_pico: esHorarioPico(hora),
-    simular_picos_activo: CONFIG.SIMULAR_PICOS,
-    deberia_aplicar_pico: deberiaaplicarPico(fecha)
+    regla_calendario: reglaDia,
+    es_horario_pico: esHorarioPico(hora, config),
+    simular_picos_activo: config.SIMULAR_PICOS,
+    deberia_aplicar_pico: deberiaaplicarPico(fecha, config),
+    intervalo_s: duracionIntervalo(config) / 1000,
+    factor_promedio_intervalo: +factorPromedioIntervalo(punto, fecha, duracionIntervalo(config), config).toFixed(4),
+    fuente_consumo_base: config.FUENTE_CONSUMO_BASE,
+    fallas_activas: resumirFallas(fallasActivas(punto, fecha, config)),
+    usa_perfil_carga: !!punto.perfil_carga,
+    factor_perfil_carga: punto.perfil_carga
+      ? +factorPerfilCarga(punto.perfil_carga, partes, diaSemana === 0 || diaSemana === 6, reglaDia, config).toFixed(3)
+      : null,
+    semilla: config.SEMILLA ?? null
   };
 }
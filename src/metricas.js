@@ -0,0 +1,172 @@
+// ============================================
+// MÉTRICAS EN FORMATO PROMETHEUS
+// ============================================
+
+/**
+ * Registro mínimo de métricas (contadores, medidores e histogramas con
+ * etiquetas) que se sirve en /metrics con el formato de texto de Prometheus:
+ *
+ *   # HELP nubeverde_lecturas_enviadas_total Lecturas guardadas en el destino
+ *   # TYPE nubeverde_lecturas_enviadas_total counter
+ *   nubeverde_lecturas_enviadas_total{punto="N1",estado="activo"} 42
+ *
+ * Los valores que ya existen en otra parte (clientes conectados, memoria,
+ * avance de los trabajos) se leen al momento de servir las métricas con
+ * alRecolectar(), en lugar de copiarlos cada vez que cambian.
+ */
+
+// Cubetas por defecto de los histogramas de latencia (segundos)
+export const CUBETAS_LATENCIA = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escaparValor = valor => String(valor).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const escaparAyuda = texto => texto.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+// Clave estable de una combinación de etiquetas (en el orden declarado)
+function claveEtiquetas(nombres, etiquetas) {
+  return JSON.stringify(nombres.map(nombre => String(etiquetas[nombre] ?? "")));
+}
+
+function formatearEtiquetas(nombres, valores, extra = "") {
+  const partes = nombres.map((nombre, i) => `${nombre}="${escaparValor(valores[i])}"`);
+  if (extra) partes.push(extra);
+  return partes.length > 0 ? `{${partes.join(",")}}` : "";
+}
+
+function formatearNumero(valor) {
+  if (valor === Infinity) return "+Inf";
+  if (valor === -Infinity) return "-Inf";
+  return String(valor);
+}
+
+/**
+ * Registro de métricas
+ * @returns {Object} { contador, medidor, histograma, alRecolectar, serializar }
+ */
+export function crearRegistroMetricas() {
+  const metricas = [];
+  const recolectores = [];
+
+  function registrar(nombre, ayuda, tipo, etiquetas) {
+    if (metricas.some(metrica => metrica.nombre === nombre)) {
+      throw new Error(`Métrica duplicada: ${nombre}`);
+    }
+    const metrica = { nombre, ayuda, tipo, etiquetas, series: new Map() };
+    metricas.push(metrica);
+    return metrica;
+  }
+
+  // Serie de una combinación de etiquetas (se crea la primera vez)
+  function serie(metrica, etiquetas, inicial) {
+    const clave = claveEtiquetas(metrica.etiquetas, etiquetas);
+    if (!metrica.series.has(clave)) {
+      metrica.series.set(clave, { valores: JSON.parse(clave), ...inicial() });
+    }
+    return metrica.series.get(clave);
+  }
+
+  return {
+    /**
+     * Contador: solo sube
+     * @param {string} nombre - Debería terminar en "_total"
+     * @param {string} ayuda
+     * @param {string[]} [etiquetas]
+     * @returns {{ inc: (etiquetas?: Object, valor?: number) => void }}
+     */
+    contador(nombre, ayuda, etiquetas = []) {
+      const metrica = registrar(nombre, ayuda, "counter", etiquetas);
+      return {
+        inc(valoresEtiquetas = {}, valor = 1) {
+          serie(metrica, valoresEtiquetas, () => ({ valor: 0 })).valor += valor;
+        }
+      };
+    },
+
+    /**
+     * Medidor: valor que sube y baja
+     * @param {string} nombre
+     * @param {string} ayuda
+     * @param {string[]} [etiquetas]
+     * @returns {{ set: (etiquetas: Object, valor: number) => void, reiniciar: () => void }}
+     */
+    medidor(nombre, ayuda, etiquetas = []) {
+      const metrica = registrar(nombre, ayuda, "gauge", etiquetas);
+      return {
+        set(valoresEtiquetas, valor) {
+          serie(metrica, valoresEtiquetas, () => ({ valor: 0 })).valor = valor;
+        },
+        // Quita todas las series (para medidores que se recalculan al recolectar)
+        reiniciar() {
+          metrica.series.clear();
+        }
+      };
+    },
+
+    /**
+     * Histograma con cubetas acumuladas
+     * @param {string} nombre
+     * @param {string} ayuda
+     * @param {string[]} [etiquetas]
+     * @param {number[]} [cubetas] - Límites superiores, en orden creciente
+     * @returns {{ observar: (etiquetas: Object, valor: number) => void }}
+     */
+    histograma(nombre, ayuda, etiquetas = [], cubetas = CUBETAS_LATENCIA) {
+      const metrica = registrar(nombre, ayuda, "histogram", etiquetas);
+      metrica.cubetas = [...cubetas, Infinity];
+      return {
+        observar(valoresEtiquetas, valor) {
+          const actual = serie(metrica, valoresEtiquetas, () => ({
+            conteos: metrica.cubetas.map(() => 0),
+            suma: 0,
+            cantidad: 0
+          }));
+          metrica.cubetas.forEach((limite, i) => {
+            if (valor <= limite) actual.conteos[i]++;
+          });
+          actual.suma += valor;
+          actual.cantidad++;
+        }
+      };
+    },
+
+    /**
+     * Función que actualiza medidores justo antes de serializar
+     * @param {() => void} recolector
+     */
+    alRecolectar(recolector) {
+      recolectores.push(recolector);
+    },
+
+    /**
+     * Todas las métricas en formato de texto de Prometheus (versión 0.0.4)
+     * @returns {string}
+     */
+    serializar() {
+      for (const recolector of recolectores) recolector();
+
+      const lineas = [];
+      for (const metrica of metricas) {
+        lineas.push(`# HELP ${metrica.nombre} ${escaparAyuda(metrica.ayuda)}`);
+        lineas.push(`# TYPE ${metrica.nombre} ${metrica.tipo}`);
+
+        for (const actual of metrica.series.values()) {
+          if (metrica.tipo !== "histogram") {
+            lineas.push(`${metrica.nombre}${formatearEtiquetas(metrica.etiquetas, actual.valores)} ${formatearNumero(actual.valor)}`);
+            continue;
+          }
+
+          metrica.cubetas.forEach((limite, i) => {
+            const le = `le="${formatearNumero(limite)}"`;
+            lineas.push(`${metrica.nombre}_bucket${formatearEtiquetas(metrica.etiquetas, actual.valores, le)} ${actual.conteos[i]}`);
+          });
+          lineas.push(`${metrica.nombre}_sum${formatearEtiquetas(metrica.etiquetas, actual.valores)} ${actual.suma}`);
+          lineas.push(`${metrica.nombre}_count${formatearEtiquetas(metrica.etiquetas, actual.valores)} ${actual.cantidad}`);
+        }
+      }
+
+      return lineas.join("\n") + "\n";
+    }
+  };
+}
+
+// Registro del proceso: lo usan envio.js y el servidor web
+export const metricas = crearRegistroMetricas();
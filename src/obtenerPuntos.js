@@ -1,5 +1,7 @@
 import { collection, getDocs } from "firebase/firestore";
 import { db } from "./firebase.js";
+import { validarPerfilCarga } from "./perfilCarga.js";
+import { validarFallas } from "./fallas.js";
 
 /**
  * Obtiene todos los puntos de monitoreo con su información completa
@@ -13,32 +15,69 @@ import { db } from "./firebase.js";
  *   ubicacion: "Edificio Cultural",
  *   activo: true,
  *   consumo_base_kwh: 15.5,
- *   potencia_base_w: 1100
+ *   potencia_base_w: 1100,
+ *   registro_inicial_kwh: 1520.4,                                      // Opcional (telemetría)
+ *   voltaje_nominal_v: 240,                                            // Opcional (telemetría)
+ *   perfil_carga: { laborable: [24 o 96 factores], fin_semana: [...] }, // Opcional
+ *   fallas: { congelado: { probabilidad: 0.05 }, ... }                  // Opcional
  * }
+ * 
+ * Un perfil_carga inválido se descarta con una advertencia y el punto
+ * usa las reglas globales de HORARIOS_PICO. Lo mismo ocurre con "fallas"
+ * y CONFIG.FALLAS.
  */
 export async function obtenerPuntos() {
   const snap = await getDocs(collection(db, "puntos_monitoreo"));
   
-  return snap.docs.map(docSnap => {
-    const data = docSnap.data();
-    return {
-      // ID del documento en Firestore (necesario para actualizar)
-      docId: docSnap.id,
-      
-      // Identificación
-      id: data.id,
-      nombre: data.nombre || `Punto ${data.id}`,
-      descripcion: data.descripcion || "",
-      ubicacion: data.ubicacion || "",
-      
-      // Estado
-      activo: data.activo ?? true, // Por defecto activo si no existe el campo
-      
-      // Valores base para cálculos
-      consumo_base_kwh: data.consumo_base_kwh || 5.0,
-      potencia_base_w: data.potencia_base_w || 500
-    };
-  });
+  return snap.docs.map(docSnap => normalizarPunto(docSnap.id, docSnap.data()));
+}
+
+/**
+ * Punto con valores por defecto y perfil de carga / fallas validados
+ * Lo usan obtenerPuntos() y la administración de puntos (src/puntos.js)
+ *
+ * @param {string} docId - Id del documento en Firestore
+ * @param {Object} data - Campos del documento
+ * @returns {Object} Punto de monitoreo
+ */
+export function normalizarPunto(docId, data) {
+  const { perfil, errores } = validarPerfilCarga(data.perfil_carga);
+  if (errores.length > 0) {
+    console.warn(`⚠️  Perfil de carga inválido en ${data.id}: ${errores.join("; ")}`);
+  }
+
+  const validacionFallas = validarFallas(data.fallas);
+  if (validacionFallas.errores.length > 0) {
+    console.warn(`⚠️  Fallas inválidas en ${data.id}: ${validacionFallas.errores.join("; ")}`);
+  }
+
+  return {
+    // ID del documento en Firestore (necesario para actualizar)
+    docId,
+    
+    // Identificación
+    id: data.id,
+    nombre: data.nombre || `Punto ${data.id}`,
+    descripcion: data.descripcion || "",
+    ubicacion: data.ubicacion || "",
+    
+    // Estado
+    activo: data.activo ?? true, // Por defecto activo si no existe el campo
+    
+    // Valores base para cálculos
+    consumo_base_kwh: data.consumo_base_kwh || 5.0,
+    potencia_base_w: data.potencia_base_w || 500,
+
+    // Telemetría propia (null = registro en 0 y TELEMETRIA.VOLTAJE_NOMINAL_V)
+    registro_inicial_kwh: data.registro_inicial_kwh ?? null,
+    voltaje_nominal_v: data.voltaje_nominal_v ?? null,
+
+    // Curva de carga diaria (null = reglas globales)
+    perfil_carga: perfil,
+
+    // Fallas de sensor propias (null = CONFIG.FALLAS)
+    fallas: validacionFallas.fallas
+  };
 }
 
 /**
@@ -0,0 +1,94 @@
+// ============================================
+// PERFILES DE CARGA DE 24 HORAS POR PUNTO
+// ============================================
+
+/**
+ * Un perfil de carga describe cómo varía el consumo de un punto a lo largo del día.
+ * Se guarda opcionalmente en cada documento de "puntos_monitoreo":
+ *
+ * perfil_carga: {
+ *   laborable:  [0.2, 0.2, ..., 1.8, ...],  // 24 valores (por hora) o 96 (cada 15 min)
+ *   fin_semana: [0.1, 0.1, ..., 0.4, ...]   // Opcional, misma resolución
+ * }
+ *
+ * Cada valor multiplica consumo_base_kwh. El valor i corresponde al inicio de su
+ * franja (i * 60 min o i * 15 min) y entre franjas se interpola linealmente;
+ * después de la última franja se interpola hacia la primera (medianoche).
+ */
+
+const RESOLUCIONES_VALIDAS = [24, 96];
+
+/**
+ * Valida una curva de carga
+ * @param {any} curva
+ * @param {string} nombre - Nombre para los mensajes de error
+ * @returns {string[]} Errores encontrados
+ */
+function validarCurva(curva, nombre) {
+  if (!Array.isArray(curva)) {
+    return [`${nombre} debe ser un arreglo`];
+  }
+
+  if (!RESOLUCIONES_VALIDAS.includes(curva.length)) {
+    return [`${nombre} debe tener 24 (por hora) o 96 (cada 15 min) valores, tiene ${curva.length}`];
+  }
+
+  const invalidos = curva.filter(valor => typeof valor !== "number" || !Number.isFinite(valor) || valor < 0);
+  if (invalidos.length > 0) {
+    return [`${nombre} solo admite números mayores o iguales a 0`];
+  }
+
+  return [];
+}
+
+/**
+ * Valida el perfil de carga de un punto
+ *
+ * @param {any} perfil - Valor del campo perfil_carga en Firestore
+ * @returns {{ perfil: Object|null, errores: string[] }} Perfil normalizado (o null si no hay o es inválido)
+ */
+export function validarPerfilCarga(perfil) {
+  if (perfil === undefined || perfil === null) {
+    return { perfil: null, errores: [] };
+  }
+
+  if (typeof perfil !== "object" || Array.isArray(perfil)) {
+    return { perfil: null, errores: ["perfil_carga debe ser un objeto { laborable, fin_semana }"] };
+  }
+
+  const errores = [...validarCurva(perfil.laborable, "perfil_carga.laborable")];
+
+  if (perfil.fin_semana !== undefined && perfil.fin_semana !== null) {
+    errores.push(...validarCurva(perfil.fin_semana, "perfil_carga.fin_semana"));
+  }
+
+  if (errores.length > 0) {
+    return { perfil: null, errores };
+  }
+
+  return {
+    perfil: {
+      laborable: [...perfil.laborable],
+      fin_semana: perfil.fin_semana ? [...perfil.fin_semana] : null
+    },
+    errores
+  };
+}
+
+/**
+ * Interpola el valor de una curva para un momento del día
+ *
+ * @param {number[]} curva - 24 o 96 valores
+ * @param {number} minutoDelDia - Minutos desde medianoche (0-1439, admite decimales)
+ * @returns {number} Factor interpolado
+ */
+export function interpolarCurva(curva, minutoDelDia) {
+  const minutosPorFranja = 1440 / curva.length;
+  const posicion = minutoDelDia / minutosPorFranja;
+
+  const indice = Math.floor(posicion) % curva.length;
+  const siguiente = (indice + 1) % curva.length;
+  const fraccion = posicion - Math.floor(posicion);
+
+  return curva[indice] + (curva[siguiente] - curva[indice]) * fraccion;
+}
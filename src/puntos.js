@@ -0,0 +1,312 @@
+import { deleteDoc, doc, setDoc, updateDoc, writeBatch } from "firebase/firestore";
+import { db } from "./firebase.js";
+import { normalizarPunto } from "./obtenerPuntos.js";
+import { validarPerfilCarga } from "./perfilCarga.js";
+import { validarFallas } from "./fallas.js";
+import { dividirLineaCsv } from "./replay.js";
+import { celdaCsv } from "./exportar.js";
+
+// ============================================
+// ADMINISTRACIÓN DE PUNTOS DE MONITOREO
+// ============================================
+
+/**
+ * Alta, edición, clonado, baja, importación y exportación de los documentos
+ * de "puntos_monitoreo". Los puntos nuevos usan su id como id del documento.
+ *
+ * Las funciones devuelven puntos normalizados (ver normalizarPunto()) para
+ * reemplazar a los que tiene en memoria el servidor: los trabajos que están
+ * corriendo toman los cambios en el siguiente tick.
+ */
+export const COLECCION_PUNTOS = "puntos_monitoreo";
+export const FORMATOS_PUNTOS = ["csv", "json"];
+
+const PATRON_ID = /^[A-Za-z0-9_-]{1,40}$/;
+const CAMPOS_TEXTO = ["nombre", "descripcion", "ubicacion"];
+const LARGO_MAXIMO_TEXTO = 200;
+
+const COLUMNAS_CSV = [
+  "id", "nombre", "descripcion", "ubicacion", "activo",
+  "consumo_base_kwh", "potencia_base_w", "registro_inicial_kwh", "voltaje_nominal_v",
+  "perfil_carga", "fallas"
+];
+
+// Columnas CSV que llevan un objeto en JSON
+const COLUMNAS_JSON = ["perfil_carga", "fallas"];
+
+// Escrituras por lote de Firestore (el máximo es 500)
+const DOCUMENTOS_POR_LOTE = 400;
+
+function numeroPositivo(valor, campo, errores) {
+  const numero = typeof valor === "string" && valor.trim() !== "" ? Number(valor) : valor;
+  if (typeof numero !== "number" || !Number.isFinite(numero) || numero <= 0) {
+    errores.push(`${campo} debe ser un número mayor que 0`);
+    return undefined;
+  }
+  return numero;
+}
+
+function numeroNoNegativo(valor, campo, errores) {
+  const numero = typeof valor === "string" && valor.trim() !== "" ? Number(valor) : valor;
+  if (typeof numero !== "number" || !Number.isFinite(numero) || numero < 0) {
+    errores.push(`${campo} debe ser un número mayor o igual a 0`);
+    return undefined;
+  }
+  return numero;
+}
+
+function booleano(valor) {
+  if (typeof valor === "boolean") return valor;
+
+  const texto = String(valor).trim().toLowerCase();
+  if (["true", "1", "si", "sí"].includes(texto)) return true;
+  if (["false", "0", "no"].includes(texto)) return false;
+  return undefined;
+}
+
+// Objeto opcional (perfil_carga, fallas): "" o null lo quitan; en CSV llega como JSON
+function objetoOpcional(valor, campo, errores) {
+  if (valor === null || valor === "") return null;
+  if (typeof valor !== "string") return valor;
+
+  try {
+    return JSON.parse(valor);
+  } catch {
+    errores.push(`${campo} no es un JSON válido`);
+    return undefined;
+  }
+}
+
+/**
+ * Valida los datos de un punto recibidos de la API o de una importación
+ *
+ * @param {Object} datos - Campos del punto (números y booleanos pueden venir como texto)
+ * @param {Object} [opciones]
+ * @param {string} [opciones.idActual] - Edición: id del punto editado (el id no cambia;
+ *                                       los campos ausentes se dejan como están)
+ *                                       Sin idActual (alta) se exige consumo_base_kwh
+ *                                       o potencia_base_w
+ * @returns {{ campos: Object, errores: string[] }} Campos listos para guardar en Firestore
+ */
+export function validarPunto(datos, { idActual = null } = {}) {
+  const errores = [];
+  const campos = {};
+
+  if (!datos || typeof datos !== "object" || Array.isArray(datos)) {
+    return { campos, errores: ["El punto debe ser un objeto"] };
+  }
+
+  const presente = campo => datos[campo] !== undefined;
+
+  if (idActual) {
+    if (presente("id") && String(datos.id).trim() !== idActual) {
+      errores.push("El id de un punto no se puede cambiar (usa clonar)");
+    }
+  } else {
+    const id = String(datos.id ?? "").trim();
+    if (!PATRON_ID.test(id)) {
+      errores.push("id es obligatorio: hasta 40 letras, números, '-' o '_'");
+    }
+    campos.id = id;
+  }
+
+  for (const campo of CAMPOS_TEXTO) {
+    if (!presente(campo)) continue;
+
+    const texto = String(datos[campo] ?? "").trim();
+    if (texto.length > LARGO_MAXIMO_TEXTO) {
+      errores.push(`${campo} admite hasta ${LARGO_MAXIMO_TEXTO} caracteres`);
+    }
+    campos[campo] = texto;
+  }
+
+  if (presente("activo")) {
+    campos.activo = booleano(datos.activo);
+    if (campos.activo === undefined) {
+      errores.push("activo debe ser true o false");
+    }
+  }
+
+  for (const campo of ["consumo_base_kwh", "potencia_base_w"]) {
+    if (presente(campo)) {
+      campos[campo] = numeroPositivo(datos[campo], campo, errores);
+    }
+  }
+
+  // Un punto nuevo sin tasa base quedaría con los valores por defecto sin avisar
+  if (!idActual && !presente("consumo_base_kwh") && !presente("potencia_base_w")) {
+    errores.push("consumo_base_kwh o potencia_base_w es obligatorio al crear un punto");
+  }
+
+  // Telemetría propia del punto: "" o null la quitan (se usan los valores globales)
+  if (presente("registro_inicial_kwh")) {
+    campos.registro_inicial_kwh = datos.registro_inicial_kwh === null || datos.registro_inicial_kwh === ""
+      ? null
+      : numeroNoNegativo(datos.registro_inicial_kwh, "registro_inicial_kwh", errores);
+  }
+  if (presente("voltaje_nominal_v")) {
+    campos.voltaje_nominal_v = datos.voltaje_nominal_v === null || datos.voltaje_nominal_v === ""
+      ? null
+      : numeroPositivo(datos.voltaje_nominal_v, "voltaje_nominal_v", errores);
+  }
+
+  if (presente("perfil_carga")) {
+    const perfil = objetoOpcional(datos.perfil_carga, "perfil_carga", errores);
+    if (perfil !== undefined) {
+      errores.push(...validarPerfilCarga(perfil).errores);
+      campos.perfil_carga = perfil;
+    }
+  }
+
+  if (presente("fallas")) {
+    const fallas = objetoOpcional(datos.fallas, "fallas", errores);
+    if (fallas !== undefined) {
+      errores.push(...validarFallas(fallas).errores);
+      campos.fallas = fallas;
+    }
+  }
+
+  return { campos, errores };
+}
+
+// Campos del punto tal como se guardan en Firestore (sin docId)
+function datosDePunto(punto) {
+  const { docId, ...datos } = punto;
+  return datos;
+}
+
+/**
+ * Crea el documento de un punto nuevo
+ * @param {Object} campos - Resultado de validarPunto() sin idActual
+ * @returns {Promise<Object>} Punto normalizado
+ */
+export async function crearPunto(campos) {
+  const datos = { activo: true, ...campos };
+  await setDoc(doc(db, COLECCION_PUNTOS, campos.id), datos);
+  return normalizarPunto(campos.id, datos);
+}
+
+/**
+ * Actualiza los campos de un punto existente
+ * @param {Object} punto - Punto en memoria (con docId)
+ * @param {Object} campos - Resultado de validarPunto() con idActual
+ * @returns {Promise<Object>} Punto normalizado con los cambios
+ */
+export async function actualizarPunto(punto, campos) {
+  await updateDoc(doc(db, COLECCION_PUNTOS, punto.docId), campos);
+  return normalizarPunto(punto.docId, { ...datosDePunto(punto), ...campos });
+}
+
+/**
+ * @param {Object} punto - Punto en memoria (con docId)
+ */
+export async function eliminarPunto(punto) {
+  await deleteDoc(doc(db, COLECCION_PUNTOS, punto.docId));
+}
+
+/**
+ * Guarda una importación en lotes de escritura
+ * Cada cambio crea un punto (existente = null) o actualiza uno existente
+ *
+ * @param {Array<{ existente: Object|null, campos: Object }>} cambios
+ * @returns {Promise<Array<Object>>} Puntos normalizados, en el mismo orden
+ */
+export async function importarPuntos(cambios) {
+  const puntos = [];
+
+  for (let inicio = 0; inicio < cambios.length; inicio += DOCUMENTOS_POR_LOTE) {
+    const batch = writeBatch(db);
+    const lote = cambios.slice(inicio, inicio + DOCUMENTOS_POR_LOTE);
+
+    for (const { existente, campos } of lote) {
+      if (existente) {
+        batch.update(doc(db, COLECCION_PUNTOS, existente.docId), campos);
+        puntos.push(normalizarPunto(existente.docId, { ...datosDePunto(existente), ...campos }));
+      } else {
+        const datos = { activo: true, ...campos };
+        batch.set(doc(db, COLECCION_PUNTOS, campos.id), datos);
+        puntos.push(normalizarPunto(campos.id, datos));
+      }
+    }
+
+    await batch.commit();
+  }
+
+  return puntos;
+}
+
+/**
+ * Serializa puntos para exportarlos
+ *
+ * @param {Array<Object>} puntos
+ * @param {string} formato - "csv" o "json"
+ * @returns {string}
+ */
+export function puntosATexto(puntos, formato) {
+  const datos = puntos.map(datosDePunto);
+
+  if (formato === "json") {
+    return JSON.stringify(datos, null, 2) + "\n";
+  }
+
+  if (formato === "csv") {
+    const filas = datos.map(punto => COLUMNAS_CSV.map(columna => {
+      const valor = punto[columna];
+      return celdaCsv(COLUMNAS_JSON.includes(columna) && valor ? JSON.stringify(valor) : valor);
+    }).join(","));
+    return [COLUMNAS_CSV.join(","), ...filas].join("\n") + "\n";
+  }
+
+  throw new Error(`Formato desconocido: ${formato}. Opciones: ${FORMATOS_PUNTOS.join(", ")}`);
+}
+
+/**
+ * Lee los puntos de un archivo de importación (sin validarlos)
+ * En CSV las celdas vacías se omiten: al importar sobre un punto existente,
+ * ese campo no cambia
+ *
+ * @param {string} texto - Contenido del archivo
+ * @param {string} formato - "csv" o "json"
+ * @returns {Array<{ fila: number, datos: Object }>}
+ */
+export function puntosDesdeTexto(texto, formato) {
+  const contenido = texto.replace(/^\uFEFF/, "");
+
+  if (formato === "json") {
+    let datos;
+    try {
+      datos = JSON.parse(contenido);
+    } catch (error) {
+      throw new Error(`JSON inválido: ${error.message}`);
+    }
+    if (!Array.isArray(datos)) {
+      throw new Error("El JSON debe ser una lista de puntos");
+    }
+    return datos.map((punto, indice) => ({ fila: indice + 1, datos: punto }));
+  }
+
+  if (formato === "csv") {
+    const lineas = contenido.split(/\r?\n/);
+    const columnas = dividirLineaCsv(lineas[0] || "").map(columna => columna.toLowerCase());
+    if (!columnas.includes("id")) {
+      throw new Error('El CSV debe tener una columna "id"');
+    }
+
+    const filas = [];
+    lineas.slice(1).forEach((linea, indice) => {
+      if (!linea.trim()) return;
+
+      const celdas = dividirLineaCsv(linea);
+      const datos = {};
+      columnas.forEach((columna, posicion) => {
+        if (COLUMNAS_CSV.includes(columna) && celdas[posicion]) {
+          datos[columna] = celdas[posicion];
+        }
+      });
+      filas.push({ fila: indice + 2, datos });
+    });
+    return filas;
+  }
+
+  throw new Error(`Formato desconocido: ${formato}. Opciones: ${FORMATOS_PUNTOS.join(", ")}`);
+}
@@ -0,0 +1,75 @@
+// ============================================
+// REINTENTOS CON BACKOFF EXPONENCIAL
+// ============================================
+
+// Códigos de error que indican un problema temporal (Firestore, red o disco)
+const CODIGOS_TRANSITORIOS = new Set([
+  "unavailable",
+  "deadline-exceeded",
+  "resource-exhausted",
+  "aborted",
+  "internal",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EBUSY",
+  "EAGAIN"
+]);
+
+/**
+ * Indica si vale la pena reintentar una operación que falló con este error
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function esErrorTransitorio(error) {
+  return CODIGOS_TRANSITORIOS.has(error?.code);
+}
+
+/**
+ * Calcula la espera antes del siguiente intento
+ * Backoff exponencial con "full jitter": aleatorio entre 0 y base * 2^intento
+ *
+ * @param {number} intento - Número de intento fallido (1, 2, 3...)
+ * @param {Object} opciones
+ * @param {number} opciones.baseMs - Espera base en ms
+ * @param {number} opciones.maximoMs - Espera máxima en ms
+ * @returns {number} Milisegundos a esperar
+ */
+export function calcularBackoff(intento, { baseMs, maximoMs }) {
+  const techo = Math.min(maximoMs, baseMs * 2 ** (intento - 1));
+  return Math.round(Math.random() * techo);
+}
+
+/**
+ * Ejecuta una operación reintentando los errores transitorios
+ *
+ * @param {() => Promise<any>} operacion - Función a ejecutar
+ * @param {Object} opciones
+ * @param {number} opciones.reintentos - Máximo de reintentos tras el primer intento
+ * @param {number} opciones.baseMs - Espera base del backoff en ms
+ * @param {number} opciones.maximoMs - Espera máxima del backoff en ms
+ * @param {(error: Error) => boolean} [opciones.esReintentable] - Criterio de reintento
+ * @returns {Promise<{ resultado: any, intentos: number }>}
+ * @throws El último error si se agotan los reintentos o el error no es transitorio.
+ *         El error lleva la propiedad `intentos`.
+ */
+export async function conReintentos(operacion, { reintentos, baseMs, maximoMs, esReintentable = esErrorTransitorio }) {
+  let intentos = 0;
+
+  while (true) {
+    intentos++;
+    try {
+      const resultado = await operacion();
+      return { resultado, intentos };
+    } catch (error) {
+      if (intentos > reintentos || !esReintentable(error)) {
+        error.intentos = intentos;
+        throw error;
+      }
+
+      const espera = calcularBackoff(intentos, { baseMs, maximoMs });
+      await new Promise(resolve => setTimeout(resolve, espera));
+    }
+  }
+}
@@ -0,0 +1,342 @@
+import { createReadStream } from "fs";
+import { createInterface } from "readline";
+import { crearAleatorio, hashTexto } from "./aleatorio.js";
+import { idLectura } from "./checkpoints.js";
+import { agregarTelemetria } from "./telemetria.js";
+import { parsearFechaEnZona } from "./zonaHoraria.js";
+
+// ============================================
+// REPRODUCCIÓN DE MEDICIONES REALES (REPLAY)
+// ============================================
+
+/**
+ * En modo replay las lecturas no salen del modelo sintético de generador.js
+ * sino de un CSV con mediciones reales:
+ *
+ *   id_punto,fecha,consumo_kwh
+ *   N1,2024-03-04 08:00:00,1.42
+ *   N2,2024-03-04 08:00:00,0.87
+ *
+ * - Las fechas sin zona explícita son horas de ZONA_HORARIA
+ * - Un consumo vacío es una medición perdida: se reenvía como "error"
+ * - Columnas opcionales: intervalo_s (si falta, se deduce de la separación
+ *   entre mediciones del mismo punto) y estado
+ * - Los ids se traducen con REPLAY.MAPEO_PUNTOS; las mediciones de puntos que
+ *   no existen en puntos_monitoreo se descartan
+ *
+ * Un CSV exportado con exportar.js también se puede reproducir.
+ *
+ * Las lecturas pasan por el mismo envío que las sintéticas (destino, lotes,
+ * cola offline). ESCALA multiplica cada consumo y RUIDO agrega una variación
+ * aleatoria de ±RUIDO (reproducible con SEMILLA). Los puntos apagados en el
+ * panel reportan "inactivo", como en los demás modos.
+ */
+
+const COLUMNAS = {
+  id_punto: ["id_punto", "punto", "id"],
+  fecha: ["fecha", "timestamp", "fecha_hora"],
+  consumo_kwh: ["consumo_kwh", "kwh", "consumo"],
+  intervalo_s: ["intervalo_s"],
+  estado: ["estado"]
+};
+
+// Intervalo de un punto con una sola medición
+const INTERVALO_POR_DEFECTO_S = 3600;
+
+// Errores de formato que se conservan para mostrar
+const MAX_ERRORES = 10;
+
+/**
+ * Divide una línea CSV en celdas (admite comillas dobles)
+ * @param {string} linea
+ * @returns {string[]}
+ */
+export function dividirLineaCsv(linea) {
+  const celdas = [];
+  let celda = "";
+  let entreComillas = false;
+
+  for (let i = 0; i < linea.length; i++) {
+    const c = linea[i];
+
+    if (entreComillas) {
+      if (c === '"' && linea[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        celda += c;
+      }
+    } else if (c === '"') {
+      entreComillas = true;
+    } else if (c === ",") {
+      celdas.push(celda.trim());
+      celda = "";
+    } else {
+      celda += c;
+    }
+  }
+
+  celdas.push(celda.trim());
+  return celdas;
+}
+
+/**
+ * Posición de cada columna conocida en el encabezado
+ * @param {string[]} encabezado
+ * @returns {Object} columna → índice (-1 si no está)
+ */
+function indicesColumnas(encabezado) {
+  const nombres = encabezado.map(nombre => nombre.toLowerCase().replace(/^\uFEFF/, ""));
+  return Object.fromEntries(
+    Object.entries(COLUMNAS).map(([columna, alias]) => [columna, nombres.findIndex(n => alias.includes(n))])
+  );
+}
+
+/**
+ * Lee las mediciones de un CSV, ordenadas por fecha
+ *
+ * @param {string} ruta - Archivo CSV
+ * @param {Object} opciones
+ * @param {string} opciones.zona - Zona horaria de las fechas sin zona explícita
+ * @param {Object} [opciones.mapeo] - Id en el CSV → id en puntos_monitoreo
+ * @returns {Promise<{ mediciones: Array<Object>, invalidas: number, errores: string[] }>}
+ */
+export async function leerMediciones(ruta, { zona, mapeo = {} }) {
+  const lineas = createInterface({ input: createReadStream(ruta, "utf8"), crlfDelay: Infinity });
+  const mediciones = [];
+  const errores = [];
+  let invalidas = 0;
+  let indices = null;
+  let numero = 0;
+
+  const descartar = (motivo) => {
+    invalidas++;
+    if (errores.length < MAX_ERRORES) errores.push(`línea ${numero}: ${motivo}`);
+  };
+
+  for await (const linea of lineas) {
+    numero++;
+    if (!linea.trim()) continue;
+
+    const celdas = dividirLineaCsv(linea);
+
+    if (!indices) {
+      indices = indicesColumnas(celdas);
+      const faltantes = ["id_punto", "fecha", "consumo_kwh"].filter(columna => indices[columna] === -1);
+      if (faltantes.length > 0) {
+        throw new Error(`${ruta}: faltan las columnas ${faltantes.join(", ")}`);
+      }
+      continue;
+    }
+
+    const id = celdas[indices.id_punto];
+    const fecha = celdas[indices.fecha] ? parsearFechaEnZona(celdas[indices.fecha], zona) : null;
+    const textoConsumo = celdas[indices.consumo_kwh] ?? "";
+    const consumo = textoConsumo === "" ? null : Number(textoConsumo);
+    const intervalo = indices.intervalo_s >= 0 ? Number(celdas[indices.intervalo_s]) : NaN;
+
+    if (!id) { descartar("sin id de punto"); continue; }
+    if (!fecha) { descartar(`fecha inválida "${celdas[indices.fecha] ?? ""}"`); continue; }
+    if (consumo !== null && (!Number.isFinite(consumo) || consumo < 0)) {
+      descartar(`consumo inválido "${textoConsumo}"`);
+      continue;
+    }
+
+    mediciones.push({
+      id_punto: mapeo[id] ?? id,
+      fecha,
+      consumo_kwh: consumo,
+      intervalo_s: intervalo > 0 ? intervalo : null,
+      estado: (indices.estado >= 0 && celdas[indices.estado]) || null
+    });
+  }
+
+  if (!indices) {
+    throw new Error(`${ruta} está vacío`);
+  }
+
+  mediciones.sort((a, b) => a.fecha - b.fecha);
+  return { mediciones, invalidas, errores };
+}
+
+/**
+ * Completa el intervalo de las mediciones que no lo traen:
+ * la separación con la medición anterior del mismo punto
+ * (la primera de cada punto usa la separación con la siguiente)
+ *
+ * @param {Array<Object>} mediciones - Ordenadas por fecha
+ */
+function completarIntervalos(mediciones) {
+  const porPunto = new Map();
+  for (const medicion of mediciones) {
+    if (!porPunto.has(medicion.id_punto)) porPunto.set(medicion.id_punto, []);
+    porPunto.get(medicion.id_punto).push(medicion);
+  }
+
+  for (const lista of porPunto.values()) {
+    lista.forEach((medicion, i) => {
+      if (medicion.intervalo_s) return;
+      const vecina = i > 0 ? lista[i - 1] : lista[i + 1];
+      const separacion = vecina ? Math.abs(medicion.fecha - vecina.fecha) / 1000 : 0;
+      medicion.intervalo_s = separacion > 0 ? separacion : INTERVALO_POR_DEFECTO_S;
+    });
+  }
+}
+
+/**
+ * Id de la ejecución de un replay con fechas originales
+ * Reproducir el mismo archivo con la misma escala, ruido y semilla
+ * sobrescribe las lecturas en lugar de duplicarlas
+ *
+ * @param {Object} config
+ * @returns {string} Por ejemplo "r1a2b3c4d"
+ */
+export function idEjecucionReplay(config) {
+  const { RUTA_CSV, ESCALA, RUIDO } = config.REPLAY;
+  const clave = JSON.stringify([RUTA_CSV, ESCALA, RUIDO, config.SEMILLA ?? null]);
+  return "r" + hashTexto(clave).toString(16).padStart(8, "0");
+}
+
+/**
+ * Prepara la reproducción de un CSV para los puntos cargados
+ *
+ * @param {Object} opciones
+ * @param {Object} opciones.config - Usa REPLAY, ZONA_HORARIA, SEMILLA y TELEMETRIA
+ * @param {Array<Object>} opciones.puntos - Puntos de monitoreo cargados
+ * @param {Object|null} [opciones.registro] - Registro de medidores (con telemetría)
+ * @returns {Promise<Object>} Replay con { total, desde, hasta, sinPunto, invalidas, errores, avance, terminado, lecturasHasta, lecturasOriginales }
+ */
+export async function crearReplay({ config, puntos, registro = null }) {
+  const { RUTA_CSV, MAPEO_PUNTOS, ESCALA, RUIDO, REPETIR } = config.REPLAY;
+  const leidas = await leerMediciones(RUTA_CSV, { zona: config.ZONA_HORARIA, mapeo: MAPEO_PUNTOS });
+
+  const ids = new Set(puntos.map(p => p.id));
+  const sinPunto = new Set();
+  const mediciones = leidas.mediciones.filter(medicion => {
+    if (ids.has(medicion.id_punto)) return true;
+    sinPunto.add(medicion.id_punto);
+    return false;
+  });
+
+  if (mediciones.length === 0) {
+    throw new Error(`${RUTA_CSV} no tiene mediciones de los puntos cargados`);
+  }
+
+  completarIntervalos(mediciones);
+
+  const primera = mediciones[0];
+  const ultima = mediciones[mediciones.length - 1];
+  const ejecucion = idEjecucionReplay(config);
+
+  // Duración de una vuelta completa del archivo (para REPETIR)
+  const duracion = ultima.fecha - primera.fecha + ultima.intervalo_s * 1000;
+
+  let cursor = 0;
+  let vuelta = 0;
+  let desplazamiento = null;
+
+  /**
+   * Lecturas de una medición con la fecha indicada
+   * @returns {Array<Object>} 0 o 1 lecturas (0 si el punto ya no existe)
+   */
+  const construirLecturas = (medicion, fecha, puntosPorId, conId) => {
+    const punto = puntosPorId.get(medicion.id_punto);
+    if (!punto) return [];
+
+    const base = { id_punto: punto.id, intervalo_s: medicion.intervalo_s, fecha };
+    let lectura;
+
+    if (!punto.activo) {
+      lectura = { ...base, estado: "inactivo", consumo_kwh: 0 };
+    } else if (medicion.consumo_kwh === null || (medicion.estado && medicion.estado !== "activo")) {
+      lectura = { ...base, estado: medicion.estado && medicion.estado !== "activo" ? medicion.estado : "error", consumo_kwh: 0 };
+    } else {
+      const aleatorio = crearAleatorio(config.SEMILLA, punto.id, "replay", medicion.fecha.getTime(), vuelta);
+      const ruido = 1 + (aleatorio() * 2 - 1) * RUIDO;
+      lectura = { ...base, estado: "activo", consumo_kwh: +Math.max(0, medicion.consumo_kwh * ESCALA * ruido).toFixed(6) };
+    }
+
+    let lecturas = [lectura];
+    if (registro) {
+      lecturas = agregarTelemetria(lecturas, punto, registro, config);
+    }
+    if (conId) {
+      lecturas = lecturas.map(l => ({ ...l, id_lectura: idLectura(punto.id, medicion.fecha, ejecucion) }));
+    }
+
+    return lecturas;
+  };
+
+  return {
+    ejecucion,
+    total: mediciones.length,
+    desde: primera.fecha,
+    hasta: ultima.fecha,
+    sinPunto: [...sinPunto],
+    invalidas: leidas.invalidas,
+    errores: leidas.errores,
+
+    /** Mediciones ya reproducidas en la vuelta actual */
+    get avance() {
+      return cursor;
+    },
+
+    /** true cuando se reprodujo todo el archivo (nunca con REPETIR) */
+    get terminado() {
+      return !REPETIR && cursor >= mediciones.length;
+    },
+
+    /**
+     * Reproducción desplazada al presente: lecturas de las mediciones que ya
+     * "ocurrieron" hasta una fecha. La primera llamada alinea la primera
+     * medición con esa fecha; las demás conservan su separación original.
+     * Con REPETIR, al terminar el archivo se vuelve a empezar a continuación.
+     *
+     * @param {Date} fecha - Normalmente new Date()
+     * @param {Array<Object>} puntosActuales - Puntos con su estado actual (activo)
+     * @returns {Array<Object>} Lecturas con la fecha desplazada
+     */
+    lecturasHasta(fecha, puntosActuales) {
+      if (desplazamiento === null) desplazamiento = fecha.getTime() - primera.fecha.getTime();
+
+      const puntosPorId = new Map(puntosActuales.map(p => [p.id, p]));
+      const lecturas = [];
+
+      while (true) {
+        if (cursor >= mediciones.length) {
+          if (!REPETIR) break;
+          cursor = 0;
+          vuelta++;
+          desplazamiento += duracion;
+        }
+
+        const medicion = mediciones[cursor];
+        const fechaDesplazada = new Date(medicion.fecha.getTime() + desplazamiento);
+        if (fechaDesplazada > fecha) break;
+
+        lecturas.push(...construirLecturas(medicion, fechaDesplazada, puntosPorId, false));
+        cursor++;
+      }
+
+      return lecturas;
+    },
+
+    /**
+     * Reproducción con las fechas originales (como el modo histórico), con
+     * ids determinísticos derivados de idEjecucionReplay()
+     *
+     * @param {Array<Object>} puntosActuales - Puntos con su estado actual (activo)
+     * @yields {Object} Lecturas en orden de fecha
+     */
+    *lecturasOriginales(puntosActuales) {
+      const puntosPorId = new Map(puntosActuales.map(p => [p.id, p]));
+
+      while (cursor < mediciones.length) {
+        const medicion = mediciones[cursor++];
+        yield* construirLecturas(medicion, medicion.fecha, puntosPorId, true);
+      }
+    }
+  };
+}
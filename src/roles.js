@@ -0,0 +1,83 @@
+import { readFile } from "fs/promises";
+
+// ============================================
+// ROLES Y PERMISOS DEL PANEL WEB
+// ============================================
+
+/**
+ * Cada usuario del panel tiene un rol, que se toma al iniciar sesión del
+ * archivo ROLES.RUTA (correo → rol):
+ * {
+ *   "simulador@nubeverde.local": "admin",
+ *   "operador@nubeverde.local": "operator"
+ * }
+ * Los correos que no aparecen reciben ROLES.POR_DEFECTO.
+ *
+ * - viewer:   solo mira el monitor en vivo y los logs
+ * - operator: inicia y detiene simulaciones, enciende y apaga puntos
+ * - admin:    además edita los puntos y la configuración global
+ */
+export const ROLES = ["viewer", "operator", "admin"];
+
+export const PERMISOS = {
+  viewer: [],
+  operator: ["simular", "encender_puntos"],
+  admin: ["simular", "encender_puntos", "editar_puntos", "configurar"]
+};
+
+/**
+ * Lee el archivo de roles
+ * Sin archivo, todos los usuarios reciben el rol por defecto
+ *
+ * @param {string|null} ruta
+ * @returns {Promise<Map<string, string>>} correo (minúsculas) → rol
+ */
+export async function cargarRoles(ruta) {
+  const roles = new Map();
+  if (!ruta) return roles;
+
+  let contenido;
+  try {
+    contenido = await readFile(ruta, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return roles;
+    throw error;
+  }
+
+  let datos;
+  try {
+    datos = JSON.parse(contenido);
+  } catch (error) {
+    throw new Error(`Archivo de roles inválido (${ruta}): ${error.message}`);
+  }
+
+  for (const [email, rol] of Object.entries(datos)) {
+    if (!ROLES.includes(rol)) {
+      throw new Error(`Rol desconocido para ${email}: "${rol}". Opciones: ${ROLES.join(", ")}`);
+    }
+    roles.set(email.trim().toLowerCase(), rol);
+  }
+
+  return roles;
+}
+
+/**
+ * Rol de un usuario
+ *
+ * @param {Map<string, string>} roles - Resultado de cargarRoles()
+ * @param {string} email
+ * @param {string} porDefecto
+ * @returns {string}
+ */
+export function rolDeUsuario(roles, email, porDefecto) {
+  return roles.get(String(email).toLowerCase()) ?? porDefecto;
+}
+
+/**
+ * @param {string} rol
+ * @param {string} permiso - "simular", "encender_puntos", "editar_puntos" o "configurar"
+ * @returns {boolean}
+ */
+export function tienePermiso(rol, permiso) {
+  return PERMISOS[rol]?.includes(permiso) ?? false;
+}
@@ -0,0 +1,147 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// ============================================
+// SESIONES DEL PANEL WEB
+// ============================================
+
+/**
+ * Cada navegador (o cliente de la API) que inicia sesión recibe su propia
+ * sesión, identificada por un token firmado "<id>.<firma>". El panel lo
+ * guarda en una cookie HttpOnly; otros clientes lo envían como
+ * "Authorization: Bearer <token>" o, en Socket.IO, en `auth.token`.
+ *
+ * Las sesiones viven en memoria y la clave de firma se genera al iniciar el
+ * servidor: al reiniciarlo hay que volver a iniciar sesión.
+ */
+
+/**
+ * Almacén de sesiones
+ *
+ * @param {Object} opciones
+ * @param {number} opciones.duracionMs - Vigencia de cada sesión desde el login
+ * @returns {Object} { crear, obtener, cerrar, purgar, cantidad }
+ */
+export function crearSesiones({ duracionMs }) {
+  const clave = randomBytes(32);
+  const sesiones = new Map();
+
+  const firmar = id => createHmac("sha256", clave).update(id).digest("base64url");
+
+  // Id de un token con firma válida, o null
+  function verificar(token) {
+    if (typeof token !== "string") return null;
+
+    const [id, firma] = token.split(".");
+    if (!id || !firma) return null;
+
+    const esperada = Buffer.from(firmar(id));
+    const recibida = Buffer.from(firma);
+    return recibida.length === esperada.length && timingSafeEqual(recibida, esperada) ? id : null;
+  }
+
+  const vencida = (sesion, ahora = Date.now()) => sesion.expira.getTime() <= ahora;
+
+  return {
+    /**
+     * Abre una sesión para un usuario autenticado
+     * @param {{ uid: string, email: string, rol: string }} usuario
+     * @returns {{ sesion: Object, token: string }}
+     */
+    crear(usuario) {
+      const id = randomBytes(18).toString("base64url");
+      const ahora = Date.now();
+      const sesion = {
+        id,
+        uid: usuario.uid,
+        email: usuario.email,
+        rol: usuario.rol,
+        creada: new Date(ahora),
+        expira: new Date(ahora + duracionMs)
+      };
+
+      sesiones.set(id, sesion);
+      return { sesion, token: `${id}.${firmar(id)}` };
+    },
+
+    /**
+     * Sesión vigente de un token (null si es inválido, desconocido o venció)
+     * @param {string|null} token
+     * @returns {Object|null}
+     */
+    obtener(token) {
+      const id = verificar(token);
+      const sesion = id ? sesiones.get(id) : null;
+      if (!sesion) return null;
+
+      if (vencida(sesion)) {
+        sesiones.delete(id);
+        return null;
+      }
+      return sesion;
+    },
+
+    /**
+     * Cierra una sesión
+     * @param {string} id
+     * @returns {boolean} false si no existía
+     */
+    cerrar(id) {
+      return sesiones.delete(id);
+    },
+
+    /**
+     * Quita las sesiones vencidas
+     * @returns {Array<Object>} Sesiones quitadas
+     */
+    purgar() {
+      const ahora = Date.now();
+      const vencidas = [...sesiones.values()].filter(sesion => vencida(sesion, ahora));
+      for (const sesion of vencidas) {
+        sesiones.delete(sesion.id);
+      }
+      return vencidas;
+    },
+
+    get cantidad() {
+      return sesiones.size;
+    }
+  };
+}
+
+/**
+ * Valor de una cookie en el encabezado "Cookie"
+ *
+ * @param {string|undefined} encabezado
+ * @param {string} nombre
+ * @returns {string|null}
+ */
+export function leerCookie(encabezado, nombre) {
+  for (const parte of (encabezado || "").split(";")) {
+    const separador = parte.indexOf("=");
+    if (separador === -1) continue;
+
+    if (parte.slice(0, separador).trim() === nombre) {
+      try {
+        return decodeURIComponent(parte.slice(separador + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Token de sesión de una petición: "Authorization: Bearer <token>" o la cookie
+ *
+ * @param {Object} encabezados - Encabezados HTTP (req.headers o socket.handshake.headers)
+ * @param {string} nombreCookie
+ * @returns {string|null}
+ */
+export function tokenDeEncabezados(encabezados, nombreCookie) {
+  const autorizacion = encabezados.authorization || "";
+  if (autorizacion.startsWith("Bearer ")) {
+    return autorizacion.slice("Bearer ".length).trim();
+  }
+  return leerCookie(encabezados.cookie, nombreCookie);
+}
@@ -0,0 +1,87 @@
+import { generarLecturas } from "./generador.js";
+import { agregarTelemetria } from "./telemetria.js";
+import { idLectura } from "./checkpoints.js";
+import { avanzarFecha, duracionTick } from "./zonaHoraria.js";
+
+// ============================================
+// TICK DE SIMULACIÓN
+// ============================================
+
+/**
+ * Paso común a todos los modos (tiempo real, histórico y vista previa):
+ * escenario → ciclo de vida → generación → telemetría → id de lectura.
+ * Usar siempre esta función garantiza que la vista previa produce
+ * exactamente las mismas lecturas que la ejecución real.
+ *
+ * Contexto de la simulación:
+ * {
+ *   config,            // Configuración a usar
+ *   cicloVida,         // crearCicloVida() o null
+ *   escenario,         // crearEscenario() o null
+ *   registro,          // crearRegistroMedidor() o null (sin telemetría)
+ *   ejecucion,         // idEjecucion() para ids determinísticos, o null
+ *   alTransicion       // (transicion) => void, opcional
+ * }
+ */
+
+/**
+ * Lecturas de un punto en un tick
+ *
+ * @param {Object} punto - Punto de monitoreo
+ * @param {Date} fecha - Fecha del tick
+ * @param {number} intervaloMs - Duración del tick
+ * @param {Object} contexto - Contexto de la simulación
+ * @returns {Array<Object>} 0, 1 o 2 lecturas
+ */
+export function lecturasDelTick(punto, fecha, intervaloMs, contexto) {
+  const { config, cicloVida, escenario, registro, ejecucion, alTransicion } = contexto;
+
+  // Eventos del escenario: punto apagado/encendido, consumo base, factores globales
+  const ajustes = escenario?.aplicar(punto, fecha, config) ?? null;
+  const configTick = ajustes?.config ?? config;
+
+  let puntoTick = ajustes?.punto ?? punto;
+  if (cicloVida) {
+    const { estado, transicion } = cicloVida.avanzar(punto, fecha, intervaloMs);
+    if (transicion) alTransicion?.(transicion);
+    puntoTick = { ...puntoTick, estado_ciclo: estado };
+  }
+
+  // Error forzado por el escenario: reemplaza al ciclo de vida mientras dura
+  if (ajustes?.error) {
+    puntoTick = { ...puntoTick, estado_ciclo: "error" };
+  }
+
+  let lecturas = generarLecturas(puntoTick, fecha, configTick, intervaloMs);
+
+  if (registro) {
+    lecturas = agregarTelemetria(lecturas, punto, registro, config);
+  }
+
+  // Ids determinísticos: reenviar el mismo tick sobrescribe en lugar de duplicar
+  if (ejecucion) {
+    lecturas = lecturas.map((lectura, copia) => ({ ...lectura, id_lectura: idLectura(punto.id, fecha, ejecucion, copia) }));
+  }
+
+  return lecturas;
+}
+
+/**
+ * Ticks de una simulación histórica, desde una fecha hasta otra (inclusive)
+ * Cada tick diario que cruza un cambio de horario dura 23 o 25 horas
+ *
+ * @param {Date} desde - Primer tick
+ * @param {Date} hasta - Último tick posible
+ * @param {number} incrementoMs
+ * @param {string} zona - Zona horaria de la simulación
+ * @yields {{ fecha: Date, intervaloMs: number, siguiente: Date }}
+ */
+export function* ticksHistoricos(desde, hasta, incrementoMs, zona) {
+  let fecha = new Date(desde);
+
+  while (fecha <= hasta) {
+    const siguiente = avanzarFecha(fecha, incrementoMs, zona);
+    yield { fecha, intervaloMs: duracionTick(fecha, incrementoMs, zona), siguiente };
+    fecha = siguiente;
+  }
+}
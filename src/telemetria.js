@@ -0,0 +1,193 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { crearAleatorio } from "./aleatorio.js";
+
+// ============================================
+// TELEMETRÍA ELÉCTRICA Y REGISTRO ACUMULADO
+// ============================================
+
+/**
+ * Campos del esquema extendido de lectura (solo con TELEMETRIA.ACTIVO)
+ *
+ * - registro_kwh: registro acumulado del medidor, nunca disminuye
+ * - potencia_w: potencia media del intervalo (consumo_kwh / duración)
+ * - voltaje_v, corriente_a, factor_potencia: valores instantáneos
+ */
+export const CAMPOS_TELEMETRIA = ["registro_kwh", "potencia_w", "voltaje_v", "corriente_a", "factor_potencia"];
+
+/**
+ * Registro acumulado (kWh) de cada medidor, persistido en un archivo JSON
+ * para que continúe entre ticks y entre reinicios del simulador
+ *
+ * Formato del archivo: { "N1": 1523.482, "N2": 87.1, ... }
+ *
+ * Sin ruta, el registro vive solo en memoria: lo usan las ejecuciones
+ * históricas, que guardan su instantánea en el checkpoint (ver checkpoints.js)
+ *
+ * @param {Object} [opciones]
+ * @param {string|null} [opciones.ruta] - Ruta del archivo .json
+ * @returns {Object} Registro con { cargar, acumular, valor, instantanea, restaurar, guardar }
+ */
+export function crearRegistroMedidor({ ruta = null } = {}) {
+  const registros = new Map();
+  let cambios = false;
+
+  // Las escrituras se encadenan para que no se pisen entre sí
+  let operacionArchivo = ruta ? mkdir(dirname(ruta), { recursive: true }) : Promise.resolve();
+
+  // Agrega los registros válidos de un objeto { idPunto: kWh }
+  function restaurar(valores) {
+    for (const [idPunto, kwh] of Object.entries(valores || {})) {
+      if (typeof kwh === "number" && kwh >= 0) registros.set(idPunto, kwh);
+    }
+  }
+
+  return {
+    ruta,
+
+    /**
+     * Carga los registros guardados en disco
+     * Un archivo inexistente equivale a medidores nuevos
+     * @returns {Promise<number>} Cantidad de medidores cargados
+     */
+    async cargar() {
+      if (!ruta) return 0;
+
+      let contenido;
+      try {
+        contenido = await readFile(ruta, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return 0;
+        throw error;
+      }
+
+      restaurar(JSON.parse(contenido));
+
+      return registros.size;
+    },
+
+    /**
+     * Suma energía al registro de un punto
+     * Un medidor nuevo arranca en punto.registro_inicial_kwh (o 0)
+     *
+     * @param {Object} punto - Punto de monitoreo
+     * @param {number} kwh - Energía del intervalo
+     * @returns {number} Nuevo valor del registro
+     */
+    acumular(punto, kwh) {
+      const anterior = registros.get(punto.id) ?? (punto.registro_inicial_kwh || 0);
+      const total = anterior + Math.max(0, kwh);
+      registros.set(punto.id, total);
+      cambios = true;
+      return total;
+    },
+
+    /**
+     * Valor actual del registro de un punto (null si nunca acumuló)
+     * @param {string} idPunto
+     * @returns {number|null}
+     */
+    valor(idPunto) {
+      return registros.get(idPunto) ?? null;
+    },
+
+    /**
+     * Valores actuales de todos los registros
+     * @returns {Object} { idPunto: kWh }
+     */
+    instantanea() {
+      return Object.fromEntries(registros);
+    },
+
+    /**
+     * Continúa desde una instantánea (por ejemplo la de un checkpoint)
+     * @param {Object|null} valores - Resultado de instantanea()
+     */
+    restaurar,
+
+    /**
+     * Guarda los registros en disco si cambiaron (archivo temporal + rename)
+     * @returns {Promise<void>}
+     */
+    guardar() {
+      if (!ruta || !cambios) return operacionArchivo;
+      cambios = false;
+
+      const contenido = JSON.stringify(Object.fromEntries(registros), null, 2);
+      const escribir = async () => {
+        const temporal = `${ruta}.tmp`;
+        await writeFile(temporal, contenido, "utf8");
+        await rename(temporal, ruta);
+      };
+
+      operacionArchivo = operacionArchivo.then(escribir, escribir);
+      return operacionArchivo;
+    }
+  };
+}
+
+/**
+ * Agrega la telemetría eléctrica a las lecturas de un tick de un punto
+ *
+ * Recibe el resultado de generarLecturas(): la energía se acumula una sola vez
+ * por tick aunque la falla de duplicado entregue dos lecturas.
+ *
+ * - activo: potencia = energía / duración, corriente = P / (V · fp)
+ * - inactivo / mantenimiento: potencia y corriente 0, sin factor de potencia
+ * - error: el medidor no reporta valores instantáneos (null)
+ *
+ * @param {Array<Object>} lecturas - Lecturas del tick (0, 1 o 2)
+ * @param {Object} punto - Punto de monitoreo (puede traer voltaje_nominal_v)
+ * @param {Object} registro - Registro creado con crearRegistroMedidor()
+ * @param {Object} config - Configuración (usa TELEMETRIA y SEMILLA)
+ * @returns {Array<Object>} Lecturas con los campos de CAMPOS_TELEMETRIA
+ */
+export function agregarTelemetria(lecturas, punto, registro, config) {
+  if (lecturas.length === 0) return lecturas;
+
+  const [lectura] = lecturas;
+  const { VOLTAJE_NOMINAL_V, VARIACION_VOLTAJE, FACTOR_POTENCIA, VARIACION_FACTOR_POTENCIA } = config.TELEMETRIA;
+
+  const registro_kwh = redondear(registro.acumular(punto, lectura.consumo_kwh), 3);
+
+  // Valores instantáneos reproducibles con SEMILLA
+  const aleatorio = crearAleatorio(config.SEMILLA, punto.id, "telemetria", lectura.fecha.getTime());
+  const nominal = punto.voltaje_nominal_v || VOLTAJE_NOMINAL_V;
+  const voltaje = nominal * (1 + (aleatorio() * 2 - 1) * VARIACION_VOLTAJE);
+  const factorPotencia = Math.min(1, FACTOR_POTENCIA * (1 + (aleatorio() * 2 - 1) * VARIACION_FACTOR_POTENCIA));
+
+  let telemetria;
+  if (lectura.estado === "error") {
+    telemetria = { registro_kwh, potencia_w: null, voltaje_v: null, corriente_a: null, factor_potencia: null };
+  } else if (lectura.estado !== "activo") {
+    telemetria = { registro_kwh, potencia_w: 0, voltaje_v: redondear(voltaje, 1), corriente_a: 0, factor_potencia: null };
+  } else {
+    const potencia = lectura.intervalo_s > 0 ? lectura.consumo_kwh * 1000 * 3600 / lectura.intervalo_s : 0;
+    telemetria = {
+      registro_kwh,
+      potencia_w: redondear(potencia, 1),
+      voltaje_v: redondear(voltaje, 1),
+      corriente_a: redondear(potencia / (voltaje * factorPotencia), 2),
+      factor_potencia: redondear(factorPotencia, 3)
+    };
+  }
+
+  return lecturas.map(l => ({ ...l, ...telemetria }));
+}
+
+/**
+ * Campos de telemetría presentes en una lectura, para los destinos
+ * Devuelve {} si la lectura usa el esquema básico
+ *
+ * @param {Object} lectura
+ * @returns {Object}
+ */
+export function camposTelemetria(lectura) {
+  if (lectura.registro_kwh === undefined) return {};
+  return Object.fromEntries(CAMPOS_TELEMETRIA.map(campo => [campo, lectura[campo]]));
+}
+
+function redondear(valor, decimales) {
+  const factor = 10 ** decimales;
+  return Math.round(valor * factor) / factor;
+}
@@ -0,0 +1,159 @@
+// ============================================
+// TRABAJOS DE SIMULACIÓN CONCURRENTES
+// ============================================
+
+/**
+ * Cada simulación que corre en el servidor es un trabajo: tiene su propio
+ * modo, una copia de la configuración tomada al crearlo, un subconjunto de
+ * puntos, su destino y sus contadores. Varios trabajos pueden correr a la vez,
+ * por ejemplo un histórico de un mes mientras otro genera lecturas en tiempo real.
+ *
+ * Estados: "corriendo" → "completado" | "detenido" | "error"
+ *
+ * El gestor solo lleva la cuenta de los trabajos; el servidor maneja los
+ * recursos de cada ejecución (intervalo, destino, ciclo de vida, replay,
+ * escenario), que se guardan en el mismo objeto del trabajo.
+ */
+export const ESTADOS_TRABAJO = ["corriendo", "completado", "detenido", "error"];
+
+// Lecturas recientes que se guardan por trabajo
+const LECTURAS_RECIENTES = 50;
+
+/**
+ * Gestor de trabajos de simulación
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.maxTerminados] - Trabajos terminados que se conservan para consultarlos
+ * @returns {Object} { crear, obtener, listar, activos, terminar, registrar }
+ */
+export function crearGestorTrabajos({ maxTerminados = 20 } = {}) {
+  const trabajos = new Map();
+  let siguienteId = 1;
+
+  // Descarta los trabajos terminados más antiguos
+  function podar() {
+    const terminados = [...trabajos.values()].filter(trabajo => trabajo.estado !== "corriendo");
+    for (const trabajo of terminados.slice(0, Math.max(0, terminados.length - maxTerminados))) {
+      trabajos.delete(trabajo.id);
+    }
+  }
+
+  return {
+    /**
+     * Crea un trabajo en estado "corriendo"
+     *
+     * @param {Object} datos
+     * @param {string} datos.modo - "tiempo_real", "historico" o "replay"
+     * @param {Object} datos.config - Configuración propia del trabajo (no se copia)
+     * @param {string[]|null} [datos.puntos] - Ids de los puntos a simular (null = todos)
+     * @returns {Object} Trabajo
+     */
+    crear({ modo, config, puntos = null }) {
+      const trabajo = {
+        id: `t${siguienteId++}`,
+        modo,
+        config,
+        puntos,
+        estado: "corriendo",
+        error: null,
+        creado: new Date(),
+        terminado: null,
+        contadores: { ticks: 0, enviadas: 0, fallidas: 0, encoladas: 0 },
+        progreso: null,
+        ultimaLectura: null,
+        lecturas: [],
+
+        // Recursos de la ejecución
+        ejecucion: null,
+        intervalo: null,
+        destino: null,
+        cicloVida: null,
+        replay: null,
+        escenario: null,          // { definicion, origen } tomado al crear el trabajo
+        escenarioEnCurso: null,   // crearEscenario() de esta ejecución
+        fechaEscenario: null
+      };
+
+      trabajos.set(trabajo.id, trabajo);
+      podar();
+      return trabajo;
+    },
+
+    obtener(id) {
+      return trabajos.get(id) ?? null;
+    },
+
+    listar() {
+      return [...trabajos.values()];
+    },
+
+    activos() {
+      return [...trabajos.values()].filter(trabajo => trabajo.estado === "corriendo");
+    },
+
+    /**
+     * Pasa un trabajo a un estado final
+     *
+     * @param {Object} trabajo
+     * @param {string} estado - "completado", "detenido" o "error"
+     * @param {string|null} [error] - Mensaje si terminó con error
+     * @returns {boolean} false si el trabajo ya había terminado
+     */
+    terminar(trabajo, estado, error = null) {
+      if (trabajo.estado !== "corriendo") return false;
+
+      trabajo.estado = estado;
+      trabajo.error = error;
+      trabajo.terminado = new Date();
+      podar();
+      return true;
+    },
+
+    /**
+     * Suma lecturas ya guardadas a los contadores del trabajo
+     * @param {Object} trabajo
+     * @param {Array<Object>} lecturas
+     */
+    registrar(trabajo, lecturas) {
+      if (lecturas.length === 0) return;
+
+      trabajo.contadores.enviadas += lecturas.length;
+      trabajo.lecturas = [...lecturas.slice(-LECTURAS_RECIENTES), ...trabajo.lecturas].slice(0, LECTURAS_RECIENTES);
+      trabajo.ultimaLectura = new Date();
+    }
+  };
+}
+
+/**
+ * Resumen de un trabajo para la API y el panel (sin los recursos internos)
+ *
+ * @param {Object} trabajo
+ * @returns {Object}
+ */
+export function resumirTrabajo(trabajo) {
+  const { config } = trabajo;
+
+  return {
+    id: trabajo.id,
+    modo: trabajo.modo,
+    estado: trabajo.estado,
+    error: trabajo.error,
+    creado: trabajo.creado.toISOString(),
+    terminado: trabajo.terminado?.toISOString() ?? null,
+    puntos: trabajo.puntos,
+    destino: config.MQTT?.ESPEJO && config.DESTINO !== "mqtt" ? `${config.DESTINO} + mqtt` : config.DESTINO,
+    ejecucion: trabajo.ejecucion,
+    escenario: trabajo.escenarioEnCurso?.nombre ?? null,
+    contadores: { ...trabajo.contadores },
+    progreso: trabajo.progreso,
+    ultimaLectura: trabajo.ultimaLectura?.toISOString() ?? null,
+    config: {
+      intervalo_ms: config.INTERVALO_MS,
+      fecha_inicio: config.FECHA_INICIO,
+      fecha_fin: config.FECHA_FIN,
+      zona_horaria: config.ZONA_HORARIA,
+      semilla: config.SEMILLA ?? null,
+      replay: trabajo.modo === "replay" ? config.REPLAY.RUTA_CSV : null
+    }
+  };
+}
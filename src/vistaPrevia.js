@@ -0,0 +1,181 @@
+import { clasificarFecha } from "./generador.js";
+import { lecturasDelTick, ticksHistoricos } from "./simulacion.js";
+
+// ============================================
+// VISTA PREVIA DE SIMULACIONES HISTÓRICAS
+// ============================================
+
+/**
+ * La vista previa recorre el mismo rango y genera las mismas lecturas que la
+ * ejecución real (lecturasDelTick + ticksHistoricos), pero en lugar de
+ * enviarlas las resume:
+ *
+ * - totales por punto y por día
+ * - energía en horario pico / fuera de pico, fin de semana / laborable / calendario
+ * - lecturas por estado, fallas de sensor y ticks sin lectura (huecos)
+ * - algunas lecturas de muestra, más las primeras con error o fallas
+ */
+
+const MUESTRAS = 20;
+const MUESTRAS_ANOMALAS = 10;
+
+// Cada cuántos ticks se cede el event loop
+const TICKS_POR_TANDA = 24;
+
+function nuevoTotal() {
+  return { lecturas: 0, kwh: 0 };
+}
+
+function sumar(total, kwh) {
+  total.lecturas++;
+  total.kwh += kwh;
+}
+
+function redondearTotal(total) {
+  return { ...total, kwh: +total.kwh.toFixed(3) };
+}
+
+/**
+ * Acumulador del resumen de una vista previa
+ *
+ * @param {Object} config - Configuración de la simulación
+ * @returns {Object} { agregar, resultado }
+ */
+export function crearResumenVistaPrevia(config) {
+  const total = { ...nuevoTotal(), sin_lectura: 0 };
+  const porEstado = {};
+  const fallas = {};
+  const porPunto = new Map();
+  const porDia = new Map();
+  const desglose = {
+    pico: nuevoTotal(),
+    fuera_pico: nuevoTotal(),
+    laborable: nuevoTotal(),
+    fin_semana: nuevoTotal(),
+    calendario: nuevoTotal()
+  };
+  const muestras = [];
+  const anomalas = [];
+  let ticks = 0;
+  let ultimoTick = null;
+
+  return {
+    /**
+     * Agrega las lecturas de un punto en un tick
+     * La clasificación (pico, fin de semana, día) usa la fecha del tick
+     *
+     * @param {Object} punto
+     * @param {Date} fecha - Fecha del tick
+     * @param {Array<Object>} lecturas - Resultado de lecturasDelTick()
+     */
+    agregar(punto, fecha, lecturas) {
+      if (fecha !== ultimoTick) {
+        ticks++;
+        ultimoTick = fecha;
+      }
+
+      const clase = clasificarFecha(fecha, config);
+
+      let resumenPunto = porPunto.get(punto.id);
+      if (!resumenPunto) {
+        resumenPunto = { id_punto: punto.id, nombre: punto.nombre || punto.id, ...nuevoTotal(), errores: 0, sin_lectura: 0 };
+        porPunto.set(punto.id, resumenPunto);
+      }
+
+      let resumenDia = porDia.get(clase.dia);
+      if (!resumenDia) {
+        const tipo = clase.reglaCalendario?.tipo ?? (clase.finDeSemana ? "fin_semana" : "laborable");
+        resumenDia = { dia: clase.dia, tipo, ...nuevoTotal(), errores: 0 };
+        porDia.set(clase.dia, resumenDia);
+      }
+
+      if (lecturas.length === 0) {
+        total.sin_lectura++;
+        resumenPunto.sin_lectura++;
+        return;
+      }
+
+      for (const lectura of lecturas) {
+        const kwh = lectura.consumo_kwh;
+
+        sumar(total, kwh);
+        sumar(resumenPunto, kwh);
+        sumar(resumenDia, kwh);
+        sumar(clase.pico ? desglose.pico : desglose.fuera_pico, kwh);
+        sumar(clase.reglaCalendario ? desglose.calendario : (clase.finDeSemana ? desglose.fin_semana : desglose.laborable), kwh);
+
+        porEstado[lectura.estado] = (porEstado[lectura.estado] || 0) + 1;
+        if (lectura.estado === "error") {
+          resumenPunto.errores++;
+          resumenDia.errores++;
+        }
+
+        for (const falla of lectura.fallas || []) {
+          fallas[falla] = (fallas[falla] || 0) + 1;
+        }
+
+        if (muestras.length < MUESTRAS) {
+          muestras.push(lectura);
+        } else if ((lectura.estado !== "activo" || lectura.fallas) && anomalas.length < MUESTRAS_ANOMALAS) {
+          anomalas.push(lectura);
+        }
+      }
+    },
+
+    /**
+     * Resumen listo para enviar como JSON
+     * @returns {Object}
+     */
+    resultado() {
+      return {
+        ticks,
+        total: redondearTotal(total),
+        por_estado: porEstado,
+        fallas,
+        desglose: Object.fromEntries(Object.entries(desglose).map(([clave, valor]) => [clave, redondearTotal(valor)])),
+        por_punto: [...porPunto.values()].map(redondearTotal),
+        por_dia: [...porDia.values()].sort((a, b) => a.dia.localeCompare(b.dia)).map(redondearTotal),
+        muestras: [...muestras, ...anomalas]
+      };
+    }
+  };
+}
+
+/**
+ * Genera la vista previa de un rango sin escribir ninguna lectura
+ *
+ * El contexto debe ser desechable: un ciclo de vida nuevo y un registro de
+ * medidores que no se guarde, para no alterar el estado de la ejecución real.
+ *
+ * @param {Object} opciones
+ * @param {Object} opciones.contexto - Contexto de la simulación (ver simulacion.js)
+ * @param {Array<Object>} opciones.puntos - Puntos de monitoreo
+ * @param {Date} opciones.fechaInicio
+ * @param {Date} opciones.fechaFin
+ * @returns {Promise<Object>} Resumen (ver crearResumenVistaPrevia)
+ */
+export async function generarVistaPrevia({ contexto, puntos, fechaInicio, fechaFin }) {
+  const { config } = contexto;
+  const resumen = crearResumenVistaPrevia(config);
+  let enTanda = 0;
+
+  for (const { fecha, intervaloMs } of ticksHistoricos(fechaInicio, fechaFin, config.INCREMENTO_TIEMPO_MS, config.ZONA_HORARIA)) {
+    for (const punto of puntos) {
+      resumen.agregar(punto, fecha, lecturasDelTick(punto, fecha, intervaloMs, contexto));
+    }
+
+    // Ceder el event loop para no bloquear el servidor en rangos largos
+    if (++enTanda >= TICKS_POR_TANDA) {
+      enTanda = 0;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  return {
+    desde: fechaInicio.toISOString(),
+    hasta: fechaFin.toISOString(),
+    zona_horaria: config.ZONA_HORARIA,
+    puntos: puntos.length,
+    ...resumen.resultado()
+  };
+}
@@ -0,0 +1,206 @@
+// ============================================
+// ZONA HORARIA DE LA SIMULACIÓN
+// ============================================
+
+/**
+ * Todas las reglas que dependen de la hora local (picos, fin de semana,
+ * calendario, perfiles) se evalúan en la zona configurada en ZONA_HORARIA,
+ * sin importar la zona del servidor donde corre el simulador.
+ *
+ * Las fechas se guardan siempre como instantes absolutos (Date); la zona solo
+ * se usa para leerlas ("qué hora es en San Salvador") o para construirlas a
+ * partir de una hora de reloj ("2025-01-01 00:00:00 en San Salvador").
+ */
+
+const MS_POR_MINUTO = 60000;
+const MS_POR_DIA = 86400000;
+
+// Los cambios de horario ocurren en múltiplos de 15 minutos UTC,
+// así que el desfase de la zona es constante dentro de cada bloque
+const BLOQUE_DESFASE_MS = 15 * MS_POR_MINUTO;
+const MAX_DESFASES_EN_CACHE = 50000;
+
+const formateadores = new Map();
+const desfases = new Map();
+
+function formateador(zona) {
+  let formato = formateadores.get(zona);
+  if (!formato) {
+    formato = new Intl.DateTimeFormat("en-US", {
+      timeZone: zona,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    formateadores.set(zona, formato);
+  }
+  return formato;
+}
+
+/**
+ * Verifica que una zona horaria IANA exista ("America/El_Salvador", "UTC", ...)
+ * @param {string} zona
+ * @returns {boolean}
+ */
+export function zonaValida(zona) {
+  if (typeof zona !== "string" || !zona) return false;
+  try {
+    formateador(zona);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Desfase de la zona respecto de UTC en un instante, en minutos
+ * (America/El_Salvador → -360)
+ *
+ * @param {string} zona
+ * @param {number} t - Instante en ms
+ * @returns {number}
+ */
+export function desfaseZona(zona, t) {
+  const clave = `${zona}|${Math.floor(t / BLOQUE_DESFASE_MS)}`;
+  let desfase = desfases.get(clave);
+
+  if (desfase === undefined) {
+    const partes = {};
+    for (const { type, value } of formateador(zona).formatToParts(new Date(t))) {
+      partes[type] = Number(value);
+    }
+    const comoUtc = Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second);
+    desfase = Math.round((comoUtc - Math.floor(t / 1000) * 1000) / MS_POR_MINUTO);
+
+    if (desfases.size >= MAX_DESFASES_EN_CACHE) desfases.clear();
+    desfases.set(clave, desfase);
+  }
+
+  return desfase;
+}
+
+/**
+ * Hora de reloj de un instante en la zona de la simulación
+ *
+ * @param {Date} fecha
+ * @param {string} zona
+ * @returns {{ anio, mes, dia, hora, minuto, segundo, diaSemana }} mes 1-12, diaSemana 0 = domingo
+ */
+export function partesFecha(fecha, zona) {
+  const local = new Date(fecha.getTime() + desfaseZona(zona, fecha.getTime()) * MS_POR_MINUTO);
+
+  return {
+    anio: local.getUTCFullYear(),
+    mes: local.getUTCMonth() + 1,
+    dia: local.getUTCDate(),
+    hora: local.getUTCHours(),
+    minuto: local.getUTCMinutes(),
+    segundo: local.getUTCSeconds() + local.getUTCMilliseconds() / 1000,
+    diaSemana: local.getUTCDay()
+  };
+}
+
+/**
+ * Instante que corresponde a una hora de reloj en la zona
+ *
+ * Horas que no existen (adelanto de horario) se corren hacia adelante;
+ * horas repetidas (atraso de horario) toman la primera ocurrencia.
+ *
+ * @param {number} anio
+ * @param {number} mes - 1-12
+ * @param {number} dia
+ * @param {number} hora
+ * @param {number} minuto
+ * @param {number} segundo
+ * @param {string} zona
+ * @returns {Date}
+ */
+export function fechaDesdeReloj(anio, mes, dia, hora, minuto, segundo, zona) {
+  const comoUtc = Date.UTC(anio, mes - 1, dia, hora, minuto, segundo);
+
+  // Se prueba con el desfase de unas horas antes y después; la primera
+  // candidata que al leerse en la zona da la misma hora de reloj es la buscada
+  const candidatas = [...new Set([
+    desfaseZona(zona, comoUtc - MS_POR_DIA / 2),
+    desfaseZona(zona, comoUtc + MS_POR_DIA / 2)
+  ])]
+    .map(desfase => comoUtc - desfase * MS_POR_MINUTO)
+    .sort((a, b) => a - b);
+
+  for (const t of candidatas) {
+    if (t + desfaseZona(zona, t) * MS_POR_MINUTO === comoUtc) return new Date(t);
+  }
+
+  // Hora inexistente: se aplica el desfase previo al cambio
+  return new Date(comoUtc - desfaseZona(zona, comoUtc - MS_POR_DIA / 2) * MS_POR_MINUTO);
+}
+
+/**
+ * Parsea "YYYY-MM-DD HH:mm:ss" (o "YYYY-MM-DDTHH:mm") como hora de reloj en la zona
+ * Un texto con zona explícita ("Z" o "+02:00") se respeta tal cual
+ *
+ * @param {string} texto
+ * @param {string} zona
+ * @returns {Date|null} null si el texto no es una fecha válida
+ */
+export function parsearFechaEnZona(texto, zona) {
+  const coincidencia = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(texto.trim());
+
+  if (!coincidencia) {
+    const fecha = new Date(texto);
+    return isNaN(fecha.getTime()) ? null : fecha;
+  }
+
+  const [, anio, mes, dia, hora = 0, minuto = 0, segundo = 0] = coincidencia.map(Number);
+  return fechaDesdeReloj(anio, mes, dia, hora, minuto, segundo, zona);
+}
+
+/**
+ * Avanza una fecha un incremento de la simulación
+ *
+ * Los incrementos de días completos avanzan por días de calendario en la zona,
+ * así "cada 24 h a las 00:00" sigue cayendo a las 00:00 después de un cambio
+ * de horario. Los incrementos menores avanzan en tiempo absoluto: el día del
+ * cambio tiene una hora más o una menos de lecturas, como un medidor real.
+ *
+ * @param {Date} fecha
+ * @param {number} incrementoMs - Puede ser negativo
+ * @param {string} zona
+ * @returns {Date}
+ */
+export function avanzarFecha(fecha, incrementoMs, zona) {
+  if (incrementoMs === 0 || incrementoMs % MS_POR_DIA !== 0) {
+    return new Date(fecha.getTime() + incrementoMs);
+  }
+
+  const p = partesFecha(fecha, zona);
+  const segundos = Math.floor(p.segundo);
+  const ms = fecha.getTime() % 1000;
+
+  return new Date(fechaDesdeReloj(p.anio, p.mes, p.dia + incrementoMs / MS_POR_DIA, p.hora, p.minuto, segundos, zona).getTime() + ms);
+}
+
+/**
+ * Duración real del tick que termina en una fecha (23 h o 25 h en un cambio
+ * de horario con incrementos diarios; igual al incremento en los demás casos)
+ *
+ * @param {Date} fecha
+ * @param {number} incrementoMs
+ * @param {string} zona
+ * @returns {number}
+ */
+export function duracionTick(fecha, incrementoMs, zona) {
+  return fecha.getTime() - avanzarFecha(fecha, -incrementoMs, zona).getTime();
+}
+
+/**
+ * Formatea una fecha para logs en la zona de la simulación
+ *
+ * @param {Date} fecha
+ * @param {string} zona
+ * @param {Object} [opciones] - Opciones extra de toLocaleString
+ * @returns {string}
+ */
+export function formatearFecha(fecha, zona, opciones = {}) {
+  return fecha.toLocaleString("es-SV", { timeZone: zona, ...opciones });
+}